@@ -0,0 +1,493 @@
+// Calculation Files
+//
+// Import and export of the calculator inputs, with the computed breakdown
+// when exporting, as JSON or CSV.
+//
+// JSON:
+//
+//     {
+//         "format": "zakah-calculation",
+//         "version": 1,
+//         "inputs": {
+//             "country": "EG",                 // ISO 3166-1 alpha-2 code
+//             "hijriDate": "1446-09-01",       // calculation date
+//             "goldPrice": 4000,               // 1g of 24k gold in the zakah currency
+//             "silverPrice": 50,               // 1g of pure silver
+//             "nisabBasis": "gold",            // optional: 'gold' or 'silver'
+//             "madhab": "hanafi",              // optional, see ZakahEngine.MADHABS
+//             "debtPolicy": "all",             // optional, see ZakahEngine.DEBT_POLICIES
+//             "gold": [                        // karat, or fineness in ‰
+//                 { "description": "سوار", "grams": 20, "karat": 21, "personalUse": true, "hawl": "1445-03-10" }
+//             ],
+//             "silver": [{ "grams": 300, "fineness": 925 }],
+//             "cash": [{ "currency": "USD", "amount": 100 }]
+//             // ...and every other input saved with a profile (investments,
+//             // receivables, business, liabilities, crops, livestock, fitr)
+//         },
+//         "breakdown": { ... }                 // export only: the ZakahEngine.calculate
+//                                              // result, with exchangeRates and rateSource
+//     }
+//
+// CSV, one fact per row under the header
+// type,description,amount,unit,date,personalUse,note:
+//
+//     setting,country,EG,,
+//     setting,hijriDate,1446-09-01,,
+//     setting,goldPrice,4000,,
+//     gold,سوار,20,21,1445-03-10,yes,هدية  unit is a karat (up to 24) or a fineness in ‰
+//     silver,طقم,300,925,                 unit is the fineness in ‰
+//     cash,,5000,EGP,                     unit is the currency code
+//     result,zakahAmount,1250,EGP,        export only, ignored on import
+//     rate,USD,48,EGP,                    export only: 1 USD in the zakah currency
+//
+// date is the optional hawl start date (Hijri, YYYY-MM-DD); personalUse
+// (yes or no) and note are for gold rows only. Rows with a zero amount are
+// not exported. Currency codes are read in any case. The CSV covers the
+// settings, gold, silver and cash; the JSON covers every input.
+//
+// Parsing never stops at the first bad row: parse() returns { inputs,
+// errors } with one message per invalid line (CSV) or entry (JSON).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./hijri-calendar.js'), require('./zakah-engine.js'));
+    } else {
+        root.CalculationFile = factory(root.HijriCalendar, root.ZakahEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (HijriCalendar, ZakahEngine) {
+    'use strict';
+
+    const FORMAT = 'zakah-calculation';
+    const VERSION = 1;
+    const CSV_HEADER = ['type', 'description', 'amount', 'unit', 'date', 'personalUse', 'note'];
+
+    // Settings accepted in 'setting' rows, in export order
+    const SETTINGS = ['country', 'hijriDate', 'goldPrice', 'silverPrice', 'nisabBasis', 'madhab', 'debtPolicy'];
+
+    // Calculation modes of the form (JSON only)
+    const MODES = ['wealth', 'crops', 'livestock', 'fitr'];
+
+    // Sections whose rows carry a currency code
+    const CURRENCY_SECTIONS = ['cash', 'investments', 'receivables', 'liabilities'];
+
+    // Breakdown totals written as 'result' rows
+    const RESULT_FIELDS = [
+        'goldValue', 'silverValue', 'totalCash', 'totalInvestments', 'totalReceivables', 'businessValue',
+        'grossWealth', 'deductedLiabilities', 'totalWealth', 'deferredValue', 'zakahAmount'
+    ];
+
+    function isHijriDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && HijriCalendar.isValid(HijriCalendar.parse(value));
+    }
+
+    function isAmount(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    function toAmount(text) {
+        // Plain decimal numbers only, so '1,000' or '12abc' are rejected
+        const trimmed = String(text).trim();
+        return /^\d+(\.\d+)?$/.test(trimmed) ? parseFloat(trimmed) : NaN;
+    }
+
+    function isFieldAmount(value) {
+        // Form fields are saved as their text, empty when left blank
+        if (value === undefined || value === null || value === '') return true;
+        return typeof value === 'number' ? isAmount(value) : !isNaN(toAmount(value));
+    }
+
+    function normalizeCurrency(code) {
+        // Currency codes are accepted in any case, as in the CSV
+        return typeof code === 'string' ? code.trim().toUpperCase() : code;
+    }
+
+    function validateSetting(name, value, options) {
+        // Returns an error message, or null when the value is valid
+        if (name === 'country') {
+            const known = options.countries;
+            if (!/^[A-Z]{2}$/.test(value || '') || (known && !known.includes(value))) {
+                return `unknown country "${value}"`;
+            }
+        } else if (name === 'hijriDate') {
+            if (!isHijriDate(value || '')) return `invalid Hijri date "${value}"`;
+        } else if (name === 'goldPrice' || name === 'silverPrice') {
+            if (!isAmount(value)) return `invalid ${name} "${value}"`;
+        } else if (name === 'nisabBasis') {
+            if (value !== 'gold' && value !== 'silver') return `invalid nisab basis "${value}"`;
+        } else if (name === 'madhab') {
+            if (!ZakahEngine.MADHABS[value]) return `unknown madhab "${value}"`;
+        } else if (name === 'debtPolicy') {
+            if (!ZakahEngine.DEBT_POLICIES.includes(value)) return `invalid debt policy "${value}"`;
+        } else {
+            return `unknown setting "${name}"`;
+        }
+        return null;
+    }
+
+    function validateDate(item, field, label) {
+        // Dates are optional, but must be real Hijri dates when given
+        return item[field] && !isHijriDate(item[field]) ? `invalid ${label} date "${item[field]}"` : null;
+    }
+
+    function validateHawl(item) {
+        return validateDate(item, 'hawl', 'hawl');
+    }
+
+    function validateCurrency(code, amount) {
+        // Empty rows are saved without a currency
+        if (!code && amount === 0) return null;
+        return /^[A-Z]{3}$/.test(code || '') ? null : `invalid currency code "${code}"`;
+    }
+
+    function validatePercent(value, name) {
+        if (value === undefined || value === null) return null;
+        return isAmount(value) && value <= 100 ? null : `invalid ${name} "${value}"`;
+    }
+
+    function validateGold(item) {
+        if (!isAmount(item.grams)) return `invalid weight "${item.grams}"`;
+        if (item.karat !== undefined && item.karat !== null) {
+            if (!(item.karat > 0 && item.karat <= 24)) return `invalid karat "${item.karat}"`;
+        } else if (!(item.fineness > 0 && item.fineness <= 1000)) {
+            return `invalid fineness "${item.fineness}"`;
+        }
+        return validateHawl(item);
+    }
+
+    function validateSilver(item) {
+        if (!isAmount(item.grams)) return `invalid weight "${item.grams}"`;
+        if (!(item.fineness > 0 && item.fineness <= 1000)) return `invalid fineness "${item.fineness}"`;
+        return validateHawl(item);
+    }
+
+    function validateCash(item) {
+        if (!isAmount(item.amount)) return `invalid amount "${item.amount}"`;
+        return validateCurrency(item.currency, item.amount) || validateHawl(item);
+    }
+
+    function validateInvestment(item) {
+        if (!isAmount(item.marketValue)) return `invalid market value "${item.marketValue}"`;
+        if (item.method !== undefined && !ZakahEngine.INVESTMENT_METHODS.includes(item.method)) {
+            return `invalid valuation method "${item.method}"`;
+        }
+        return validateCurrency(item.currency, item.marketValue)
+            || validatePercent(item.zakatableRatio, 'zakatable ratio')
+            || validatePercent(item.penaltyRate, 'penalty rate')
+            || validateHawl(item);
+    }
+
+    function validateReceivable(item) {
+        if (!isAmount(item.amount)) return `invalid amount "${item.amount}"`;
+        if (item.status !== undefined && !ZakahEngine.RECEIVABLE_STATUSES.includes(item.status)) {
+            return `invalid status "${item.status}"`;
+        }
+        return validateCurrency(item.currency, item.amount)
+            || validateDate(item, 'since', 'since')
+            || validateDate(item, 'collectedDate', 'collected');
+    }
+
+    function validateLiability(item) {
+        if (!isAmount(item.amount)) return `invalid amount "${item.amount}"`;
+        return validateCurrency(item.currency, item.amount) || validateDate(item, 'dueDate', 'due');
+    }
+
+    function validateCrop(item) {
+        if (!isAmount(item.kg)) return `invalid weight "${item.kg}"`;
+        if (item.irrigation !== undefined && !ZakahEngine.USHR_RATES[item.irrigation]) {
+            return `invalid irrigation "${item.irrigation}"`;
+        }
+        return isAmount(item.pricePerKg) ? null : `invalid price per kg "${item.pricePerKg}"`;
+    }
+
+    function validateBusiness(business) {
+        // An empty currency means the zakah currency
+        if (business.currency && !/^[A-Z]{3}$/.test(business.currency)) {
+            return `invalid currency code "${business.currency}"`;
+        }
+        const field = ['inventory', 'cash', 'receivables', 'payables'].find(name => !isFieldAmount(business[name]));
+        if (field) return `invalid ${field} "${business[field]}"`;
+        return validateHawl(business);
+    }
+
+    function validateLivestock(livestock) {
+        const animals = livestock.animals || {};
+        const kind = Object.keys(ZakahEngine.LIVESTOCK_NISAB)
+            .find(name => animals[name] !== undefined && !(Number.isInteger(animals[name]) && animals[name] >= 0));
+        if (kind) return `invalid ${kind} count "${animals[kind]}"`;
+
+        const prices = livestock.prices || {};
+        const animal = Object.keys(prices).find(name => !isAmount(prices[name]));
+        if (animal) return `invalid ${animal} price "${prices[animal]}"`;
+
+        if (livestock.grazing !== undefined && typeof livestock.grazing !== 'boolean') {
+            return `invalid grazing "${livestock.grazing}"`;
+        }
+        return null;
+    }
+
+    function validateFitr(fitr) {
+        if (fitr.members !== undefined && !(Number.isInteger(fitr.members) && fitr.members >= 0)) {
+            return `invalid members "${fitr.members}"`;
+        }
+        if (fitr.method !== undefined && fitr.method !== 'food' && fitr.method !== 'cash') {
+            return `invalid method "${fitr.method}"`;
+        }
+        if (fitr.staple !== undefined && !ZakahEngine.FITR_STAPLES[fitr.staple]) {
+            return `unknown staple "${fitr.staple}"`;
+        }
+        if (fitr.kgPerSa !== undefined && !isAmount(fitr.kgPerSa)) return `invalid kg per sa' "${fitr.kgPerSa}"`;
+        if (fitr.cashPerPerson !== undefined && !isAmount(fitr.cashPerPerson)) {
+            return `invalid cash per person "${fitr.cashPerPerson}"`;
+        }
+        return null;
+    }
+
+    // Validators of the CSV row types
+    const VALIDATORS = { gold: validateGold, silver: validateSilver, cash: validateCash };
+
+    // Validators of every JSON list, by section
+    const SECTION_VALIDATORS = Object.assign({}, VALIDATORS, {
+        investments: validateInvestment,
+        receivables: validateReceivable,
+        liabilities: validateLiability,
+        crops: validateCrop
+    });
+
+    // Validators of the JSON sections holding a single object
+    const OBJECT_VALIDATORS = {
+        business: validateBusiness,
+        livestock: validateLivestock,
+        fitr: validateFitr
+    };
+
+    function normalizeGold(item) {
+        // Karats other than the offered ones are kept as a fineness
+        if (item.karat && !ZakahEngine.GOLD_KARATS.includes(item.karat)) {
+            const fineness = ZakahEngine.karatToFineness(item.karat);
+            delete item.karat;
+            item.fineness = Math.round(fineness * 10) / 10;
+        }
+        return item;
+    }
+
+    function parseJson(text, options) {
+        const errors = [];
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { inputs: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        // Bare input objects are accepted as well as the full file
+        const inputs = data && data.format === FORMAT ? data.inputs : data;
+        if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+            return { inputs: null, errors: ['The file must contain an "inputs" object'] };
+        }
+        if (data.format === FORMAT && data.version > VERSION) {
+            errors.push(`Unsupported version ${data.version}`);
+        }
+
+        SETTINGS.forEach(name => {
+            if (inputs[name] === undefined || inputs[name] === null || inputs[name] === '') return;
+            const error = validateSetting(name, inputs[name], options);
+            if (error) errors.push(`${name}: ${error}`);
+        });
+        if (inputs.mode !== undefined && inputs.mode !== null && !MODES.includes(inputs.mode)) {
+            errors.push(`mode: unknown mode "${inputs.mode}"`);
+        }
+
+        CURRENCY_SECTIONS.forEach(section => {
+            if (!Array.isArray(inputs[section])) return;
+            inputs[section].forEach(item => {
+                if (item && typeof item === 'object') item.currency = normalizeCurrency(item.currency);
+            });
+        });
+
+        Object.keys(SECTION_VALIDATORS).forEach(section => {
+            if (inputs[section] === undefined) return;
+            if (!Array.isArray(inputs[section])) {
+                errors.push(`${section}: must be a list`);
+                return;
+            }
+            inputs[section].forEach((item, index) => {
+                const error = item && typeof item === 'object'
+                    ? SECTION_VALIDATORS[section](item)
+                    : 'must be an object';
+                if (error) errors.push(`${section} #${index + 1}: ${error}`);
+            });
+        });
+
+        Object.keys(OBJECT_VALIDATORS).forEach(section => {
+            const value = inputs[section];
+            if (value === undefined) return;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${section}: must be an object`);
+                return;
+            }
+            if (section === 'business') value.currency = normalizeCurrency(value.currency);
+            const error = OBJECT_VALIDATORS[section](value);
+            if (error) errors.push(`${section}: ${error}`);
+        });
+
+        if (errors.length) return { inputs: null, errors: errors };
+        (inputs.gold || []).forEach(normalizeGold);
+        return { inputs: inputs, errors: errors };
+    }
+
+    function parseCsvLine(line) {
+        // Comma-separated cells; double quotes wrap cells containing commas
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    function parseCsv(text, options) {
+        const inputs = { gold: [], silver: [], cash: [] };
+        const errors = [];
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || (index === 0 && /^type\s*,/i.test(trimmed))) return;
+
+            const [type, description, amount, unit, date, personalUse, note] = parseCsvLine(trimmed);
+            const fail = message => errors.push(`Line ${index + 1}: ${message}`);
+            const kind = (type || '').toLowerCase();
+
+            if (kind === 'result' || kind === 'rate') return;
+
+            if (kind === 'setting') {
+                const numeric = description === 'goldPrice' || description === 'silverPrice';
+                const value = numeric ? toAmount(amount) : amount;
+                if (numeric && isNaN(value)) return fail(`invalid ${description} "${amount}"`);
+                const error = validateSetting(description, value, options);
+                if (error) return fail(error);
+                inputs[description] = value;
+                return;
+            }
+
+            if (!VALIDATORS[kind]) return fail(`unknown row type "${type}"`);
+            if (isNaN(toAmount(amount))) {
+                return fail(`invalid ${kind === 'cash' ? 'amount' : 'weight'} "${amount}"`);
+            }
+
+            const item = { description: description || '', hawl: date || '' };
+            if (kind === 'cash') {
+                item.currency = (unit || '').toUpperCase();
+                item.amount = toAmount(amount);
+            } else {
+                item.grams = toAmount(amount);
+                const purity = toAmount(unit);
+                if (isNaN(purity)) {
+                    return fail(`invalid ${kind === 'gold' ? 'karat or fineness' : 'fineness'} "${unit || ''}"`);
+                }
+                if (kind === 'gold' && purity <= 24) {
+                    item.karat = purity;
+                } else {
+                    item.fineness = purity;
+                }
+            }
+            if (kind === 'gold') {
+                const use = (personalUse || '').toLowerCase();
+                if (use && use !== 'yes' && use !== 'no') return fail(`invalid personal use "${personalUse}"`);
+                item.personalUse = use === 'yes';
+                item.note = note || '';
+            }
+
+            const error = VALIDATORS[kind](item);
+            if (error) return fail(error);
+            inputs[kind].push(kind === 'gold' ? normalizeGold(item) : item);
+        });
+
+        return { inputs: errors.length ? null : inputs, errors: errors };
+    }
+
+    function parse(text, format, options) {
+        return format === 'csv' ? parseCsv(text, options || {}) : parseJson(text, options || {});
+    }
+
+    function toJson(inputs, breakdown) {
+        const data = { format: FORMAT, version: VERSION, inputs: inputs };
+        if (breakdown) data.breakdown = breakdown;
+        return JSON.stringify(data, null, 2);
+    }
+
+    function csvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(inputs, breakdown) {
+        const rows = [CSV_HEADER];
+
+        SETTINGS.forEach(name => {
+            const value = inputs[name];
+            if (value !== undefined && value !== null && value !== '') {
+                rows.push(['setting', name, value, '', '']);
+            }
+        });
+        // Empty rows of the form are left out
+        (inputs.gold || []).filter(item => item.grams > 0).forEach(item => {
+            rows.push([
+                'gold', item.description, item.grams, item.karat || item.fineness, item.hawl,
+                item.personalUse ? 'yes' : 'no', item.note
+            ]);
+        });
+        (inputs.silver || []).filter(item => item.grams > 0).forEach(item => {
+            rows.push(['silver', item.description, item.grams, item.fineness, item.hawl]);
+        });
+        (inputs.cash || []).filter(item => item.amount > 0).forEach(item => {
+            rows.push(['cash', '', item.amount, item.currency, item.hawl]);
+        });
+
+        if (breakdown) {
+            RESULT_FIELDS.forEach(field => {
+                rows.push(['result', field, breakdown[field], breakdown.currency, '']);
+            });
+            rows.push(['result', 'nisab', breakdown.nisab.value, breakdown.currency, '']);
+
+            const rates = breakdown.exchangeRates || {};
+            Object.keys(rates).forEach(code => {
+                rows.push(['rate', code, rates[code], breakdown.currency, '']);
+            });
+            if (breakdown.rateSource) {
+                rows.push(['rate', 'source', '', breakdown.rateSource.provider, breakdown.rateSource.date]);
+            }
+        }
+
+        // Every row has all the header's columns
+        return rows.map(row => CSV_HEADER.map((name, i) => csvCell(row[i])).join(',')).join('\n') + '\n';
+    }
+
+    return {
+        FORMAT: FORMAT,
+        VERSION: VERSION,
+        parse: parse,
+        toJson: toJson,
+        toCsv: toCsv
+    };
+});
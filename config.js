@@ -0,0 +1,27 @@
+// Zakah Calculator configuration
+//
+// Deployment settings live here rather than in script.js.
+
+window.ZAKAH_CONFIG = {
+    exchangeRates: {
+        // Providers are tried in this order until one has every needed rate:
+        // 'manual', 'table', 'remote', 'local-server', 'fallback'
+        providers: ['manual', 'table', 'remote', 'local-server', 'fallback'],
+
+        // ExchangeRate-API v6 key (https://www.exchangerate-api.com/).
+        // Historical rates need a key; without one the latest rates are used.
+        remote: {
+            apiKey: ''
+        },
+
+        // Local stand-in server, see tools/rate-server.js
+        localServer: {
+            url: 'http://localhost:8787'
+        },
+
+        // Cached historical rates never expire; today's rates expire after this
+        cache: {
+            ttlMinutes: 60
+        }
+    }
+};
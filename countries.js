@@ -0,0 +1,192 @@
+// Country Registry
+//
+// One entry per supported country, keyed by ISO 3166-1 alpha-2 code:
+//
+//     currency          ISO 4217 code of the zakah currency
+//     name              country name in Arabic and English
+//     currencyName      currency name in Arabic and English
+//     locale            number locale used to format amounts
+//     nisabBasis        default nisab basis ('gold' or 'silver')
+//     goldPriceSearch   search URL for the 24k gold price, {date} is replaced
+//                       with the Gregorian date (YYYY-MM-DD)
+//     silverPriceSearch search URL for the pure silver price, same placeholder
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Countries = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const COUNTRIES = {
+        'EG': {
+            currency: 'EGP',
+            name: { ar: 'مصر', en: 'Egypt' },
+            currencyName: { ar: 'جنيه مصري', en: 'Egyptian Pound' },
+            locale: 'ar-EG',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+مصر+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+مصر+{date}+بالجرام'
+        },
+        'SA': {
+            currency: 'SAR',
+            name: { ar: 'السعودية', en: 'Saudi Arabia' },
+            currencyName: { ar: 'ريال سعودي', en: 'Saudi Riyal' },
+            locale: 'ar-SA',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+السعودية+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+السعودية+{date}+بالجرام'
+        },
+        'AE': {
+            currency: 'AED',
+            name: { ar: 'الإمارات', en: 'United Arab Emirates' },
+            currencyName: { ar: 'درهم إماراتي', en: 'UAE Dirham' },
+            locale: 'ar-AE',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+الإمارات+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+الإمارات+{date}+بالجرام'
+        },
+        'KW': {
+            currency: 'KWD',
+            name: { ar: 'الكويت', en: 'Kuwait' },
+            currencyName: { ar: 'دينار كويتي', en: 'Kuwaiti Dinar' },
+            locale: 'ar-KW',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+الكويت+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+الكويت+{date}+بالجرام'
+        },
+        'QA': {
+            currency: 'QAR',
+            name: { ar: 'قطر', en: 'Qatar' },
+            currencyName: { ar: 'ريال قطري', en: 'Qatari Riyal' },
+            locale: 'ar-QA',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+قطر+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+قطر+{date}+بالجرام'
+        },
+        'BH': {
+            currency: 'BHD',
+            name: { ar: 'البحرين', en: 'Bahrain' },
+            currencyName: { ar: 'دينار بحريني', en: 'Bahraini Dinar' },
+            locale: 'ar-BH',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+البحرين+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+البحرين+{date}+بالجرام'
+        },
+        'OM': {
+            currency: 'OMR',
+            name: { ar: 'عُمان', en: 'Oman' },
+            currencyName: { ar: 'ريال عماني', en: 'Omani Rial' },
+            locale: 'ar-OM',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+عمان+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+عمان+{date}+بالجرام'
+        },
+        'JO': {
+            currency: 'JOD',
+            name: { ar: 'الأردن', en: 'Jordan' },
+            currencyName: { ar: 'دينار أردني', en: 'Jordanian Dinar' },
+            locale: 'ar-JO',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+الأردن+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+الأردن+{date}+بالجرام'
+        },
+        'MA': {
+            currency: 'MAD',
+            name: { ar: 'المغرب', en: 'Morocco' },
+            currencyName: { ar: 'درهم مغربي', en: 'Moroccan Dirham' },
+            locale: 'ar-MA',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=سعر+الذهب+عيار+24+المغرب+{date}+بالجرام',
+            silverPriceSearch: 'https://www.google.com/search?q=سعر+الفضة+المغرب+{date}+بالجرام'
+        },
+        'PK': {
+            currency: 'PKR',
+            name: { ar: 'باكستان', en: 'Pakistan' },
+            currencyName: { ar: 'روبية باكستانية', en: 'Pakistani Rupee' },
+            locale: 'en-PK',
+            nisabBasis: 'silver',
+            goldPriceSearch: 'https://www.google.com/search?q=gold+price+24k+per+gram+pakistan+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=silver+price+per+gram+pakistan+{date}'
+        },
+        'MY': {
+            currency: 'MYR',
+            name: { ar: 'ماليزيا', en: 'Malaysia' },
+            currencyName: { ar: 'رينغيت ماليزي', en: 'Malaysian Ringgit' },
+            locale: 'ms-MY',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=harga+emas+999+per+gram+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=harga+perak+999+per+gram+{date}'
+        },
+        'ID': {
+            currency: 'IDR',
+            name: { ar: 'إندونيسيا', en: 'Indonesia' },
+            currencyName: { ar: 'روبية إندونيسية', en: 'Indonesian Rupiah' },
+            locale: 'id-ID',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=harga+emas+24+karat+per+gram+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=harga+perak+per+gram+{date}'
+        },
+        'TR': {
+            currency: 'TRY',
+            name: { ar: 'تركيا', en: 'Turkey' },
+            currencyName: { ar: 'ليرة تركية', en: 'Turkish Lira' },
+            locale: 'tr-TR',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=gram+altın+fiyatı+24+ayar+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=gram+gümüş+fiyatı+{date}'
+        },
+        'GB': {
+            currency: 'GBP',
+            name: { ar: 'المملكة المتحدة', en: 'United Kingdom' },
+            currencyName: { ar: 'جنيه إسترليني', en: 'Pound Sterling' },
+            locale: 'en-GB',
+            nisabBasis: 'silver',
+            goldPriceSearch: 'https://www.google.com/search?q=gold+price+24k+per+gram+GBP+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=silver+price+per+gram+GBP+{date}'
+        },
+        'US': {
+            currency: 'USD',
+            name: { ar: 'الولايات المتحدة', en: 'United States' },
+            currencyName: { ar: 'دولار أمريكي', en: 'US Dollar' },
+            locale: 'en-US',
+            nisabBasis: 'gold',
+            goldPriceSearch: 'https://www.google.com/search?q=gold+price+24k+per+gram+USD+{date}',
+            silverPriceSearch: 'https://www.google.com/search?q=silver+price+per+gram+USD+{date}'
+        }
+    };
+
+    function get(code) {
+        return COUNTRIES[code] || null;
+    }
+
+    function list() {
+        // Entries in registry order, each with its code
+        return Object.keys(COUNTRIES).map(code => Object.assign({ code: code }, COUNTRIES[code]));
+    }
+
+    function getGoldPriceUrl(code, dateString) {
+        const country = get(code);
+        const template = country
+            ? country.goldPriceSearch
+            : 'https://www.google.com/search?q=gold+price+24k+{date}+per+gram';
+        return template.replace('{date}', dateString);
+    }
+
+    function getSilverPriceUrl(code, dateString) {
+        const country = get(code);
+        const template = country
+            ? country.silverPriceSearch
+            : 'https://www.google.com/search?q=silver+price+{date}+per+gram';
+        return template.replace('{date}', dateString);
+    }
+
+    return {
+        get: get,
+        list: list,
+        getGoldPriceUrl: getGoldPriceUrl,
+        getSilverPriceUrl: getSilverPriceUrl
+    };
+});
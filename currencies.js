@@ -0,0 +1,76 @@
+// ISO 4217 Currencies
+//
+// Currency codes and display names for the cash inputs. The browser's Intl
+// data is used when available so any ISO 4217 currency can be picked; the
+// common currencies below are always listed first and keep a name even
+// without Intl.DisplayNames.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Currencies = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const COMMON_CURRENCIES = {
+        'EGP': 'جنيه مصري',
+        'SAR': 'ريال سعودي',
+        'USD': 'دولار أمريكي',
+        'EUR': 'يورو',
+        'GBP': 'جنيه إسترليني',
+        'AED': 'درهم إماراتي',
+        'KWD': 'دينار كويتي',
+        'QAR': 'ريال قطري',
+        'BHD': 'دينار بحريني',
+        'OMR': 'ريال عماني',
+        'JOD': 'دينار أردني',
+        'MAD': 'درهم مغربي',
+        'TRY': 'ليرة تركية',
+        'PKR': 'روبية باكستانية',
+        'MYR': 'رينغيت ماليزي',
+        'IDR': 'روبية إندونيسية',
+        'CHF': 'فرنك سويسري',
+        'CAD': 'دولار كندي',
+        'AUD': 'دولار أسترالي',
+        'JPY': 'ين ياباني',
+        'CNY': 'يوان صيني',
+        'INR': 'روبية هندية'
+    };
+
+    function list() {
+        // Common currencies first, then every other code the runtime knows
+        const codes = Object.keys(COMMON_CURRENCIES);
+        if (typeof Intl !== 'undefined' && typeof Intl.supportedValuesOf === 'function') {
+            Intl.supportedValuesOf('currency').forEach(code => {
+                if (!codes.includes(code)) codes.push(code);
+            });
+        }
+        return codes;
+    }
+
+    function getName(code, locale) {
+        if (!locale || locale === 'ar') {
+            if (COMMON_CURRENCIES[code]) return COMMON_CURRENCIES[code];
+        }
+
+        try {
+            const names = new Intl.DisplayNames([locale || 'ar'], { type: 'currency' });
+            return names.of(code) || code;
+        } catch (error) {
+            return COMMON_CURRENCIES[code] || code;
+        }
+    }
+
+    function isValidCode(code) {
+        return /^[A-Z]{3}$/.test(code || '');
+    }
+
+    return {
+        COMMON_CURRENCIES: COMMON_CURRENCIES,
+        list: list,
+        getName: getName,
+        isValidCode: isValidCode
+    };
+});
@@ -0,0 +1,392 @@
+// Exchange Rate Providers
+//
+// Every provider implements the same interface:
+//
+//     provider.name                       // identifier used in the configured order
+//     await provider.getRates(dateString) // 'YYYY-MM-DD' -> rate set or null
+//
+// A rate set is { base, date, isHistorical, rates } where rates holds the
+// units of each currency per 1 unit of base (the base itself is 1). Any
+// common base works because conversions only use ratios between rates.
+//
+// ExchangeRateService chains providers in a configurable order and returns
+// the first rate set that covers every requested currency, tagged with the
+// name of the provider that answered. Network providers (cacheable: true)
+// are looked up in an optional RateCache (rate-cache.js) before fetching.
+// When such a provider cannot be reached (e.g. offline), the rest of the
+// network providers are tried first; then its last known cached rates are
+// used ahead of the offline providers left in the order, tagged stale: true
+// with their fetchedAt.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExchangeRates = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_ORDER = ['manual', 'table', 'remote', 'local-server', 'fallback'];
+
+    // Last-resort approximate rates (units per 1 USD)
+    const APPROXIMATE_RATES = {
+        USD: 1,
+        EGP: 48,
+        SAR: 3.75,
+        EUR: 0.92,
+        GBP: 0.79,
+        AED: 3.6725,
+        KWD: 0.307,
+        QAR: 3.64,
+        BHD: 0.376,
+        OMR: 0.385,
+        JOD: 0.709,
+        MAD: 9.9,
+        TRY: 32.5,
+        PKR: 278,
+        MYR: 4.7,
+        IDR: 15800
+    };
+
+    function withBase(base, rates) {
+        const result = Object.assign({}, rates);
+        result[base] = 1;
+        return result;
+    }
+
+    // Remote ExchangeRate-API: historical rates with an API key (v6),
+    // otherwise the keyless latest rates (v4)
+    class RemoteApiProvider {
+        constructor(options) {
+            this.name = 'remote';
+            this.base = 'USD';
+            this.cacheable = true;
+            this.apiKey = (options && options.apiKey) || '';
+        }
+
+        async getRates(dateString) {
+            if (this.apiKey) {
+                try {
+                    const historical = await this.getHistoricalRates(dateString);
+                    if (historical) return historical;
+                } catch (error) {
+                    console.error('Error fetching historical exchange rates:', error);
+                }
+            }
+
+            // Fall back to the latest rates when no historical data is available
+            return this.getLatestRates();
+        }
+
+        async getHistoricalRates(dateString) {
+            const [year, month, day] = dateString.split('-');
+            const url = `https://v6.exchangerate-api.com/v6/${this.apiKey}/history/USD/${year}/${month}/${day}`;
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Historical exchange rate API request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            // The API reports missing historical data in the body
+            if (data.result !== 'success' || !data.conversion_rates) {
+                return null;
+            }
+
+            return { base: 'USD', date: dateString, isHistorical: true, rates: withBase('USD', data.conversion_rates) };
+        }
+
+        async getLatestRates() {
+            const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
+            if (!response.ok) {
+                throw new Error(`Exchange rate API request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return { base: 'USD', date: data.date || null, isHistorical: false, rates: withBase('USD', data.rates) };
+        }
+    }
+
+    // User-supplied rate table (see parseRateTable for the JSON and CSV layouts)
+    class RateTableProvider {
+        constructor(table) {
+            this.name = 'table';
+            this.table = table || null;
+        }
+
+        setTable(table) {
+            this.table = table;
+        }
+
+        async getRates(dateString) {
+            if (!this.table) return null;
+
+            const byDate = this.table.byDate;
+
+            // Exact date first, then the latest earlier date, then undated rates
+            let date = byDate[dateString] ? dateString : null;
+            if (!date) {
+                date = Object.keys(byDate)
+                    .filter(key => key !== '*' && key < dateString)
+                    .sort()
+                    .pop() || null;
+            }
+
+            const rates = date ? byDate[date] : byDate['*'];
+            if (!rates) return null;
+
+            return {
+                base: this.table.base,
+                date: date,
+                isHistorical: date === dateString,
+                rates: withBase(this.table.base, rates)
+            };
+        }
+    }
+
+    // Rates typed in by the user (units per 1 USD), valid for any date
+    class ManualRatesProvider {
+        constructor(rates) {
+            this.name = 'manual';
+            this.rates = rates || {};
+        }
+
+        setRates(rates) {
+            this.rates = rates || {};
+        }
+
+        async getRates() {
+            const codes = Object.keys(this.rates).filter(code => this.rates[code] > 0);
+            if (!codes.length) return null;
+
+            const rates = {};
+            codes.forEach(code => {
+                rates[code] = this.rates[code];
+            });
+
+            return { base: 'USD', date: null, isHistorical: false, rates: withBase('USD', rates) };
+        }
+    }
+
+    // Local stand-in server (tools/rate-server.js) answering
+    // GET <url>/rates?date=YYYY-MM-DD&base=USD with { base, date, isHistorical, rates }
+    class LocalServerProvider {
+        constructor(options) {
+            this.name = 'local-server';
+            this.base = (options && options.base) || 'USD';
+            this.cacheable = true;
+            this.url = ((options && options.url) || 'http://localhost:8787').replace(/\/$/, '');
+        }
+
+        async getRates(dateString) {
+            const response = await fetch(`${this.url}/rates?date=${encodeURIComponent(dateString)}&base=${this.base}`);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Local rate server request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return {
+                base: data.base,
+                date: data.date || null,
+                isHistorical: Boolean(data.isHistorical),
+                rates: withBase(data.base, data.rates)
+            };
+        }
+    }
+
+    // Built-in approximate rates so calculations still work offline
+    class FallbackRatesProvider {
+        constructor(rates) {
+            this.name = 'fallback';
+            this.rates = rates || APPROXIMATE_RATES;
+        }
+
+        async getRates() {
+            return { base: 'USD', date: null, isHistorical: false, rates: Object.assign({}, this.rates) };
+        }
+    }
+
+    class ExchangeRateService {
+        constructor(providers, order, cache) {
+            this.providers = providers;
+            this.order = order || DEFAULT_ORDER;
+            this.cache = cache || null;
+        }
+
+        async getProviderRates(provider, dateString) {
+            const useCache = Boolean(this.cache && provider.cacheable);
+
+            const cached = useCache ? this.cache.get(dateString, provider.base, provider.name) : null;
+            if (cached) return cached;
+
+            const rateSet = await provider.getRates(dateString);
+            if (!rateSet) return null;
+
+            const tagged = Object.assign({ provider: provider.name }, rateSet);
+            if (useCache) {
+                this.cache.set(dateString, provider.base, tagged);
+            }
+            return tagged;
+        }
+
+        getLastKnownRates(provider) {
+            // Cached rates of an unreachable network provider, tagged stale
+            const lastKnown = this.cache && provider.cacheable
+                ? this.cache.getLastKnown(provider.base, provider.name)
+                : null;
+            return lastKnown ? Object.assign({}, lastKnown.rateSet, { stale: true, fetchedAt: lastKnown.fetchedAt }) : null;
+        }
+
+        getProvider(name) {
+            return this.providers.find(provider => provider.name === name) || null;
+        }
+
+        async getRates(dateString, currencies) {
+            const needed = currencies || [];
+            const failures = [];
+            const stale = [];
+            const covers = rateSet => needed.every(code => rateSet.rates[code]);
+            const useStale = () => {
+                const rateSet = stale.find(covers);
+                if (rateSet) console.error(`Using last known ${rateSet.provider} rates: ${failures.join('; ')}`);
+                return rateSet || null;
+            };
+
+            for (const [index, name] of this.order.entries()) {
+                const provider = this.getProvider(name);
+                if (!provider) continue;
+
+                // Once every network provider has been tried, their last
+                // known rates come before the offline providers left
+                const networkLeft = this.order.slice(index).some(rest => (this.getProvider(rest) || {}).cacheable);
+                if (stale.length && !networkLeft) {
+                    const rateSet = useStale();
+                    if (rateSet) return rateSet;
+                }
+
+                try {
+                    const rateSet = await this.getProviderRates(provider, dateString);
+                    const missing = rateSet ? needed.filter(code => !rateSet.rates[code]) : needed;
+
+                    if (rateSet && !missing.length) {
+                        return rateSet;
+                    }
+                    failures.push(`${name}: ${rateSet ? `missing ${missing.join(', ')}` : 'no rates'}`);
+                } catch (error) {
+                    failures.push(`${name}: ${error.message}`);
+                    const lastKnown = this.getLastKnownRates(provider);
+                    if (lastKnown) stale.push(lastKnown);
+                }
+            }
+
+            const rateSet = useStale();
+            if (rateSet) return rateSet;
+            throw new Error(`No exchange rate provider could answer for ${dateString} (${failures.join('; ')})`);
+        }
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function parseJsonRates(rates, label) {
+        // Same rules as a CSV row: three-letter codes, uppercased, positive rates
+        if (!isObject(rates)) {
+            throw new Error(`${label}: rates must be an object of currency codes`);
+        }
+
+        const parsed = {};
+        Object.keys(rates).forEach(currency => {
+            const value = typeof rates[currency] === 'number' ? rates[currency] : parseFloat(rates[currency]);
+            if (!/^[A-Za-z]{3}$/.test(currency)) {
+                throw new Error(`${label}: invalid currency code "${currency}"`);
+            }
+            if (!(value > 0)) {
+                throw new Error(`${label}: invalid rate "${rates[currency]}" for ${currency}`);
+            }
+            parsed[currency.toUpperCase()] = value;
+        });
+        return parsed;
+    }
+
+    function parseRateTable(text, format) {
+        // JSON: { "base": "USD", "rates": { "2024-07-08": { "EGP": 48.3 }, ... } }
+        //       or undated { "base": "USD", "rates": { "EGP": 48.3 } }
+        // CSV:  date,currency,rate  (one rate per row, date may be empty,
+        //       rates are units per 1 USD)
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            if (!isObject(data) || !isObject(data.rates)) {
+                throw new Error('Rate table JSON must contain a "rates" object');
+            }
+
+            const base = (data.base || 'USD').toUpperCase();
+            const keys = Object.keys(data.rates);
+            const isDated = keys.length > 0 && keys.every(key => /^\d{4}-\d{2}-\d{2}$/.test(key));
+            if (!isDated) {
+                return { base: base, byDate: { '*': parseJsonRates(data.rates, 'rates') } };
+            }
+
+            const byDate = {};
+            keys.forEach(date => {
+                byDate[date] = parseJsonRates(data.rates[date], date);
+            });
+            return { base: base, byDate: byDate };
+        }
+
+        const byDate = {};
+        const lines = text.split(/\r?\n/);
+
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || (index === 0 && /^date\s*,/i.test(trimmed))) return;
+
+            const [date, currency, rate] = trimmed.split(',').map(cell => cell.trim());
+            const value = parseFloat(rate);
+
+            if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                throw new Error(`Line ${index + 1}: invalid date "${date}"`);
+            }
+            if (!/^[A-Za-z]{3}$/.test(currency || '')) {
+                throw new Error(`Line ${index + 1}: invalid currency code "${currency}"`);
+            }
+            if (!(value > 0)) {
+                throw new Error(`Line ${index + 1}: invalid rate "${rate}"`);
+            }
+
+            const key = date || '*';
+            byDate[key] = byDate[key] || {};
+            byDate[key][currency.toUpperCase()] = value;
+        });
+
+        return { base: 'USD', byDate: byDate };
+    }
+
+    function createService(config, cache) {
+        const options = config || {};
+        const providers = [
+            new ManualRatesProvider(),
+            new RateTableProvider(),
+            new RemoteApiProvider(options.remote),
+            new LocalServerProvider(options.localServer),
+            new FallbackRatesProvider()
+        ];
+        return new ExchangeRateService(providers, options.providers, cache);
+    }
+
+    return {
+        DEFAULT_ORDER: DEFAULT_ORDER,
+        APPROXIMATE_RATES: APPROXIMATE_RATES,
+        RemoteApiProvider: RemoteApiProvider,
+        RateTableProvider: RateTableProvider,
+        ManualRatesProvider: ManualRatesProvider,
+        LocalServerProvider: LocalServerProvider,
+        FallbackRatesProvider: FallbackRatesProvider,
+        ExchangeRateService: ExchangeRateService,
+        parseRateTable: parseRateTable,
+        createService: createService
+    };
+});
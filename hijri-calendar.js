@@ -0,0 +1,190 @@
+// Umm al-Qura Hijri Calendar
+//
+// Table-driven conversion between the Umm al-Qura (Saudi official) Hijri
+// calendar and the Gregorian calendar for 1300-1500 AH (1882-2077 AD).
+// Each year is stored as a 12-bit mask: bit 0 is Muharram, bit 11 is
+// Dhu al-Hijjah, and a set bit means the month has 30 days (29 otherwise).
+//
+// Gregorian dates are exchanged as Date objects at UTC midnight so that
+// toISOString() always yields the intended calendar day.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HijriCalendar = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MIN_YEAR = 1300;
+    const MAX_YEAR = 1500;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // 1 Muharram 1300 AH = 12 November 1882
+    const EPOCH = Date.UTC(1882, 10, 12);
+
+    const MONTH_LENGTHS = [
+        0x555, 0x2AB, 0x937, 0x2B6, 0x576, 0x36C, 0xB55, 0xAAA, 0x956, 0x49E,
+        0x95D, 0x2BA, 0x5B5, 0x3AA, 0xB4B, 0xA96, 0x52E, 0x2AD, 0x56D, 0xB5A,
+        0x752, 0xF25, 0xE8A, 0xD16, 0xA56, 0xAB5, 0x6B4, 0xDA9, 0xB92, 0xB25,
+        0x64B, 0xA9B, 0x35A, 0x6D9, 0x5D4, 0xDA5, 0xD4A, 0xA95, 0x536, 0x975,
+        0x2F4, 0x6E9, 0x6D4, 0x6A9, 0x535, 0x25D, 0x4BD, 0x9BA, 0x3B4, 0xB69,
+        0xB2A, 0xA55, 0x4AD, 0xA5D, 0x2DA, 0x6D9, 0xEAA, 0xE94, 0xD2A, 0xC56,
+        0x4AE, 0xA6D, 0x56A, 0xD55, 0xD4A, 0xA93, 0x52B, 0xA5B, 0x53A, 0x6B5,
+        0xEA9, 0xD52, 0xD29, 0xA55, 0x4AD, 0x56D, 0xAEA, 0x6E4, 0xED1, 0xDA2,
+        0xAAA, 0x95A, 0x2DA, 0x5B9, 0xBB2, 0x764, 0x6C9, 0x555, 0x2AB, 0x4DB,
+        0xABA, 0x5B4, 0xDA9, 0xD52, 0xAA5, 0x92D, 0x26D, 0x8ED, 0x2DA, 0xAD5,
+        0xAA5, 0xA4B, 0x497, 0x937, 0x2B6, 0x975, 0xD69, 0xD52, 0xC95, 0x92B,
+        0x25B, 0x4DB, 0x9D5, 0x5D2, 0xDA5, 0xD4A, 0xA95, 0x54D, 0xAAD, 0x3AA,
+        0xBD2, 0xBC4, 0xB89, 0xA95, 0x52D, 0x5AD, 0xB6A, 0x6D4, 0xDC9, 0xD92,
+        0xAA6, 0x956, 0x2AE, 0x56D, 0x36A, 0xB55, 0xAAA, 0x94D, 0x49D, 0x95D,
+        0x2BA, 0x5B5, 0x5AA, 0xD55, 0xA9A, 0x92E, 0x26E, 0x55D, 0xADA, 0x6D4,
+        0x6A5, 0xB27, 0xA4D, 0x4AD, 0x56D, 0xB5A, 0x754, 0xF49, 0xE92, 0xD26,
+        0xA56, 0x356, 0x6B5, 0xBAA, 0xB92, 0xB25, 0x68B, 0xA9B, 0x55A, 0xADA,
+        0x5B4, 0xDA9, 0xB52, 0xA9A, 0x536, 0x276, 0x575, 0xAF2, 0x6D4, 0x6A9,
+        0x555, 0x2AD, 0x4BD, 0x9BA, 0x574, 0xB69, 0xB52, 0xA95, 0x52D, 0xA5D,
+        0x4DA, 0xAD9, 0x6B2, 0xE95, 0xE2A, 0xC96, 0x92E, 0xAAD, 0x56A, 0xD65,
+        0xD4A
+    ];
+
+    // Day offset (from EPOCH) of 1 Muharram for every year in the table,
+    // plus one trailing entry marking the end of MAX_YEAR
+    const YEAR_STARTS = [0];
+    MONTH_LENGTHS.forEach((mask, index) => {
+        let days = 0;
+        for (let month = 0; month < 12; month++) {
+            days += (mask >> month) & 1 ? 30 : 29;
+        }
+        YEAR_STARTS.push(YEAR_STARTS[index] + days);
+    });
+
+    const MONTH_NAMES = [
+        '', 'محرم', 'صفر', 'ربيع الأول', 'ربيع الثاني', 'جمادى الأولى', 'جمادى الثانية',
+        'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+    ];
+
+    function checkYear(year) {
+        if (!Number.isInteger(year) || year < MIN_YEAR || year > MAX_YEAR) {
+            throw new RangeError(`Hijri year ${year} is outside the supported range ${MIN_YEAR}-${MAX_YEAR}`);
+        }
+    }
+
+    function checkMonth(month) {
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            throw new RangeError(`Invalid Hijri month: ${month}`);
+        }
+    }
+
+    function daysInMonth(year, month) {
+        checkYear(year);
+        checkMonth(month);
+        return (MONTH_LENGTHS[year - MIN_YEAR] >> (month - 1)) & 1 ? 30 : 29;
+    }
+
+    function daysInYear(year) {
+        checkYear(year);
+        return YEAR_STARTS[year - MIN_YEAR + 1] - YEAR_STARTS[year - MIN_YEAR];
+    }
+
+    function isLeapYear(year) {
+        // A 355-day year is the Umm al-Qura equivalent of a leap year
+        return daysInYear(year) === 355;
+    }
+
+    function toGregorian(year, month, day) {
+        checkYear(year);
+        checkMonth(month);
+        if (!Number.isInteger(day) || day < 1 || day > daysInMonth(year, month)) {
+            throw new RangeError(`Invalid day ${day} for Hijri month ${year}-${month}`);
+        }
+
+        let offset = YEAR_STARTS[year - MIN_YEAR];
+        for (let m = 1; m < month; m++) {
+            offset += daysInMonth(year, m);
+        }
+        offset += day - 1;
+
+        return new Date(EPOCH + offset * DAY_MS);
+    }
+
+    function fromGregorian(date) {
+        // Only the UTC calendar day of the given date is used
+        const utcDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        let offset = Math.round((utcDay - EPOCH) / DAY_MS);
+
+        if (offset < 0 || offset >= YEAR_STARTS[YEAR_STARTS.length - 1]) {
+            throw new RangeError(`Gregorian date ${date.toISOString().split('T')[0]} is outside the supported Hijri range`);
+        }
+
+        let yearIndex = 0;
+        while (YEAR_STARTS[yearIndex + 1] <= offset) {
+            yearIndex++;
+        }
+        const year = MIN_YEAR + yearIndex;
+        offset -= YEAR_STARTS[yearIndex];
+
+        let month = 1;
+        while (offset >= daysInMonth(year, month)) {
+            offset -= daysInMonth(year, month);
+            month++;
+        }
+
+        return { year: year, month: month, day: offset + 1 };
+    }
+
+    function addYears(hijriDate, years) {
+        // Same month and day in a later year, clamped to the month's length
+        const year = hijriDate.year + years;
+        const day = Math.min(hijriDate.day, daysInMonth(year, hijriDate.month));
+        return { year: year, month: hijriDate.month, day: day };
+    }
+
+    function compare(a, b) {
+        // Negative when a is before b, zero when equal, positive when after
+        return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+    }
+
+    function isValid(hijriDate) {
+        try {
+            toGregorian(hijriDate.year, hijriDate.month, hijriDate.day);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function today() {
+        // Use the local calendar day, not the UTC one
+        const now = new Date();
+        return fromGregorian(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    }
+
+    function parse(hijriDateString) {
+        // Parse a 'YYYY-MM-DD' Hijri date string
+        const [year, month, day] = hijriDateString.split('-').map(Number);
+        return { year: year, month: month, day: day };
+    }
+
+    function format(hijriDate) {
+        // Format a Hijri date as 'YYYY-MM-DD'
+        return `${hijriDate.year}-${String(hijriDate.month).padStart(2, '0')}-${String(hijriDate.day).padStart(2, '0')}`;
+    }
+
+    return {
+        MIN_YEAR: MIN_YEAR,
+        MAX_YEAR: MAX_YEAR,
+        MONTH_NAMES: MONTH_NAMES,
+        daysInMonth: daysInMonth,
+        daysInYear: daysInYear,
+        isLeapYear: isLeapYear,
+        toGregorian: toGregorian,
+        fromGregorian: fromGregorian,
+        addYears: addYears,
+        compare: compare,
+        isValid: isValid,
+        today: today,
+        parse: parse,
+        format: format
+    };
+});
@@ -0,0 +1,1092 @@
+// Interface Language
+//
+// Message catalogs for Arabic and English, plus number, currency and date
+// formatting through Intl in the chosen language and digits:
+//
+//     I18n.setLanguage('en');                  // 'ar' (RTL, default) or 'en' (LTR)
+//     I18n.setDigits('latn');                  // 'auto', 'arab' (٠١٢٣) or 'latn' (0123)
+//     I18n.t('calculate.ready');               // 'Calculate zakah'
+//     I18n.t('hawl.completed', { date: d });   // {name} placeholders
+//     I18n.formatNumber(1234.5);               // '1,234.5'
+//     I18n.formatMoney(9250, 'EGP');           // '9,250 Egyptian pounds'
+//
+// Static page text carries its key in a data-i18n attribute (text content),
+// data-i18n-placeholder or data-i18n-title, with optional JSON parameters in
+// data-i18n-params; translatePage() fills them in, including the contents
+// of <template> elements. A key missing in English falls back to Arabic.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LANGUAGES = ['ar', 'en'];
+    const DIGITS = ['auto', 'arab', 'latn'];
+
+    const MESSAGES = {
+        ar: {
+            // Page
+            'app.title': 'حاسبة الزكاة الإسلامية',
+            'app.subtitle': 'احسب زكاتك بسهولة ودقة',
+            'language.label': 'اللغة',
+            'digits.label': 'الأرقام',
+            'digits.auto': 'حسب اللغة',
+            'digits.arab': 'أرقام عربية ٠١٢٣',
+            'digits.latn': 'أرقام لاتينية 0123',
+            'offline.status': 'غير متصل بالإنترنت - تعمل الحاسبة بأسعار الصرف المحفوظة أو اليدوية',
+            'common.total': 'الإجمالي:',
+            'common.remove': 'حذف',
+            'common.notePlaceholder': 'ملاحظة (اختياري)',
+            'common.listSeparator': '، ',
+            'common.arrow': '←',
+
+            // Profiles, history, payments, import and export
+            'profile.label': 'الملف',
+            'profile.namePlaceholder': 'اسم الملف (مثال: أنا، الزوجة، الوالد)',
+            'profile.new': '+ ملف جديد',
+            'profile.duplicate': 'نسخ الملف',
+            'profile.delete': 'حذف الملف',
+            'profile.defaultName': 'أنا',
+            'profile.newName': 'ملف {number}',
+            'profile.copyName': '{name} (نسخة)',
+            'profile.confirmDelete': 'حذف الملف "{name}" وكل بياناته؟',
+            'household.title': 'ملخص زكاة الأسرة',
+            'household.help': 'يعرض آخر نتيجة محسوبة لكل ملف',
+            'household.notCalculated': '{name}: لم تحسب بعد',
+            'household.noCash': '{name} ({mode}): بلا قيمة نقدية',
+            'household.entry': '{name} ({mode}، {date}): {amount}',
+            'history.title': 'سجل الزكاة السنوي',
+            'history.empty': 'لا توجد حسابات محفوظة لهذا الملف بعد',
+            'history.help': 'يحفظ آخر حساب لزكاة المال في كل سنة هجرية على هذا الجهاز',
+            'history.entry': '{year} ({date}): الثروة {wealth}، الذهب {goldPrice} للجرام، الزكاة {zakah}',
+            'history.rates': '، أسعار الصرف: {rates}',
+            'payments.title': 'مدفوعات الزكاة',
+            'payments.year': 'زكاة عام',
+            'payments.due': 'الزكاة المستحقة:',
+            'payments.paid': 'المدفوع:',
+            'payments.outstanding': 'المتبقي:',
+            'payments.datePlaceholder': 'تاريخ الدفع (هجري)، مثال: 1446-09-15',
+            'payments.add': '+ تسجيل دفعة',
+            'payments.help': 'يجوز تعجيل الزكاة قبل تمام الحول؛ الدفعات السابقة لتاريخ الحساب تظهر كدفع مقدم',
+            'payments.dueFrom': '{amount} (حساب {date})',
+            'payments.notCalculated': 'لم تحسب بعد',
+            'payments.paidWithAdvance': '{paid} (منها {advance} مقدما)',
+            'payments.excess': 'زيادة {amount}',
+            'payments.unmatched': ' - {count} دفعة بعملة زكاة أخرى غير محسوبة',
+            'payments.advanceMark': ' (مقدم)',
+            'payments.categoryTotal': 'إجمالي {category}: {amount}',
+            'payments.invalidDate': 'تاريخ الدفع غير صحيح - استخدم الصيغة 1446-09-15',
+            'payments.enterAmount': 'أدخل مبلغ الدفعة',
+            'payments.noRate': 'لا يتوفر سعر صرف {currency} في {date}',
+            'paymentStatus.none': 'لا زكاة مستحقة ولا دفعات',
+            'paymentStatus.unpaid': 'لم يدفع شيء بعد',
+            'paymentStatus.underpaid': 'دفع ناقص - بقي جزء من الزكاة',
+            'paymentStatus.paid': 'تم سداد الزكاة كاملة',
+            'paymentStatus.overpaid': 'دفع زائد على الزكاة المستحقة',
+            'paymentStatus.advance': 'دفع مقدم - لم تحسب زكاة هذا العام بعد',
+            'recipient.fuqara': 'الفقراء',
+            'recipient.masakin': 'المساكين',
+            'recipient.amilin': 'العاملون عليها',
+            'recipient.muallafah': 'المؤلفة قلوبهم',
+            'recipient.riqab': 'في الرقاب',
+            'recipient.gharimin': 'الغارمون',
+            'recipient.fi-sabilillah': 'في سبيل الله',
+            'recipient.ibn-sabil': 'ابن السبيل',
+            'transfer.title': 'استيراد وتصدير',
+            'transfer.importHelp': 'ملف JSON أو CSV بالأعمدة type,description,amount,unit,date (راجع calculation-file.js)',
+            'transfer.exportJson': 'تصدير JSON',
+            'transfer.exportCsv': 'تصدير CSV',
+            'transfer.exportHelp': 'يشمل التصدير نتيجة آخر حساب وأسعار الصرف المستخدمة إذا لم تتغير المدخلات بعده',
+            'import.failed': 'لم يتم الاستيراد: {count} خطأ في {file}',
+            'import.done': 'تم استيراد {file}',
+
+            // Country, date and mode
+            'country.label': 'اختر البلد',
+            'country.option': '{name} ({currency})',
+            'date.label': 'تاريخ حساب الزكاة (هجري)',
+            'date.year': 'السنة',
+            'date.month': 'الشهر',
+            'date.day': 'اليوم',
+            'date.none': 'لم يتم اختيار تاريخ',
+            'date.format': '{day} {month} {year} هـ',
+            'date.yearFormat': '{year} هـ',
+            'month.1': 'محرم',
+            'month.2': 'صفر',
+            'month.3': 'ربيع الأول',
+            'month.4': 'ربيع الثاني',
+            'month.5': 'جمادى الأولى',
+            'month.6': 'جمادى الثانية',
+            'month.7': 'رجب',
+            'month.8': 'شعبان',
+            'month.9': 'رمضان',
+            'month.10': 'شوال',
+            'month.11': 'ذو القعدة',
+            'month.12': 'ذو الحجة',
+            'mode.label': 'نوع الزكاة',
+            'mode.option.wealth': 'زكاة المال (الذهب والفضة والنقود والتجارة)',
+            'mode.option.crops': 'زكاة الزروع والثمار',
+            'mode.wealth': 'زكاة المال',
+            'mode.crops': 'زكاة الزروع',
+            'mode.livestock': 'زكاة الأنعام',
+            'mode.fitr': 'زكاة الفطر',
+
+            // Prices and nisab
+            'price.gold': 'سعر الذهب عيار 24 (بالجرام)',
+            'price.silver': 'سعر الفضة الخالصة (بالجرام)',
+            'price.lookup': '🔗 احصل على السعر للتاريخ المحدد',
+            'price.goldPlaceholder': 'أدخل سعر الذهب',
+            'price.silverPlaceholder': 'أدخل سعر الفضة',
+            'price.goldHelp': 'أدخل سعر الذهب عيار 24 للجرام الواحد للتاريخ المحدد',
+            'price.silverHelp': 'مطلوب عند إدخال فضة أو عند حساب النصاب بالفضة',
+            'price.goldLinkTitle': 'البحث عن سعر الذهب عيار 24 للتاريخ {date}',
+            'price.silverLinkTitle': 'البحث عن سعر الفضة الخالصة للتاريخ {date}',
+            'status.converting': 'جاري تحويل العملات...',
+            'status.loadingRates': 'جاري جلب الأسعار التاريخية...',
+            'nisabBasis.label': 'أساس حساب النصاب',
+            'nisabBasis.gold': 'الذهب (85 جرام عيار 24)',
+            'nisabBasis.silver': 'الفضة (595 جرام)',
+            'madhab.label': 'المذهب في زكاة الحلي',
+            'madhab.option': 'المذهب {name}',
+            'madhab.result': 'المذهب {name}: {ruling}',
+            'madhab.hanafi': 'الحنفي',
+            'madhab.shafii': 'الشافعي',
+            'madhab.maliki': 'المالكي',
+            'madhab.hanbali': 'الحنبلي',
+            'madhabRuling.hanafi': 'تجب الزكاة في الحلي المستعمل',
+            'madhabRuling.shafii': 'لا زكاة في الحلي المعد للاستعمال المباح',
+            'madhabRuling.maliki': 'لا زكاة في الحلي المعد للاستعمال المباح',
+            'madhabRuling.hanbali': 'لا زكاة في الحلي المعد للاستعمال المباح',
+
+            // Gold, silver and cash
+            'gold.title': 'الذهب والمجوهرات',
+            'gold.descriptionPlaceholder': 'الوصف (مثال: سوار)',
+            'gold.personalUse': 'حلي للاستعمال الشخصي',
+            'gold.label': 'ذهب {purity}',
+            'gold.subtotal': '{purity}: {grams} = {pure} عيار 24 ({value})',
+            'silver.title': 'الفضة',
+            'silver.descriptionPlaceholder': 'الوصف (مثال: طقم فضة)',
+            'silver.label': 'فضة {purity}',
+            'silver.described': '{description} (فضة {purity})',
+            'cash.title': 'الأموال النقدية',
+            'cash.add': '+ إضافة عملة',
+            'rows.addItem': '+ إضافة قطعة',
+            'field.weight': 'الوزن (جرام)',
+            'field.karat': 'العيار',
+            'field.fineness': 'النقاوة (‰)',
+            'field.finenessShort': 'النقاوة',
+            'field.currency': 'العملة',
+            'field.amount': 'المبلغ',
+            'karat.option': 'عيار {karat}',
+            'fineness.option': 'نقاوة {fineness}‰',
+            'fineness.custom': 'نقاوة مخصصة (‰)',
+            'unit.grams': '{value} جرام',
+            'unit.grams24k': 'جرام عيار 24',
+            'unit.gramsPureSilver': 'جرام فضة خالصة',
+            'unit.kg': '{value} كجم',
+            'currency.choose': 'اختر العملة',
+            'currency.option': '{name} ({code})',
+            'currency.unspecified': 'عملة غير محددة',
+            'example.date': 'مثال: 1446-09-15',
+            'example.since': 'مثال: 1443-05-01',
+            'example.collected': 'مثال: 1446-08-20',
+            'example.995': 'مثال: 995',
+            'example.958': 'مثال: 958',
+            'example.30': 'مثال: 30',
+
+            // Exchange rates
+            'rates.title': 'إعدادات أسعار الصرف',
+            'rates.order': 'ترتيب المصادر:',
+            'rates.manualTitle': 'أسعار يدوية (عدد الوحدات مقابل 1 دولار أمريكي)',
+            'rates.manualHelp': 'تُستخدم الأسعار اليدوية عند إدخال سعر لكل العملات المستخدمة',
+            'rates.tableTitle': 'جدول أسعار (JSON أو CSV)',
+            'rates.tableClear': 'إزالة الجدول',
+            'rates.tableHelp': 'صيغة CSV: date,currency,rate (مثال: 2024-07-08,EGP,48.3)',
+            'rates.tableLoaded': 'تم تحميل {file} ({count} تاريخ)',
+            'rates.tableError': 'خطأ في جدول الأسعار: {message}',
+            'rates.cacheTitle': 'الأسعار المحفوظة',
+            'rates.cacheHelp': 'الأسعار التاريخية تحفظ دائماً، وأسعار اليوم تنتهي صلاحيتها تلقائياً',
+            'rates.cacheEmpty': 'لا توجد أسعار محفوظة',
+            'rates.cacheClear': 'مسح الأسعار المحفوظة',
+            'rates.cacheEntry': '{date} ({base}) - {provider}، {count} عملة، {expiry}',
+            'rates.permanent': 'دائم',
+            'rates.expires': 'ينتهي {time}',
+            'rates.expired': 'منتهي، يستخدم دون اتصال',
+            'rates.source': 'مصدر أسعار الصرف: {source}',
+            'rates.notice': 'ملاحظة: أسعار الصرف المستخدمة ليست أسعار التاريخ المحدد (الأسعار التاريخية تتطلب مفتاح API أو جدول أسعار)',
+            'rates.lastKnown': '{source} - آخر أسعار معروفة، حفظت {time}',
+            'rates.staleNotice': 'تعذر جلب أسعار صرف حديثة، والأسعار المستخدمة قديمة أو تقريبية. أدخل أسعاراً يدوية لنتيجة أدق.',
+            'rateProvider.manual': 'أسعار مدخلة يدوياً',
+            'rateProvider.table': 'جدول أسعار مستورد',
+            'rateProvider.remote': 'ExchangeRate-API',
+            'rateProvider.local-server': 'الخادم المحلي',
+            'rateProvider.fallback': 'أسعار تقريبية مدمجة',
+
+            // Investments, receivables, business and liabilities
+            'investments.title': 'الأسهم والصناديق وحسابات التقاعد',
+            'investments.add': '+ إضافة استثمار',
+            'investments.descriptionPlaceholder': 'الوصف (مثال: محفظة أسهم)',
+            'investments.entry': '{label} - {method}: {value} (من {market})',
+            'field.type': 'النوع',
+            'field.method': 'طريقة التقييم',
+            'field.marketValue': 'القيمة السوقية',
+            'field.zakatableRatio': 'نسبة الأصول الزكوية (%)',
+            'field.penalty': 'غرامة السحب والضرائب (%)',
+            'investmentType.shares': 'أسهم للتداول',
+            'investmentType.fund': 'صناديق استثمار أو ETF',
+            'investmentType.retirement': 'حساب تقاعد',
+            'investmentMethod.market': 'القيمة السوقية كاملة',
+            'investmentMethod.zakatable-ratio': 'نسبة الأصول الزكوية',
+            'investmentMethod.net-of-penalty': 'الصافي بعد غرامة السحب',
+            'receivables.title': 'ديون لك على الآخرين',
+            'receivables.help': 'الديون مرجوة السداد تضاف إلى ثروة هذا العام، والديون المشكوك فيها تحفظ حتى تحصيلها فتزكى عن السنوات الماضية',
+            'receivables.add': '+ إضافة دين',
+            'receivables.descriptionPlaceholder': 'الوصف (مثال: قرض لأخي)',
+            'receivables.since': 'تاريخ الدين (هجري، اختياري)',
+            'receivables.collectedDate': 'تاريخ التحصيل (هجري)',
+            'field.collectability': 'إمكانية التحصيل',
+            'receivable.likely': 'مرجو السداد',
+            'receivable.doubtful': 'مشكوك في تحصيله',
+            'receivable.collected': 'تم تحصيله بعد تعثر',
+            'receivable.doubtfulHint': 'لا يحتسب هذا العام ويحفظ حتى التحصيل',
+            'receivable.enterCollected': 'أدخل تاريخ التحصيل',
+            'receivable.pastYears': 'عدد السنوات السابقة التي تزكى: {years}',
+            'business.title': 'عروض التجارة',
+            'business.currency': 'عملة النشاط',
+            'business.countryCurrency': 'عملة البلد',
+            'business.inventory': 'قيمة البضاعة بسعر السوق',
+            'business.cash': 'نقد النشاط التجاري',
+            'business.receivables': 'ديون مرجوة التحصيل',
+            'business.payables': 'ديون على النشاط (تخصم)',
+            'business.net': 'الصافي =',
+            'business.hawl': 'بداية حول التجارة (هجري، اختياري)',
+            'business.inventoryShort': 'البضاعة',
+            'business.cashShort': 'النقد',
+            'business.receivablesShort': 'الديون المرجوة',
+            'business.payablesShort': 'ديون على النشاط',
+            'liabilities.title': 'الديون والالتزامات',
+            'liabilities.descriptionPlaceholder': 'الوصف (مثال: قسط سيارة)',
+            'liabilities.due': 'تاريخ الاستحقاق (هجري، اختياري)',
+            'liabilities.dueOn': 'يستحق في {date}',
+            'debtPolicy.label': 'خصم الديون من الوعاء الزكوي',
+            'debtPolicy.all': 'خصم جميع الديون',
+            'debtPolicy.within-year': 'خصم الديون المستحقة خلال سنة فقط',
+            'debtPolicy.none': 'عدم خصم الديون',
+
+            // Hawl
+            'hawl.label': 'تاريخ بلوغ النصاب (هجري، اختياري)',
+            'hawl.invalidDate': 'تاريخ هجري غير صحيح',
+            'hawl.completed': 'حال الحول في {date}',
+            'hawl.completes': 'يحين الحول في {date}',
+            'hawl.exempt': 'معفى - حلي للاستعمال الشخصي',
+            'hawl.noDate': 'لم يحدد تاريخ - يفترض مرور الحول',
+            'hawl.notYet': 'لم يحل الحول بعد - يحين في {date}',
+            'hawl.pending': 'لم يحل الحول بعد',
+
+            // Crops
+            'crops.title': 'الزروع والثمار',
+            'crops.help': 'النصاب خمسة أوسق (نحو 653 كجم) لكل محصول، والواجب العشر فيما سقي بلا كلفة ونصف العشر فيما سقي بكلفة',
+            'crops.add': '+ إضافة محصول',
+            'crops.descriptionPlaceholder': 'المحصول (مثال: قمح)',
+            'crops.valueEquals': 'القيمة =',
+            'crops.defaultLabel': 'محصول',
+            'crops.due': '{label}: {kg} × {rate}% = {dueKg} ({value})',
+            'crops.notReached': '{label}: {kg} - لم يبلغ النصاب',
+            'crops.nisabPerCrop': '{kg} لكل محصول',
+            'field.quantityKg': 'الكمية (كجم)',
+            'field.irrigation': 'طريقة الري',
+            'field.pricePerKg': 'سعر الكيلو',
+            'irrigation.rain': 'بلا كلفة - مطر أو أنهار (10%)',
+            'irrigation.irrigated': 'بكلفة - آلات أو شراء ماء (5%)',
+            'irrigation.mixed': 'مختلط (7.5%)',
+
+            // Livestock
+            'livestock.title': 'بهيمة الأنعام',
+            'livestock.camelsField': 'الإبل (النصاب 5)',
+            'livestock.cattleField': 'البقر والجاموس (النصاب 30)',
+            'livestock.sheepField': 'الغنم والماعز (النصاب 40)',
+            'livestock.grazing': 'سائمة (ترعى أكثر العام) وحال عليها الحول',
+            'livestock.pricesTitle': 'القيمة التقديرية للرأس المخرج (اختياري)',
+            'livestock.and': ' و',
+            'livestock.notReached': '{kind} ({count}): لم تبلغ النصاب ({nisab})',
+            'livestock.enterPrices': 'أدخل قيمة كل رأس مخرج لتقديرها',
+            'animalKind.camels': 'الإبل',
+            'animalKind.cattle': 'البقر',
+            'animalKind.sheep': 'الغنم',
+            'dueAnimal.sheep': 'شاة',
+            'dueAnimal.bint-makhad': 'بنت مخاض (أتمت سنة)',
+            'dueAnimal.bint-labun': 'بنت لبون (أتمت سنتين)',
+            'dueAnimal.hiqqa': 'حقة (أتمت ثلاث سنين)',
+            'dueAnimal.jadhaa': 'جذعة (أتمت أربع سنين)',
+            'dueAnimal.tabi': 'تبيع (أتم سنة)',
+            'dueAnimal.musinna': 'مسنة (أتمت سنتين)',
+
+            // Zakat al-fitr
+            'fitr.help': 'صاع من غالب قوت البلد عن كل فرد تعوله، تخرج قبل صلاة العيد',
+            'fitr.members': 'عدد أفراد الأسرة (شاملاً نفسك)',
+            'fitr.method': 'طريقة الإخراج',
+            'fitr.food': 'طعام',
+            'fitr.cash': 'قيمة نقدية',
+            'fitr.staple': 'نوع الطعام',
+            'fitr.kgPerSa': 'وزن الصاع (كجم)',
+            'fitr.cashPerPerson': 'القيمة عن الفرد',
+            'fitr.saPerPerson': 'صاع ({kg} {staple})',
+            'fitr.totalFood': '{kg} {staple}',
+            'fitr.deadlineText': 'قبل صلاة عيد الفطر {hijri} ({gregorian})',
+            'staple.wheat': 'قمح',
+            'staple.rice': 'أرز',
+            'staple.dates': 'تمر',
+            'staple.barley': 'شعير',
+            'staple.raisins': 'زبيب',
+
+            // Calculate button
+            'calculate.ready': 'احسب الزكاة',
+            'calculate.chooseCountryDate': 'اختر البلد والتاريخ أولاً',
+            'calculate.enterGoldPrice': 'أدخل سعر الذهب أولاً',
+            'calculate.enterSilverPrice': 'أدخل سعر الفضة أولاً',
+            'calculate.checkFineness': 'تحقق من نقاوة الذهب والفضة',
+            'calculate.checkInvestments': 'تحقق من نسب الاستثمارات',
+            'calculate.checkHawl': 'تحقق من تواريخ الحول',
+            'calculate.checkReceivables': 'تحقق من تواريخ الديون التي لك',
+            'calculate.checkLiabilities': 'تحقق من تواريخ استحقاق الديون',
+            'calculate.enterWealth': 'أدخل الذهب أو الفضة أو الأموال أو الاستثمارات أو عروض التجارة',
+            'calculate.enterCrops': 'أدخل كمية المحصول',
+            'calculate.enterCropPrices': 'أدخل سعر الكيلو لكل محصول',
+            'calculate.enterLivestock': 'أدخل أعداد الأنعام',
+            'calculate.livestockGrazing': 'تجب زكاة الأنعام في السائمة التي حال عليها الحول',
+            'calculate.enterMembers': 'أدخل عدد أفراد الأسرة',
+            'calculate.enterCashPerPerson': 'أدخل القيمة عن الفرد',
+            'calculate.enterKgPerSa': 'أدخل وزن الصاع',
+
+            // Errors
+            'error.chooseCountry': 'يرجى اختيار الدولة أولاً',
+            'error.rates': 'تعذر الحصول على أسعار الصرف',
+            'error.calculate': 'خطأ في حساب الزكاة',
+            'error.crops': 'خطأ في حساب زكاة الزروع',
+            'error.livestock': 'خطأ في حساب زكاة الأنعام',
+            'error.fitr': 'خطأ في حساب زكاة الفطر',
+            'error.pdf': 'تعذر إنشاء ملف PDF',
+
+            // Results
+            'results.title': 'نتيجة حساب الزكاة',
+            'results.madhab': 'الحكم المطبق في الحلي:',
+            'results.totalGold': 'إجمالي الذهب الخاضع للزكاة (عيار 24):',
+            'results.goldValue': 'قيمة الذهب الخاضع للزكاة:',
+            'results.exemptGold': 'الذهب المعفى (حلي الاستعمال الشخصي):',
+            'results.totalSilver': 'إجمالي الفضة الخالصة:',
+            'results.silverValue': 'قيمة الفضة:',
+            'results.totalCash': 'إجمالي الأموال النقدية:',
+            'results.investments': 'الاستثمارات الخاضعة للزكاة:',
+            'results.receivables': 'الديون مرجوة السداد:',
+            'results.doubtful': 'ديون مشكوك فيها (غير محتسبة):',
+            'results.business': 'صافي عروض التجارة:',
+            'results.grossWealth': 'إجمالي الثروة:',
+            'results.deducted': 'الديون المخصومة:',
+            'results.totalWealth': 'صافي الوعاء الزكوي:',
+            'results.nisabValue': 'قيمة النصاب:',
+            'results.nisabStatus': 'حالة النصاب:',
+            'results.rateSource': 'مصدر أسعار الصرف:',
+            'results.staleRates': 'تعتمد هذه النتيجة على أسعار صرف قديمة أو تقريبية: {source}',
+            'results.zakah': 'الزكاة الواجبة (2.5%):',
+            'results.pastZakah': 'منها زكاة سنوات سابقة عن ديون محصلة:',
+            'results.businessZakah': 'منها زكاة عروض التجارة:',
+            'results.noZakah': 'لا تجب الزكاة لأن إجمالي الثروة لم يبلغ النصاب',
+            'results.hawlTitle': 'الحول لكل أصل',
+            'results.deferred': 'أصول لم يحل عليها الحول (غير محسوبة):',
+            'results.nisab': '{value} ({grams} {basis})',
+            'results.basisGold': 'ذهب عيار 24',
+            'results.basisSilver': 'فضة',
+            'results.reached': 'بلغ النصاب',
+            'results.notReached': 'لم يبلغ النصاب',
+            'comparison.title': 'مقارنة بالعام السابق',
+            'comparison.titleYear': 'مقارنة بعام {year} ({date})',
+            'comparison.otherCurrency': 'حسبت زكاة عام {year} بعملة أخرى ({currency}) فلا يمكن مقارنة المبالغ',
+            'comparison.zakah': 'الزكاة: {previous} ← {current} ({change})',
+            'comparison.wealth': 'صافي الثروة: {previous} ← {current} ({change})',
+            'comparison.goldPrice': 'سعر جرام الذهب عيار 24: {previous} ← {current}{percent}',
+            'comparison.goldGrams': 'الذهب الخاضع للزكاة: {previous} ← {current} عيار 24',
+            'comparison.rate': '{currency}: {previous} ← {current}',
+            'change.goldPrice': 'تغير سعر الذهب',
+            'change.goldQuantity': 'تغير كمية الذهب',
+            'change.silverPrice': 'تغير سعر الفضة',
+            'change.silverQuantity': 'تغير كمية الفضة',
+            'change.exchangeRates': 'تغير أسعار الصرف',
+            'change.cashAmounts': 'تغير المبالغ النقدية',
+            'change.other': 'الاستثمارات والديون والتجارة والحول',
+            'report.print': 'طباعة التقرير',
+            'report.download': 'تنزيل التقرير PDF',
+            'report.title': 'تقرير حساب الزكاة',
+            'report.generated': 'أعد في {date}',
+            'report.general': 'بيانات الحساب',
+            'report.profile': 'الملف',
+            'report.hijriDate': 'التاريخ الهجري',
+            'report.gregorianDate': 'التاريخ الميلادي',
+            'report.country': 'البلد',
+            'report.currency': 'عملة الزكاة',
+            'report.madhab': 'المذهب في الحلي',
+            'report.nisabBasis': 'أساس النصاب',
+            'report.goldPrice': 'سعر جرام الذهب عيار {karat}',
+            'report.silverPrice': 'سعر جرام الفضة الخالصة',
+            'report.debtPolicy': 'خصم الديون',
+            'report.gold': 'الذهب',
+            'report.silver': 'الفضة',
+            'report.cash': 'الأموال النقدية',
+            'report.investments': 'الاستثمارات',
+            'report.receivables': 'الديون المستحقة للمزكي',
+            'report.business': 'عروض التجارة',
+            'report.liabilities': 'الديون على المزكي',
+            'report.rates': 'أسعار الصرف',
+            'report.rateSource': 'المصدر',
+            'report.totals': 'المجاميع',
+            'report.goldValue': 'قيمة الذهب الخاضع للزكاة',
+            'report.silverValue': 'قيمة الفضة',
+            'report.totalCash': 'إجمالي النقود',
+            'report.totalInvestments': 'الاستثمارات الخاضعة للزكاة',
+            'report.totalReceivables': 'الديون مرجوة السداد',
+            'report.businessValue': 'صافي عروض التجارة',
+            'report.grossWealth': 'إجمالي الثروة',
+            'report.deductedLiabilities': 'الديون المخصومة',
+            'report.totalWealth': 'صافي الوعاء الزكوي',
+            'report.deferredValue': 'أصول لم يحل عليها الحول',
+            'report.nisab': 'قيمة النصاب',
+            'report.nisabStatus': 'حالة النصاب',
+            'report.reached': 'بلغ النصاب',
+            'report.notReached': 'لم يبلغ النصاب',
+            'report.receivablesPastZakah': 'زكاة سنوات سابقة عن ديون محصلة',
+            'report.zakahAmount': 'الزكاة الواجبة',
+            'report.grams': '{value} جم',
+            'report.pure': 'خالص',
+            'report.exempt': 'معفى',
+            'report.deferred': 'لم يحل الحول',
+            'report.notDeducted': 'غير مخصوم',
+            'report.inventory': 'البضاعة',
+            'report.businessCash': 'النقد',
+            'report.businessReceivables': 'الذمم المدينة',
+            'report.payables': 'الذمم الدائنة',
+            'report.basis.gold': 'الذهب ({grams})',
+            'report.basis.silver': 'الفضة ({grams})',
+            'report.deduct.all': 'كل الديون',
+            'report.deduct.within-year': 'المستحقة خلال عام',
+            'report.deduct.none': 'لا تخصم',
+            'report.status.likely': 'مرجو',
+            'report.status.doubtful': 'مشكوك فيه',
+            'report.status.collected': 'محصل',
+            'report.investmentType.shares': 'أسهم',
+            'report.investmentType.fund': 'صندوق',
+            'report.investmentType.retirement': 'تقاعد',
+            'crops.resultTitle': 'نتيجة زكاة الزروع والثمار',
+            'crops.value': 'قيمة المحاصيل:',
+            'crops.nisab': 'نصاب الزروع:',
+            'crops.zakah': 'الزكاة الواجبة (العشر أو نصفه):',
+            'crops.noZakah': 'لا تجب الزكاة لأن المحصول لم يبلغ النصاب',
+            'livestock.resultTitle': 'نتيجة زكاة الأنعام',
+            'livestock.estimate': 'القيمة التقديرية للزكاة:',
+            'livestock.noZakah': 'لا تجب الزكاة لأن الأعداد لم تبلغ النصاب',
+            'fitr.resultTitle': 'نتيجة زكاة الفطر',
+            'fitr.resultMembers': 'عدد الأفراد:',
+            'fitr.perPerson': 'الواجب عن الفرد:',
+            'fitr.total': 'إجمالي زكاة الفطر:',
+            'fitr.deadline': 'آخر موعد للإخراج:'
+        },
+        en: {
+            // Page
+            'app.title': 'Islamic Zakah Calculator',
+            'app.subtitle': 'Calculate your zakah easily and accurately',
+            'language.label': 'Language',
+            'digits.label': 'Digits',
+            'digits.auto': 'As the language',
+            'digits.arab': 'Eastern Arabic ٠١٢٣',
+            'digits.latn': 'Latin 0123',
+            'offline.status': 'Offline - the calculator uses saved or manual exchange rates',
+            'common.total': 'Total:',
+            'common.remove': 'Remove',
+            'common.notePlaceholder': 'Note (optional)',
+            'common.listSeparator': ', ',
+            'common.arrow': '→',
+
+            // Profiles, history, payments, import and export
+            'profile.label': 'Profile',
+            'profile.namePlaceholder': 'Profile name (e.g. me, spouse, father)',
+            'profile.new': '+ New profile',
+            'profile.duplicate': 'Duplicate profile',
+            'profile.delete': 'Delete profile',
+            'profile.defaultName': 'Me',
+            'profile.newName': 'Profile {number}',
+            'profile.copyName': '{name} (copy)',
+            'profile.confirmDelete': 'Delete the profile "{name}" and all its data?',
+            'household.title': 'Household zakah summary',
+            'household.help': 'Shows the last calculated result of each profile',
+            'household.notCalculated': '{name}: not calculated yet',
+            'household.noCash': '{name} ({mode}): no cash value',
+            'household.entry': '{name} ({mode}, {date}): {amount}',
+            'history.title': 'Yearly zakah history',
+            'history.empty': 'No saved calculations for this profile yet',
+            'history.help': 'The last wealth calculation of every Hijri year is kept on this device',
+            'history.entry': '{year} ({date}): wealth {wealth}, gold {goldPrice} per gram, zakah {zakah}',
+            'history.rates': ', exchange rates: {rates}',
+            'payments.title': 'Zakah payments',
+            'payments.year': 'Zakah of',
+            'payments.due': 'Zakah due:',
+            'payments.paid': 'Paid:',
+            'payments.outstanding': 'Outstanding:',
+            'payments.datePlaceholder': 'Payment date (Hijri), e.g. 1446-09-15',
+            'payments.add': '+ Record payment',
+            'payments.help': 'Zakah may be paid early, before the hawl ends; payments dated before the calculation show as advance payments',
+            'payments.dueFrom': '{amount} (calculated {date})',
+            'payments.notCalculated': 'Not calculated yet',
+            'payments.paidWithAdvance': '{paid} ({advance} of it in advance)',
+            'payments.excess': '{amount} over',
+            'payments.unmatched': ' - {count} payments in another zakah currency are not counted',
+            'payments.advanceMark': ' (advance)',
+            'payments.categoryTotal': 'Total to {category}: {amount}',
+            'payments.invalidDate': 'Invalid payment date - use the format 1446-09-15',
+            'payments.enterAmount': 'Enter the payment amount',
+            'payments.noRate': 'No {currency} exchange rate is available for {date}',
+            'paymentStatus.none': 'No zakah due and no payments',
+            'paymentStatus.unpaid': 'Nothing paid yet',
+            'paymentStatus.underpaid': 'Underpaid - part of the zakah is outstanding',
+            'paymentStatus.paid': 'Zakah paid in full',
+            'paymentStatus.overpaid': 'Overpaid - more than the zakah due',
+            'paymentStatus.advance': 'Paid in advance - this year\'s zakah is not calculated yet',
+            'recipient.fuqara': 'The poor (al-fuqara)',
+            'recipient.masakin': 'The needy (al-masakin)',
+            'recipient.amilin': 'Zakah workers (al-amilin)',
+            'recipient.muallafah': 'Reconciling hearts (al-muallafah)',
+            'recipient.riqab': 'Freeing captives (al-riqab)',
+            'recipient.gharimin': 'Debtors (al-gharimin)',
+            'recipient.fi-sabilillah': 'In the cause of Allah (fi sabilillah)',
+            'recipient.ibn-sabil': 'Stranded travellers (ibn al-sabil)',
+            'transfer.title': 'Import and export',
+            'transfer.importHelp': 'A JSON file, or a CSV file with the columns type,description,amount,unit,date (see calculation-file.js)',
+            'transfer.exportJson': 'Export JSON',
+            'transfer.exportCsv': 'Export CSV',
+            'transfer.exportHelp': 'Exports include the last result and the exchange rates used, unless the inputs changed since',
+            'import.failed': 'Nothing imported: {count} errors in {file}',
+            'import.done': 'Imported {file}',
+
+            // Country, date and mode
+            'country.label': 'Choose the country',
+            'country.option': '{name} ({currency})',
+            'date.label': 'Zakah calculation date (Hijri)',
+            'date.year': 'Year',
+            'date.month': 'Month',
+            'date.day': 'Day',
+            'date.none': 'No date selected',
+            'date.format': '{day} {month} {year} AH',
+            'date.yearFormat': '{year} AH',
+            'month.1': 'Muharram',
+            'month.2': 'Safar',
+            'month.3': 'Rabi al-Awwal',
+            'month.4': 'Rabi al-Thani',
+            'month.5': 'Jumada al-Ula',
+            'month.6': 'Jumada al-Akhirah',
+            'month.7': 'Rajab',
+            'month.8': 'Shaban',
+            'month.9': 'Ramadan',
+            'month.10': 'Shawwal',
+            'month.11': 'Dhu al-Qadah',
+            'month.12': 'Dhu al-Hijjah',
+            'mode.label': 'Type of zakah',
+            'mode.option.wealth': 'Zakah on wealth (gold, silver, cash and trade)',
+            'mode.option.crops': 'Zakah on crops and fruits',
+            'mode.wealth': 'Zakah on wealth',
+            'mode.crops': 'Zakah on crops',
+            'mode.livestock': 'Zakah on livestock',
+            'mode.fitr': 'Zakat al-fitr',
+
+            // Prices and nisab
+            'price.gold': 'Price of 24k gold (per gram)',
+            'price.silver': 'Price of pure silver (per gram)',
+            'price.lookup': '🔗 Look up the price for this date',
+            'price.goldPlaceholder': 'Enter the gold price',
+            'price.silverPlaceholder': 'Enter the silver price',
+            'price.goldHelp': 'Enter the price of one gram of 24k gold on the selected date',
+            'price.silverHelp': 'Needed when you enter silver or use the silver nisab',
+            'price.goldLinkTitle': 'Search for the 24k gold price on {date}',
+            'price.silverLinkTitle': 'Search for the pure silver price on {date}',
+            'status.converting': 'Converting currencies...',
+            'status.loadingRates': 'Fetching historical rates...',
+            'nisabBasis.label': 'Nisab basis',
+            'nisabBasis.gold': 'Gold (85 g of 24k)',
+            'nisabBasis.silver': 'Silver (595 g)',
+            'madhab.label': 'School of law on jewelry',
+            'madhab.option': '{name} school',
+            'madhab.result': '{name} school: {ruling}',
+            'madhab.hanafi': 'Hanafi',
+            'madhab.shafii': 'Shafi\'i',
+            'madhab.maliki': 'Maliki',
+            'madhab.hanbali': 'Hanbali',
+            'madhabRuling.hanafi': 'Zakah is due on jewelry in use',
+            'madhabRuling.shafii': 'No zakah on jewelry kept for permissible use',
+            'madhabRuling.maliki': 'No zakah on jewelry kept for permissible use',
+            'madhabRuling.hanbali': 'No zakah on jewelry kept for permissible use',
+
+            // Gold, silver and cash
+            'gold.title': 'Gold and jewelry',
+            'gold.descriptionPlaceholder': 'Description (e.g. bracelet)',
+            'gold.personalUse': 'Jewelry for personal use',
+            'gold.label': 'Gold {purity}',
+            'gold.subtotal': '{purity}: {grams} = {pure} of 24k ({value})',
+            'silver.title': 'Silver',
+            'silver.descriptionPlaceholder': 'Description (e.g. silver set)',
+            'silver.label': 'Silver {purity}',
+            'silver.described': '{description} (silver {purity})',
+            'cash.title': 'Cash',
+            'cash.add': '+ Add currency',
+            'rows.addItem': '+ Add item',
+            'field.weight': 'Weight (g)',
+            'field.karat': 'Karat',
+            'field.fineness': 'Fineness (‰)',
+            'field.finenessShort': 'Fineness',
+            'field.currency': 'Currency',
+            'field.amount': 'Amount',
+            'karat.option': '{karat}k',
+            'fineness.option': 'fineness {fineness}‰',
+            'fineness.custom': 'Custom fineness (‰)',
+            'unit.grams': '{value} g',
+            'unit.grams24k': 'g of 24k',
+            'unit.gramsPureSilver': 'g of pure silver',
+            'unit.kg': '{value} kg',
+            'currency.choose': 'Choose the currency',
+            'currency.option': '{name} ({code})',
+            'currency.unspecified': 'Unspecified currency',
+            'example.date': 'e.g. 1446-09-15',
+            'example.since': 'e.g. 1443-05-01',
+            'example.collected': 'e.g. 1446-08-20',
+            'example.995': 'e.g. 995',
+            'example.958': 'e.g. 958',
+            'example.30': 'e.g. 30',
+
+            // Exchange rates
+            'rates.title': 'Exchange rate settings',
+            'rates.order': 'Provider order:',
+            'rates.manualTitle': 'Manual rates (units per 1 US dollar)',
+            'rates.manualHelp': 'Manual rates are used once every currency in use has a rate',
+            'rates.tableTitle': 'Rate table (JSON or CSV)',
+            'rates.tableClear': 'Remove the table',
+            'rates.tableHelp': 'CSV format: date,currency,rate (e.g. 2024-07-08,EGP,48.3)',
+            'rates.tableLoaded': 'Loaded {file} ({count} dates)',
+            'rates.tableError': 'Rate table error: {message}',
+            'rates.cacheTitle': 'Saved rates',
+            'rates.cacheHelp': 'Historical rates are kept for good; today\'s rates expire automatically',
+            'rates.cacheEmpty': 'No saved rates',
+            'rates.cacheClear': 'Clear saved rates',
+            'rates.cacheEntry': '{date} ({base}) - {provider}, {count} currencies, {expiry}',
+            'rates.permanent': 'permanent',
+            'rates.expires': 'expires {time}',
+            'rates.expired': 'expired, used offline',
+            'rates.source': 'Exchange rate source: {source}',
+            'rates.notice': 'Note: the exchange rates used are not those of the selected date (historical rates need an API key or a rate table)',
+            'rates.lastKnown': '{source} - last known rates, saved {time}',
+            'rates.staleNotice': 'Current exchange rates could not be fetched; the rates used are stale or approximate. Enter manual rates for a more accurate result.',
+            'rateProvider.manual': 'Manually entered rates',
+            'rateProvider.table': 'Imported rate table',
+            'rateProvider.remote': 'ExchangeRate-API',
+            'rateProvider.local-server': 'Local server',
+            'rateProvider.fallback': 'Built-in approximate rates',
+
+            // Investments, receivables, business and liabilities
+            'investments.title': 'Shares, funds and retirement accounts',
+            'investments.add': '+ Add investment',
+            'investments.descriptionPlaceholder': 'Description (e.g. share portfolio)',
+            'investments.entry': '{label} - {method}: {value} (of {market})',
+            'field.type': 'Type',
+            'field.method': 'Valuation method',
+            'field.marketValue': 'Market value',
+            'field.zakatableRatio': 'Zakatable assets (%)',
+            'field.penalty': 'Withdrawal penalty and taxes (%)',
+            'investmentType.shares': 'Traded shares',
+            'investmentType.fund': 'Investment funds or ETFs',
+            'investmentType.retirement': 'Retirement account',
+            'investmentMethod.market': 'Full market value',
+            'investmentMethod.zakatable-ratio': 'Zakatable asset ratio',
+            'investmentMethod.net-of-penalty': 'Net of withdrawal penalty',
+            'receivables.title': 'Money owed to you',
+            'receivables.help': 'Debts likely to be repaid are added to this year\'s wealth; doubtful debts wait until collected and are then paid for the past years',
+            'receivables.add': '+ Add debt',
+            'receivables.descriptionPlaceholder': 'Description (e.g. loan to my brother)',
+            'receivables.since': 'Date of the loan (Hijri, optional)',
+            'receivables.collectedDate': 'Collection date (Hijri)',
+            'field.collectability': 'Likelihood of repayment',
+            'receivable.likely': 'Likely to be repaid',
+            'receivable.doubtful': 'Doubtful',
+            'receivable.collected': 'Collected after default',
+            'receivable.doubtfulHint': 'Not counted this year; kept until collected',
+            'receivable.enterCollected': 'Enter the collection date',
+            'receivable.pastYears': 'Past years to pay zakah for: {years}',
+            'business.title': 'Trade goods',
+            'business.currency': 'Business currency',
+            'business.countryCurrency': 'Country currency',
+            'business.inventory': 'Inventory at market price',
+            'business.cash': 'Business cash',
+            'business.receivables': 'Receivables likely to be collected',
+            'business.payables': 'Business payables (deducted)',
+            'business.net': 'Net =',
+            'business.hawl': 'Start of the trade hawl (Hijri, optional)',
+            'business.inventoryShort': 'Inventory',
+            'business.cashShort': 'Cash',
+            'business.receivablesShort': 'Receivables',
+            'business.payablesShort': 'Payables',
+            'liabilities.title': 'Debts and liabilities',
+            'liabilities.descriptionPlaceholder': 'Description (e.g. car installment)',
+            'liabilities.due': 'Due date (Hijri, optional)',
+            'liabilities.dueOn': 'Due on {date}',
+            'debtPolicy.label': 'Deducting debts from zakatable wealth',
+            'debtPolicy.all': 'Deduct all debts',
+            'debtPolicy.within-year': 'Deduct only debts due within a year',
+            'debtPolicy.none': 'Do not deduct debts',
+
+            // Hawl
+            'hawl.label': 'Date the nisab was reached (Hijri, optional)',
+            'hawl.invalidDate': 'Invalid Hijri date',
+            'hawl.completed': 'Hawl completed on {date}',
+            'hawl.completes': 'Hawl completes on {date}',
+            'hawl.exempt': 'Exempt - personal jewelry',
+            'hawl.noDate': 'No date - hawl assumed complete',
+            'hawl.notYet': 'Hawl not complete - completes on {date}',
+            'hawl.pending': 'Hawl not complete yet',
+
+            // Crops
+            'crops.title': 'Crops and fruits',
+            'crops.help': 'The nisab is five awsuq (about 653 kg) per crop; a tenth is due on crops watered without cost and half a tenth on crops watered at a cost',
+            'crops.add': '+ Add crop',
+            'crops.descriptionPlaceholder': 'Crop (e.g. wheat)',
+            'crops.valueEquals': 'Value =',
+            'crops.defaultLabel': 'Crop',
+            'crops.due': '{label}: {kg} × {rate}% = {dueKg} ({value})',
+            'crops.notReached': '{label}: {kg} - below the nisab',
+            'crops.nisabPerCrop': '{kg} per crop',
+            'field.quantityKg': 'Quantity (kg)',
+            'field.irrigation': 'Irrigation',
+            'field.pricePerKg': 'Price per kg',
+            'irrigation.rain': 'Without cost - rain or rivers (10%)',
+            'irrigation.irrigated': 'At a cost - machines or bought water (5%)',
+            'irrigation.mixed': 'Mixed (7.5%)',
+
+            // Livestock
+            'livestock.title': 'Livestock',
+            'livestock.camelsField': 'Camels (nisab 5)',
+            'livestock.cattleField': 'Cattle and buffalo (nisab 30)',
+            'livestock.sheepField': 'Sheep and goats (nisab 40)',
+            'livestock.grazing': 'Grazing (pastured most of the year) and held for a full hawl',
+            'livestock.pricesTitle': 'Estimated value of each animal due (optional)',
+            'livestock.and': ' and ',
+            'livestock.notReached': '{kind} ({count}): below the nisab ({nisab})',
+            'livestock.enterPrices': 'Enter the value of each animal due to estimate it',
+            'animalKind.camels': 'Camels',
+            'animalKind.cattle': 'Cattle',
+            'animalKind.sheep': 'Sheep and goats',
+            'dueAnimal.sheep': 'sheep',
+            'dueAnimal.bint-makhad': 'bint makhad (she-camel in its second year)',
+            'dueAnimal.bint-labun': 'bint labun (she-camel in its third year)',
+            'dueAnimal.hiqqa': 'hiqqah (she-camel in its fourth year)',
+            'dueAnimal.jadhaa': 'jadhaah (she-camel in its fifth year)',
+            'dueAnimal.tabi': 'tabi (calf in its second year)',
+            'dueAnimal.musinna': 'musinnah (cow in its third year)',
+
+            // Zakat al-fitr
+            'fitr.help': 'One sa\' of the local staple food for every person you support, given before the Eid prayer',
+            'fitr.members': 'Household members (including yourself)',
+            'fitr.method': 'Payment method',
+            'fitr.food': 'Food',
+            'fitr.cash': 'Cash value',
+            'fitr.staple': 'Staple food',
+            'fitr.kgPerSa': 'Weight of one sa\' (kg)',
+            'fitr.cashPerPerson': 'Value per person',
+            'fitr.saPerPerson': 'One sa\' ({kg} of {staple})',
+            'fitr.totalFood': '{kg} of {staple}',
+            'fitr.deadlineText': 'Before the Eid al-Fitr prayer on {hijri} ({gregorian})',
+            'staple.wheat': 'wheat',
+            'staple.rice': 'rice',
+            'staple.dates': 'dates',
+            'staple.barley': 'barley',
+            'staple.raisins': 'raisins',
+
+            // Calculate button
+            'calculate.ready': 'Calculate zakah',
+            'calculate.chooseCountryDate': 'Choose the country and date first',
+            'calculate.enterGoldPrice': 'Enter the gold price first',
+            'calculate.enterSilverPrice': 'Enter the silver price first',
+            'calculate.checkFineness': 'Check the gold and silver fineness',
+            'calculate.checkInvestments': 'Check the investment percentages',
+            'calculate.checkHawl': 'Check the hawl dates',
+            'calculate.checkReceivables': 'Check the dates of money owed to you',
+            'calculate.checkLiabilities': 'Check the debt due dates',
+            'calculate.enterWealth': 'Enter gold, silver, cash, investments or trade goods',
+            'calculate.enterCrops': 'Enter the crop quantity',
+            'calculate.enterCropPrices': 'Enter the price per kg of every crop',
+            'calculate.enterLivestock': 'Enter the number of animals',
+            'calculate.livestockGrazing': 'Zakah is due on grazing livestock held for a full hawl',
+            'calculate.enterMembers': 'Enter the number of household members',
+            'calculate.enterCashPerPerson': 'Enter the value per person',
+            'calculate.enterKgPerSa': 'Enter the weight of one sa\'',
+
+            // Errors
+            'error.chooseCountry': 'Please choose the country first',
+            'error.rates': 'Could not get the exchange rates',
+            'error.calculate': 'Error calculating the zakah',
+            'error.crops': 'Error calculating the zakah on crops',
+            'error.livestock': 'Error calculating the zakah on livestock',
+            'error.fitr': 'Error calculating zakat al-fitr',
+            'error.pdf': 'Could not create the PDF file',
+
+            // Results
+            'results.title': 'Zakah result',
+            'results.madhab': 'Ruling applied to jewelry:',
+            'results.totalGold': 'Zakatable gold (24k):',
+            'results.goldValue': 'Zakatable gold value:',
+            'results.exemptGold': 'Exempt gold (personal jewelry):',
+            'results.totalSilver': 'Total pure silver:',
+            'results.silverValue': 'Silver value:',
+            'results.totalCash': 'Total cash:',
+            'results.investments': 'Zakatable investments:',
+            'results.receivables': 'Receivables likely to be repaid:',
+            'results.doubtful': 'Doubtful debts (not counted):',
+            'results.business': 'Net trade goods:',
+            'results.grossWealth': 'Gross wealth:',
+            'results.deducted': 'Debts deducted:',
+            'results.totalWealth': 'Net zakatable wealth:',
+            'results.nisabValue': 'Nisab value:',
+            'results.nisabStatus': 'Nisab status:',
+            'results.rateSource': 'Exchange rate source:',
+            'results.staleRates': 'This result relies on stale or approximate exchange rates: {source}',
+            'results.zakah': 'Zakah due (2.5%):',
+            'results.pastZakah': 'Of which past years on collected debts:',
+            'results.businessZakah': 'Of which zakah on trade goods:',
+            'results.noZakah': 'No zakah is due because total wealth is below the nisab',
+            'results.hawlTitle': 'Hawl of each asset',
+            'results.deferred': 'Assets before their hawl (not counted):',
+            'results.nisab': '{value} ({grams} of {basis})',
+            'results.basisGold': '24k gold',
+            'results.basisSilver': 'silver',
+            'results.reached': 'Nisab reached',
+            'results.notReached': 'Below the nisab',
+            'comparison.title': 'Comparison with the previous year',
+            'comparison.titleYear': 'Comparison with {year} ({date})',
+            'comparison.otherCurrency': 'The zakah of {year} was calculated in another currency ({currency}), so the amounts cannot be compared',
+            'comparison.zakah': 'Zakah: {previous} → {current} ({change})',
+            'comparison.wealth': 'Net wealth: {previous} → {current} ({change})',
+            'comparison.goldPrice': 'Price of 1g of 24k gold: {previous} → {current}{percent}',
+            'comparison.goldGrams': 'Zakatable gold: {previous} → {current} of 24k',
+            'comparison.rate': '{currency}: {previous} → {current}',
+            'change.goldPrice': 'Gold price change',
+            'change.goldQuantity': 'Gold quantity change',
+            'change.silverPrice': 'Silver price change',
+            'change.silverQuantity': 'Silver quantity change',
+            'change.exchangeRates': 'Exchange rate moves',
+            'change.cashAmounts': 'Cash amount change',
+            'change.other': 'Investments, debts, trade and hawl',
+            'report.print': 'Print report',
+            'report.download': 'Download PDF report',
+            'report.title': 'Zakah Calculation Report',
+            'report.generated': 'Generated on {date}',
+            'report.general': 'Calculation details',
+            'report.profile': 'Profile',
+            'report.hijriDate': 'Hijri date',
+            'report.gregorianDate': 'Gregorian date',
+            'report.country': 'Country',
+            'report.currency': 'Zakah currency',
+            'report.madhab': 'Ruling on jewelry',
+            'report.nisabBasis': 'Nisab basis',
+            'report.goldPrice': 'Price of 1g of {karat}k gold',
+            'report.silverPrice': 'Price of 1g of pure silver',
+            'report.debtPolicy': 'Debt deduction',
+            'report.gold': 'Gold',
+            'report.silver': 'Silver',
+            'report.cash': 'Cash',
+            'report.investments': 'Investments',
+            'report.receivables': 'Money owed to you',
+            'report.business': 'Trade goods',
+            'report.liabilities': 'Debts you owe',
+            'report.rates': 'Exchange rates',
+            'report.rateSource': 'Source',
+            'report.totals': 'Totals',
+            'report.goldValue': 'Zakatable gold value',
+            'report.silverValue': 'Silver value',
+            'report.totalCash': 'Total cash',
+            'report.totalInvestments': 'Zakatable investments',
+            'report.totalReceivables': 'Receivables likely to be repaid',
+            'report.businessValue': 'Net trade goods',
+            'report.grossWealth': 'Gross wealth',
+            'report.deductedLiabilities': 'Debts deducted',
+            'report.totalWealth': 'Net zakatable wealth',
+            'report.deferredValue': 'Assets before their hawl',
+            'report.nisab': 'Nisab value',
+            'report.nisabStatus': 'Nisab status',
+            'report.reached': 'Reached',
+            'report.notReached': 'Not reached',
+            'report.receivablesPastZakah': 'Past years on collected debts',
+            'report.zakahAmount': 'Zakah due',
+            'report.grams': '{value} g',
+            'report.pure': 'pure',
+            'report.exempt': 'exempt',
+            'report.deferred': 'hawl not complete',
+            'report.notDeducted': 'not deducted',
+            'report.inventory': 'Inventory',
+            'report.businessCash': 'Cash',
+            'report.businessReceivables': 'Receivables',
+            'report.payables': 'Payables',
+            'report.basis.gold': 'Gold ({grams})',
+            'report.basis.silver': 'Silver ({grams})',
+            'report.deduct.all': 'All debts',
+            'report.deduct.within-year': 'Due within a year',
+            'report.deduct.none': 'None',
+            'report.status.likely': 'likely',
+            'report.status.doubtful': 'doubtful',
+            'report.status.collected': 'collected',
+            'report.investmentType.shares': 'Shares',
+            'report.investmentType.fund': 'Fund',
+            'report.investmentType.retirement': 'Retirement',
+            'crops.resultTitle': 'Zakah on crops',
+            'crops.value': 'Crop value:',
+            'crops.nisab': 'Crop nisab:',
+            'crops.zakah': 'Zakah due (a tenth or half of it):',
+            'crops.noZakah': 'No zakah is due because no crop reached the nisab',
+            'livestock.resultTitle': 'Zakah on livestock',
+            'livestock.estimate': 'Estimated value of the zakah:',
+            'livestock.noZakah': 'No zakah is due because the herds are below the nisab',
+            'fitr.resultTitle': 'Zakat al-fitr',
+            'fitr.resultMembers': 'People:',
+            'fitr.perPerson': 'Due per person:',
+            'fitr.total': 'Total zakat al-fitr:',
+            'fitr.deadline': 'Deadline:'
+        }
+    };
+
+    let language = 'ar';
+    let digits = 'auto';
+    let region = null; // Locale of the selected country, e.g. 'ar-EG'
+
+    function setLanguage(lang) {
+        language = LANGUAGES.includes(lang) ? lang : 'ar';
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    function getDir() {
+        return language === 'ar' ? 'rtl' : 'ltr';
+    }
+
+    function setDigits(value) {
+        digits = DIGITS.includes(value) ? value : 'auto';
+    }
+
+    function getDigits() {
+        return digits;
+    }
+
+    function setRegion(locale) {
+        region = locale || null;
+    }
+
+    function getLocale() {
+        // The country's locale when it is in the interface language (for its
+        // grouping and decimal marks), then the chosen digits as a -u-nu- tag
+        const base = region && region.split('-')[0] === language ? region : language;
+        return digits === 'auto' ? base : `${base}-u-nu-${digits}`;
+    }
+
+    function t(key, params) {
+        const catalog = MESSAGES[language];
+        let text = key in catalog ? catalog[key] : MESSAGES.ar[key];
+        if (text === undefined) return key;
+
+        if (params) {
+            text = text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+        return text;
+    }
+
+    function has(key) {
+        return key in MESSAGES.ar;
+    }
+
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(getLocale(), options).format(value);
+    }
+
+    function formatMoney(value, currency, options) {
+        // Amount with the currency name, e.g. '9,250 Egyptian pounds'
+        try {
+            return new Intl.NumberFormat(getLocale(), Object.assign({
+                style: 'currency',
+                currency: currency,
+                currencyDisplay: 'name',
+                minimumFractionDigits: 0
+            }, options)).format(value);
+        } catch (error) {
+            // Unknown or missing currency code
+            return `${formatNumber(value, options)} ${currency || ''}`.trim();
+        }
+    }
+
+    function formatHijriDate(hijriDate) {
+        // { year, month, day } as e.g. '1 Ramadan 1446 AH'
+        const plain = { useGrouping: false };
+        return t('date.format', {
+            day: formatNumber(hijriDate.day, plain),
+            month: t(`month.${hijriDate.month}`),
+            year: formatNumber(hijriDate.year, plain)
+        });
+    }
+
+    function formatHijriYear(year) {
+        return t('date.yearFormat', { year: formatNumber(year, { useGrouping: false }) });
+    }
+
+    function formatGregorianDate(date) {
+        return date.toLocaleDateString(getLocale(), { timeZone: 'UTC', dateStyle: 'long' });
+    }
+
+    function translateElement(element) {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : null;
+        if (element.dataset.i18n) element.textContent = t(element.dataset.i18n, params);
+        if (element.dataset.i18nPlaceholder) element.placeholder = t(element.dataset.i18nPlaceholder, params);
+        if (element.dataset.i18nTitle) element.title = t(element.dataset.i18nTitle, params);
+    }
+
+    function translatePage(root) {
+        const selector = '[data-i18n], [data-i18n-placeholder], [data-i18n-title]';
+        root.querySelectorAll(selector).forEach(translateElement);
+        root.querySelectorAll('template').forEach(template => translatePage(template.content));
+    }
+
+    function label(element, key, params) {
+        // Set translated text and remember the key so translatePage updates it
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = t(key, params);
+        return element;
+    }
+
+    return {
+        LANGUAGES: LANGUAGES,
+        DIGITS: DIGITS,
+        MESSAGES: MESSAGES,
+        setLanguage: setLanguage,
+        getLanguage: getLanguage,
+        getDir: getDir,
+        setDigits: setDigits,
+        getDigits: getDigits,
+        setRegion: setRegion,
+        getLocale: getLocale,
+        t: t,
+        has: has,
+        formatNumber: formatNumber,
+        formatMoney: formatMoney,
+        formatHijriDate: formatHijriDate,
+        formatHijriYear: formatHijriYear,
+        formatGregorianDate: formatGregorianDate,
+        translatePage: translatePage,
+        label: label
+    };
+});
@@ -0,0 +1,61 @@
+// JSON Storage
+//
+// One JSON value kept under a key of a Web Storage object (anything with
+// getItem/setItem/removeItem, e.g. localStorage). The rate cache, profiles,
+// zakah history and payments persist their data through it. Without a
+// storage object nothing is persisted and the caller's data lives in memory
+// only. Corrupt data and full or blocked storage are logged, never thrown,
+// so a storage problem cannot stop a calculation.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.JsonStorage = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class JsonStorage {
+        constructor(storage, key, label) {
+            this.storage = storage || null;
+            this.key = key;
+            this.label = label; // Names the data in error messages
+        }
+
+        read(fallback) {
+            // The stored value, or fallback when there is none or it is unreadable
+            if (!this.storage) return fallback;
+
+            try {
+                const value = JSON.parse(this.storage.getItem(this.key) || 'null');
+                return value === null ? fallback : value;
+            } catch (error) {
+                console.error(`Error reading ${this.label}:`, error);
+                return fallback;
+            }
+        }
+
+        write(value) {
+            if (!this.storage) return;
+
+            try {
+                this.storage.setItem(this.key, JSON.stringify(value));
+            } catch (error) {
+                console.error(`Error saving ${this.label}:`, error);
+            }
+        }
+
+        remove() {
+            if (!this.storage) return;
+
+            try {
+                this.storage.removeItem(this.key);
+            } catch (error) {
+                console.error(`Error removing ${this.label}:`, error);
+            }
+        }
+    }
+
+    return JsonStorage;
+});
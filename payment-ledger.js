@@ -0,0 +1,155 @@
+// Zakah Payments
+//
+// Disbursements recorded against the zakah of a profile for a Hijri year.
+// The obligation they are paid against is the ZakahHistory entry of that
+// year, i.e. the last calculateZakah result. Each payment holds:
+//
+//     id              'payment-N'
+//     profileId       profile the zakah belongs to
+//     hijriYear       year of the obligation being paid
+//     date            Hijri payment date 'YYYY-MM-DD'
+//     amount          amount paid, in currency
+//     currency        currency paid in
+//     value           the amount in valueCurrency (the zakah currency) on the
+//                     payment date, used for the balance
+//     valueCurrency
+//     category        recipient category, see ZakahEngine.RECIPIENT_CATEGORIES
+//     note            optional text (e.g. the recipient)
+//
+// Payments dated before the obligation's calculation date are advance
+// payments (ta'jil), made before the hawl ended. They may also be recorded
+// for a year that has no calculation yet.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./hijri-calendar.js'), require('./zakah-engine.js'), require('./json-storage.js'));
+    } else {
+        root.PaymentLedger = factory(root.HijriCalendar, root.ZakahEngine, root.JsonStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (HijriCalendar, ZakahEngine, JsonStorage) {
+    'use strict';
+
+    const STORAGE_KEY = 'zakah-payments';
+
+    // Differences below half a cent count as settled
+    const TOLERANCE = 0.005;
+
+    function isAdvance(payment, obligation) {
+        // Paid before the zakah was calculated, i.e. before the hawl ended
+        return !obligation ||
+            HijriCalendar.compare(HijriCalendar.parse(payment.date), HijriCalendar.parse(obligation.hijriDate)) < 0;
+    }
+
+    function getBalance(obligation, payments) {
+        // Running balance of an obligation ({ zakahAmount, currency, hijriDate },
+        // or null before it is calculated). Payments valued in another
+        // currency cannot be added up and are returned as unmatched.
+        const currency = obligation ? obligation.currency : (payments.length ? payments[0].valueCurrency : null);
+        const matched = payments.filter(payment => payment.valueCurrency === currency);
+        const balance = {
+            due: obligation ? obligation.zakahAmount : null,
+            currency: currency,
+            paid: 0,
+            advance: 0,
+            outstanding: null,
+            overpaid: null,
+            status: null,
+            byCategory: {},
+            unmatched: payments.filter(payment => payment.valueCurrency !== currency)
+        };
+
+        matched.forEach(payment => {
+            balance.paid += payment.value;
+            balance.byCategory[payment.category] = (balance.byCategory[payment.category] || 0) + payment.value;
+            if (isAdvance(payment, obligation)) {
+                balance.advance += payment.value;
+            }
+        });
+
+        if (!obligation) {
+            balance.status = matched.length ? 'advance' : 'none';
+            return balance;
+        }
+
+        const difference = balance.paid - balance.due;
+        balance.outstanding = Math.max(0, -difference);
+        balance.overpaid = Math.max(0, difference);
+        if (Math.abs(difference) < TOLERANCE) {
+            balance.status = balance.due > 0 ? 'paid' : 'none';
+        } else if (difference > 0) {
+            balance.status = 'overpaid';
+        } else {
+            balance.status = balance.paid > 0 ? 'underpaid' : 'unpaid';
+        }
+        return balance;
+    }
+
+    class PaymentLedger {
+        constructor(storage) {
+            this.store = new JsonStorage(storage, STORAGE_KEY, 'zakah payments');
+            this.data = this.store.read({ nextId: 1, payments: [] });
+        }
+
+        save() {
+            this.store.write(this.data);
+        }
+
+        add(payment) {
+            if (!HijriCalendar.isValid(HijriCalendar.parse(payment.date || ''))) {
+                throw new RangeError(`Invalid payment date: ${payment.date}`);
+            }
+            if (!(payment.amount > 0) || !(payment.value >= 0)) {
+                throw new RangeError(`Invalid payment amount: ${payment.amount}`);
+            }
+            if (!ZakahEngine.RECIPIENT_CATEGORIES.includes(payment.category)) {
+                throw new RangeError(`Unknown recipient category: ${payment.category}`);
+            }
+
+            const stored = {
+                id: `payment-${this.data.nextId++}`,
+                profileId: payment.profileId,
+                hijriYear: payment.hijriYear,
+                date: payment.date,
+                amount: payment.amount,
+                currency: payment.currency,
+                value: payment.value,
+                valueCurrency: payment.valueCurrency,
+                category: payment.category,
+                note: payment.note || ''
+            };
+            this.data.payments.push(stored);
+            this.save();
+            return stored;
+        }
+
+        remove(id) {
+            this.data.payments = this.data.payments.filter(payment => payment.id !== id);
+            this.save();
+        }
+
+        list(profileId, hijriYear) {
+            // Payments against one obligation, oldest first
+            return this.data.payments
+                .filter(payment => payment.profileId === profileId && payment.hijriYear === hijriYear)
+                .sort((a, b) => HijriCalendar.compare(HijriCalendar.parse(a.date), HijriCalendar.parse(b.date)));
+        }
+
+        getYears(profileId) {
+            // Hijri years with at least one payment
+            const years = this.data.payments
+                .filter(payment => payment.profileId === profileId)
+                .map(payment => payment.hijriYear);
+            return years.filter((year, index) => years.indexOf(year) === index);
+        }
+
+        removeProfile(profileId) {
+            this.data.payments = this.data.payments.filter(payment => payment.profileId !== profileId);
+            this.save();
+        }
+    }
+
+    PaymentLedger.isAdvance = isAdvance;
+    PaymentLedger.getBalance = getBalance;
+
+    return PaymentLedger;
+});
@@ -0,0 +1,116 @@
+// Minimal PDF Writer
+//
+// Builds a PDF from page images without any library or network access:
+//
+//     const bytes = PdfWriter.create([
+//         { jpeg: Uint8Array, width: 1240, height: 1754 }   // pixels
+//     ]);
+//
+// Every JPEG fills one A4 page. Pages are images, so text is not
+// selectable, but any script the browser can draw (including Arabic) is
+// rendered exactly as on screen.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PdfWriter = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // A4 in points (1/72 inch)
+    const A4_WIDTH = 595.28;
+    const A4_HEIGHT = 841.89;
+
+    function toBytes(text) {
+        // PDF structure is plain ASCII
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    function dataUrlToBytes(dataUrl) {
+        // 'data:image/jpeg;base64,...' as raw bytes
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function create(pages) {
+        if (!pages || !pages.length) {
+            throw new Error('A PDF needs at least one page');
+        }
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = data => {
+            const bytes = typeof data === 'string' ? toBytes(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = number => {
+            offsets[number] = length;
+            write(`${number} 0 obj\n`);
+        };
+
+        // Objects: 1 catalog, 2 page tree, then page, content and image per page
+        const pageNumber = index => 3 + index * 3;
+        write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        startObject(2);
+        const kids = pages.map((page, index) => `${pageNumber(index)} 0 R`).join(' ');
+        write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+        pages.forEach((page, index) => {
+            const number = pageNumber(index);
+            const content = `q ${A4_WIDTH} 0 0 ${A4_HEIGHT} 0 0 cm /Im${index} Do Q\n`;
+
+            startObject(number);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4_WIDTH} ${A4_HEIGHT}] ` +
+                `/Resources << /XObject << /Im${index} ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`);
+
+            startObject(number + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+            startObject(number + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        // Cross-reference table with the byte offset of every object
+        const count = offsets.length;
+        const xrefOffset = length;
+        write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+        for (let number = 1; number < count; number++) {
+            write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(bytes => {
+            pdf.set(bytes, position);
+            position += bytes.length;
+        });
+        return pdf;
+    }
+
+    return {
+        A4_WIDTH: A4_WIDTH,
+        A4_HEIGHT: A4_HEIGHT,
+        create: create,
+        dataUrlToBytes: dataUrlToBytes
+    };
+});
@@ -0,0 +1,111 @@
+// Saved Profiles
+//
+// Named sets of calculator inputs (e.g. one per household member) kept in
+// storage so the form survives reloads. Each profile holds:
+//
+//     id          'profile-N', stable for the life of the profile
+//     name        display name chosen by the user
+//     inputs      snapshot of every form input (see ZakahCalculator.getInputs)
+//     lastResult  { mode, currency, zakahAmount, hijriDate } of the last
+//                 calculation, used for the household summary
+//     updatedAt   time of the last save (ms since the epoch)
+//
+// The active profile is remembered as well, so a reload reopens the form
+// the user was last working on. Every change is saved immediately.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./json-storage.js'));
+    } else {
+        root.ProfileStore = factory(root.JsonStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (JsonStorage) {
+    'use strict';
+
+    const STORAGE_KEY = 'zakah-profiles';
+
+    class ProfileStore {
+        constructor(storage) {
+            this.store = new JsonStorage(storage, STORAGE_KEY, 'saved profiles');
+            this.data = this.store.read({ activeId: null, nextId: 1, profiles: [] });
+        }
+
+        save() {
+            this.store.write(this.data);
+        }
+
+        list() {
+            return this.data.profiles;
+        }
+
+        get(id) {
+            return this.data.profiles.find(profile => profile.id === id) || null;
+        }
+
+        getActive() {
+            return this.get(this.data.activeId) || this.data.profiles[0] || null;
+        }
+
+        setActive(id) {
+            if (!this.get(id)) return;
+            this.data.activeId = id;
+            this.save();
+        }
+
+        create(name, inputs) {
+            const profile = {
+                id: `profile-${this.data.nextId++}`,
+                name: name,
+                inputs: inputs || null,
+                lastResult: null,
+                updatedAt: Date.now()
+            };
+            this.data.profiles.push(profile);
+            this.data.activeId = profile.id;
+            this.save();
+            return profile;
+        }
+
+        duplicate(id, name) {
+            // The copy gets the same inputs but no calculation of its own yet
+            const source = this.get(id);
+            if (!source) return null;
+            return this.create(name, JSON.parse(JSON.stringify(source.inputs)));
+        }
+
+        rename(id, name) {
+            const profile = this.get(id);
+            if (!profile) return;
+            profile.name = name;
+            this.save();
+        }
+
+        update(id, changes) {
+            const profile = this.get(id);
+            if (!profile) return;
+            Object.assign(profile, changes, { updatedAt: Date.now() });
+            this.save();
+        }
+
+        remove(id) {
+            this.data.profiles = this.data.profiles.filter(profile => profile.id !== id);
+            if (this.data.activeId === id) {
+                this.data.activeId = this.data.profiles.length ? this.data.profiles[0].id : null;
+            }
+            this.save();
+        }
+
+        getHouseholdTotals() {
+            // Last zakah amount of every profile, summed per currency
+            const totals = {};
+            this.data.profiles.forEach(profile => {
+                const result = profile.lastResult;
+                if (!result || result.zakahAmount === null || !result.currency) return;
+                totals[result.currency] = (totals[result.currency] || 0) + result.zakahAmount;
+            });
+            return totals;
+        }
+    }
+
+    return ProfileStore;
+});
@@ -0,0 +1,115 @@
+// Exchange Rate Cache
+//
+// Persistent cache for rate sets fetched over the network, keyed by date,
+// base currency and provider, so providers sharing a base keep their own
+// entries. Historical rates never change, so they never expire; rates for
+// today (or latest rates standing in for another date) expire after a
+// configurable time to live. Expired entries are not served by get() but
+// are kept as the last known rates for offline use (getLastKnown) until a
+// newer rate set from the same provider replaces them.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./json-storage.js'));
+    } else {
+        root.RateCache = factory(root.JsonStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (JsonStorage) {
+    'use strict';
+
+    const STORAGE_KEY = 'zakah-rate-cache';
+    const DEFAULT_TTL_MINUTES = 60;
+
+    function todayString() {
+        // Local calendar day as 'YYYY-MM-DD'
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    class RateCache {
+        constructor(storage, options) {
+            this.store = new JsonStorage(storage, STORAGE_KEY, 'exchange rate cache');
+            this.ttlMinutes = (options && options.ttlMinutes) || DEFAULT_TTL_MINUTES;
+            this.entries = this.store.read({});
+        }
+
+        save() {
+            this.store.write(this.entries);
+        }
+
+        key(dateString, base, provider) {
+            return `${dateString}|${base}|${provider}`;
+        }
+
+        get(dateString, base, provider) {
+            const entry = this.entries[this.key(dateString, base, provider)];
+            if (!entry || this.isExpired(entry)) return null;
+            return entry.rateSet;
+        }
+
+        isExpired(entry) {
+            return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+        }
+
+        getLastKnown(base, provider) {
+            // Most recently fetched entry of the provider, expired or not
+            return Object.keys(this.entries)
+                .map(key => this.entries[key])
+                .filter(entry => entry.base === base && entry.rateSet.provider === provider)
+                .sort((a, b) => b.fetchedAt - a.fetchedAt)[0] || null;
+        }
+
+        set(dateString, base, rateSet) {
+            // Only past dates with true historical rates are kept forever
+            const isPermanent = rateSet.isHistorical && dateString < todayString();
+
+            // The new rate set supersedes expired ones of the same provider
+            Object.keys(this.entries).forEach(key => {
+                const entry = this.entries[key];
+                if (entry.base === base && entry.rateSet.provider === rateSet.provider && this.isExpired(entry)) {
+                    delete this.entries[key];
+                }
+            });
+
+            this.entries[this.key(dateString, base, rateSet.provider)] = {
+                date: dateString,
+                base: base,
+                rateSet: rateSet,
+                fetchedAt: Date.now(),
+                expiresAt: isPermanent ? null : Date.now() + this.ttlMinutes * 60 * 1000
+            };
+            this.save();
+        }
+
+        list() {
+            // Summary of every cached entry, oldest date first
+            return Object.keys(this.entries)
+                .map(key => {
+                    const entry = this.entries[key];
+                    return {
+                        key: key,
+                        date: entry.date,
+                        base: entry.base,
+                        provider: entry.rateSet.provider,
+                        currencies: Object.keys(entry.rateSet.rates).length,
+                        fetchedAt: entry.fetchedAt,
+                        expiresAt: entry.expiresAt,
+                        isExpired: this.isExpired(entry)
+                    };
+                })
+                .sort((a, b) => a.date.localeCompare(b.date));
+        }
+
+        remove(key) {
+            delete this.entries[key];
+            this.save();
+        }
+
+        clear() {
+            this.entries = {};
+            this.store.remove();
+        }
+    }
+
+    return RateCache;
+});
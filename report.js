@@ -0,0 +1,279 @@
+// Calculation Report
+//
+// Turns a wealth calculation (ZakahEngine.calculate) into a report of
+// titled sections of label/value rows, in the interface language and
+// digits (see I18n):
+//
+//     const report = ZakahReport.build(result, {
+//         countryName: 'مصر',
+//         currencyName: 'جنيه مصري',
+//         rateSourceText: 'ExchangeRate-API (2025-03-01)',
+//         profileName: 'أنا'                   // optional
+//     });
+//
+// The report is rendered as HTML for printing (renderHtml) or drawn onto
+// A4 canvas pages (drawPages) that PdfWriter turns into a PDF. Drawing the
+// text in the browser keeps Arabic shaping and RTL layout without
+// embedding fonts, so no network is needed.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./hijri-calendar.js'), require('./i18n.js'));
+    } else {
+        root.ZakahReport = factory(root.HijriCalendar, root.I18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function (HijriCalendar, I18n) {
+    'use strict';
+
+    // A4 page at 150 dpi
+    const PAGE_WIDTH = 1240;
+    const PAGE_HEIGHT = 1754;
+    const PAGE_MARGIN = 90;
+
+    function build(result, context) {
+        const t = (key, params) => I18n.t(`report.${key}`, params);
+        const number = value => I18n.formatNumber(value || 0, { maximumFractionDigits: 2 });
+        const money = value => `${number(value)} ${context.currencyName}`;
+        const grams = value => t('grams', { value: number(value) });
+        const basis = t(`basis.${result.nisab.basis}`, { grams: grams(result.nisab.grams) });
+
+        const hijri = HijriCalendar.parse(result.hijriDate);
+        const gregorian = HijriCalendar.toGregorian(hijri.year, hijri.month, hijri.day);
+        // Dates are formatted in UTC, so today's date is taken as a UTC midnight
+        const now = new Date();
+        const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+
+        const sections = [];
+        const addSection = (title, rows) => {
+            if (rows.length) sections.push({ title: title, rows: rows });
+        };
+        const row = (label, value, emphasis) => ({ label: label, value: value, emphasis: Boolean(emphasis) });
+
+        // Calculation details
+        const general = [];
+        if (context.profileName) general.push(row(t('profile'), context.profileName));
+        general.push(
+            row(t('hijriDate'), I18n.formatHijriDate(hijri)),
+            row(t('gregorianDate'), I18n.formatGregorianDate(gregorian)),
+            row(t('country'), context.countryName),
+            row(t('currency'), `${context.currencyName} (${result.currency})`),
+            row(t('madhab'), I18n.t(`madhab.${result.madhab.name}`)),
+            row(t('nisabBasis'), basis),
+            row(t('goldPrice', { karat: number(24) }), money(result.goldPrice)),
+            row(t('silverPrice'), money(result.silverPrice)),
+            row(t('debtPolicy'), t(`deduct.${result.debtPolicy}`))
+        );
+        addSection(t('general'), general);
+
+        // Input lines with their values in the zakah currency
+        const status = item => {
+            if (item.isExempt) return ` (${t('exempt')})`;
+            return item.hawl && !item.hawl.isDue ? ` (${t('deferred')})` : '';
+        };
+
+        addSection(t('gold'), result.gold.filter(item => item.grams > 0).map(item => {
+            const purity = item.karat ? I18n.t('karat.option', { karat: number(item.karat) }) : `${number(item.fineness)}‰`;
+            return row(
+                item.description ? `${item.description} - ${purity}` : purity,
+                `${grams(item.grams)} = ${grams(item.pureGrams)} ${t('pure')} = ${money(item.value)}${status(item)}`
+            );
+        }));
+
+        addSection(t('silver'), result.silver.filter(item => item.grams > 0).map(item => {
+            const purity = `${number(item.fineness)}‰`;
+            return row(
+                item.description ? `${item.description} - ${purity}` : purity,
+                `${grams(item.grams)} = ${grams(item.pureGrams)} ${t('pure')} = ${money(item.value)}${status(item)}`
+            );
+        }));
+
+        addSection(t('cash'), result.cash.filter(item => item.amount > 0).map(item => row(
+            item.currency,
+            `${number(item.amount)} ${item.currency} = ${money(item.value)}${status(item)}`
+        )));
+
+        addSection(t('investments'), result.investments.filter(item => item.amount > 0).map(item => row(
+            item.description || t(`investmentType.${item.type}`),
+            `${number(item.amount)} ${item.currency} → ${money(item.value)}${status(item)}`
+        )));
+
+        addSection(t('receivables'), result.receivables.filter(item => item.amount > 0).map(item => row(
+            item.description || t(`status.${item.status}`),
+            `${number(item.amount)} ${item.currency} (${t(`status.${item.status}`)}) = ${money(item.value)}`
+        )));
+
+        if (result.business) {
+            const business = result.business;
+            addSection(t('business'), [
+                row(t('inventory'), money(business.inventory)),
+                row(t('businessCash'), money(business.cash)),
+                row(t('businessReceivables'), money(business.receivables)),
+                row(t('payables'), money(business.payables)),
+                row(t('businessValue'), `${money(business.value)}${status(business)}`, true)
+            ]);
+        }
+
+        addSection(t('liabilities'), result.liabilities.filter(item => item.amount > 0).map(item => row(
+            item.description || item.currency,
+            `${number(item.amount)} ${item.currency} = ${money(item.value)}${item.isDeducted ? '' : ` (${t('notDeducted')})`}`
+        )));
+
+        // Exchange rates and where they came from
+        const rates = Object.keys(result.exchangeRates || {}).map(code => row(
+            `${number(1)} ${code}`,
+            `${I18n.formatNumber(result.exchangeRates[code], { maximumSignificantDigits: 6 })} ${context.currencyName}`
+        ));
+        if (rates.length && context.rateSourceText) {
+            rates.push(row(t('rateSource'), context.rateSourceText));
+        }
+        addSection(t('rates'), rates);
+
+        // Subtotals and the final amount
+        const totals = [
+            row(t('goldValue'), money(result.goldValue)),
+            row(t('silverValue'), money(result.silverValue)),
+            row(t('totalCash'), money(result.totalCash)),
+            row(t('totalInvestments'), money(result.totalInvestments)),
+            row(t('totalReceivables'), money(result.totalReceivables)),
+            row(t('businessValue'), money(result.businessValue)),
+            row(t('grossWealth'), money(result.grossWealth), true),
+            row(t('deductedLiabilities'), money(result.deductedLiabilities)),
+            row(t('totalWealth'), money(result.totalWealth), true)
+        ];
+        if (result.deferredValue) {
+            totals.push(row(t('deferredValue'), money(result.deferredValue)));
+        }
+        totals.push(
+            row(t('nisab'), `${money(result.nisab.value)} - ${basis}`),
+            row(t('nisabStatus'), result.nisab.isReached ? t('reached') : t('notReached'))
+        );
+        if (result.receivablesPastZakah) {
+            totals.push(row(t('receivablesPastZakah'), money(result.receivablesPastZakah)));
+        }
+        totals.push(row(t('zakahAmount'), money(result.zakahAmount), true));
+        addSection(t('totals'), totals);
+
+        return {
+            lang: I18n.getLanguage(),
+            dir: I18n.getDir(),
+            title: t('title'),
+            subtitle: t('generated', { date: I18n.formatGregorianDate(today) }),
+            sections: sections
+        };
+    }
+
+    function renderHtml(report, container) {
+        // Replace the container's content with the report
+        const doc = container.ownerDocument;
+        container.innerHTML = '';
+        container.lang = report.lang;
+        container.dir = report.dir;
+
+        const title = doc.createElement('h2');
+        title.textContent = report.title;
+        const subtitle = doc.createElement('p');
+        subtitle.className = 'report-subtitle';
+        subtitle.textContent = report.subtitle;
+        container.appendChild(title);
+        container.appendChild(subtitle);
+
+        report.sections.forEach(section => {
+            const heading = doc.createElement('h3');
+            heading.textContent = section.title;
+            container.appendChild(heading);
+
+            const table = doc.createElement('table');
+            section.rows.forEach(row => {
+                const tr = doc.createElement('tr');
+                if (row.emphasis) tr.className = 'report-emphasis';
+                const label = doc.createElement('th');
+                label.textContent = row.label;
+                const value = doc.createElement('td');
+                value.textContent = row.value;
+                tr.appendChild(label);
+                tr.appendChild(value);
+                table.appendChild(tr);
+            });
+            container.appendChild(table);
+        });
+    }
+
+    function drawPages(report, doc, fontFamily) {
+        // Draw the report onto as many A4 canvases as needed
+        const font = fontFamily || 'sans-serif';
+        const isRtl = report.dir === 'rtl';
+        const width = PAGE_WIDTH - PAGE_MARGIN * 2;
+        const start = isRtl ? PAGE_WIDTH - PAGE_MARGIN : PAGE_MARGIN;
+        const end = isRtl ? PAGE_MARGIN : PAGE_WIDTH - PAGE_MARGIN;
+        const pages = [];
+        let ctx = null;
+        let y = 0;
+
+        const newPage = () => {
+            const canvas = doc.createElement('canvas');
+            canvas.width = PAGE_WIDTH;
+            canvas.height = PAGE_HEIGHT;
+            ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+            ctx.direction = report.dir;
+            ctx.textBaseline = 'top';
+            pages.push(canvas);
+            y = PAGE_MARGIN;
+        };
+        const ensureSpace = height => {
+            if (!ctx || y + height > PAGE_HEIGHT - PAGE_MARGIN) newPage();
+        };
+        const text = (value, x, align, style, color) => {
+            ctx.font = `${style} ${font}`;
+            ctx.fillStyle = color;
+            ctx.textAlign = align;
+            ctx.fillText(value, x, y);
+        };
+
+        ensureSpace(120);
+        text(report.title, start, isRtl ? 'right' : 'left', 'bold 44px', '#2d3748');
+        y += 64;
+        text(report.subtitle, start, isRtl ? 'right' : 'left', '22px', '#718096');
+        y += 50;
+
+        report.sections.forEach(section => {
+            ensureSpace(100);
+            y += 20;
+            text(section.title, start, isRtl ? 'right' : 'left', 'bold 30px', '#667eea');
+            y += 44;
+
+            section.rows.forEach(row => {
+                const style = row.emphasis ? 'bold 24px' : '24px';
+                ctx.font = `${style} ${font}`;
+                const fits = ctx.measureText(row.label).width + ctx.measureText(row.value).width + 40 <= width;
+
+                // Values that do not fit beside their label go on the next line
+                ensureSpace(fits ? 38 : 76);
+                text(row.label, start, isRtl ? 'right' : 'left', style, '#4a5568');
+                if (!fits) y += 38;
+                text(row.value, end, isRtl ? 'left' : 'right', style, '#2d3748');
+                y += 38;
+            });
+        });
+
+        // Page numbers
+        pages.forEach((canvas, index) => {
+            const pageCtx = canvas.getContext('2d');
+            pageCtx.font = `20px ${font}`;
+            pageCtx.fillStyle = '#a0aec0';
+            pageCtx.textAlign = 'center';
+            pageCtx.fillText(`${index + 1} / ${pages.length}`, PAGE_WIDTH / 2, PAGE_HEIGHT - PAGE_MARGIN / 2);
+        });
+
+        return pages;
+    }
+
+    return {
+        PAGE_WIDTH: PAGE_WIDTH,
+        PAGE_HEIGHT: PAGE_HEIGHT,
+        build: build,
+        renderHtml: renderHtml,
+        drawPages: drawPages
+    };
+});
@@ -1,43 +1,154 @@
 // Zakah Calculator JavaScript
-// 
-// API Integration Instructions:
-// 1. For real gold prices, replace the fetchGoldPriceFromAPI method with actual API calls
-// 2. Popular gold price APIs:
-//    - MetalAPI: https://metals.live/api
-//    - GoldAPI: https://goldapi.io/
-//    - Fixer.io: https://fixer.io/ (for currency conversion)
-// 3. Update the API key in fetchGoldPriceFromAPI method
-// 4. Modify the currency conversion rates in fetchExchangeRates method
+//
+// Exchange rates come from the provider chain in exchange-rates.js,
+// configured in config.js (provider order, API key, local server URL).
+
+// All zakah math lives in ZakahEngine (zakah-engine.js); this class only
+// reads the form, fetches exchange rates and renders the engine's results.
+
+// Interface text comes from the message catalogs in i18n.js, keyed by the
+// same names the engine uses (e.g. `madhab.${name}`, `dueAnimal.${animal}`);
+// amounts are formatted through I18n in the chosen language and digits.
+
+// Investment holding types with the valuation method preselected for each
+const INVESTMENT_TYPE_METHODS = {
+    'shares': 'market',
+    'fund': 'zakatable-ratio',
+    'retirement': 'net-of-penalty'
+};
+
+// Livestock kinds and the animals due under the classical schedules
+const LIVESTOCK_KINDS = ['camels', 'cattle', 'sheep'];
+
+const DUE_ANIMALS = ['sheep', 'bint-makhad', 'bint-labun', 'hiqqa', 'jadhaa', 'tabi', 'musinna'];
+
+// Stored interface preferences, { language, digits }
+const PREFERENCES_KEY = 'zakah-preferences';
+
+// Stored exchange rate settings
+const MANUAL_RATES_KEY = 'zakah-manual-rates';
+const RATE_TABLE_KEY = 'zakah-rate-table';
+
+// Stored zakat al-fitr cash amounts per person, by country code
+const FITR_CASH_KEY = 'zakah-fitr-cash';
+
+// Gold and silver items and cash rows are added at runtime. The hawl
+// (lunar year of ownership) of every asset is tracked individually.
+
+// Karat preselected for new gold items
+const DEFAULT_GOLD_KARAT = 21;
+
+// Fineness (‰) preselected for new silver items
+const DEFAULT_SILVER_FINENESS = 925;
+
+// Cash rows shown on first load
+const DEFAULT_CASH_CURRENCIES = ['EGP', 'SAR', 'USD'];
 
 class ZakahCalculator {
     constructor() {
-        this.country = '';
+        this.country = ''; // ISO 3166 code of an entry in the Countries registry
+        this.mode = 'wealth'; // 'wealth', 'crops', 'livestock' or 'fitr'
         this.selectedDate = '';
         this.goldPrice = 0;
-        this.exchangeRates = {};
-        this.exchangeRateCache = new Map(); // Cache to avoid repeated API calls
+        this.silverPrice = 0;
+        this.nisabBasis = 'gold'; // 'gold' or 'silver'
+        this.nisabBasisChosen = false; // True once the user picks a basis over the country default
+        this.madhab = ZakahEngine.DEFAULT_MADHAB; // Ruling applied to personal-use jewelry
+        this.debtPolicy = ZakahEngine.DEFAULT_DEBT_POLICY; // Which liabilities are deducted
+        const rateConfig = (window.ZAKAH_CONFIG || {}).exchangeRates || {};
+        this.rateCache = new RateCache(window.localStorage, rateConfig.cache); // Survives page reloads
+        this.rateService = ExchangeRates.createService(rateConfig, this.rateCache);
         this.isConverting = false; // Flag to prevent multiple simultaneous conversions
+        this.conversionPending = false; // Re-run once the current conversion finishes
         this.currencyTimeout = null; // Timeout for debouncing currency input
+        this.goldRowCount = 0; // Used to give every gold item a unique id
+        this.silverRowCount = 0; // Used to give every silver item a unique id
+        this.cashRowCount = 0; // Used to give every cash row a unique id
+        this.investmentRowCount = 0; // Used to give every investment holding a unique id
+        this.receivableRowCount = 0; // Used to give every receivable a unique id
+        this.liabilityRowCount = 0; // Used to give every liability a unique id
+        this.cropRowCount = 0; // Used to give every crop a unique id
+        this.preferences = new JsonStorage(window.localStorage, PREFERENCES_KEY, 'interface preferences');
+        this.manualRates = {}; // Manually entered rates (units per 1 USD)
+        this.manualRateStore = new JsonStorage(window.localStorage, MANUAL_RATES_KEY, 'manual exchange rates');
+        this.rateTableStore = new JsonStorage(window.localStorage, RATE_TABLE_KEY, 'imported rate table');
+        this.fitrCashStore = new JsonStorage(window.localStorage, FITR_CASH_KEY, 'zakat al-fitr amounts');
+        this.profiles = new ProfileStore(window.localStorage); // Saved inputs per household member
+        this.activeProfileId = null;
+        this.isRestoring = false; // Set while a profile is applied so it is not saved back
+        this.profileSaveTimeout = null; // Timeout for debouncing autosave
+        this.history = new ZakahHistory(window.localStorage); // Wealth calculations per profile and Hijri year
+        this.payments = new PaymentLedger(window.localStorage); // Zakah paid per profile and Hijri year
+        this.paymentYear = null; // Hijri year shown in the payments view
+        this.lastCalculation = null; // Last wealth result, its rate set and inputs, for the report and export
         this.init();
     }
 
     init() {
+        this.setupLanguage();
+        this.populateCountries();
+        this.populateMadhabs();
+        this.setupGoldRows();
+        this.setupSilverRows();
+        this.setupCashRows();
+        this.setupBusiness();
+        this.setupCropRows();
+        this.setupLivestock();
+        this.setupFitr();
+        this.setupPayments();
         this.setupEventListeners();
         this.setupHijriDatePicker();
+        this.loadRateSettings();
+        this.setupProfiles();
+        this.setupOffline();
+    }
+
+    setupOffline() {
+        // The service worker caches the app for offline use and makes it
+        // installable; it cannot be registered from file:// pages
+        if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+            navigator.serviceWorker.register('service-worker.js').catch(error => {
+                console.error('Error registering service worker:', error);
+            });
+        }
+
+        window.addEventListener('online', () => this.updateOnlineStatus());
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        this.updateOnlineStatus();
+    }
+
+    updateOnlineStatus() {
+        document.getElementById('offline-status').style.display = navigator.onLine ? 'none' : 'block';
     }
 
     setupEventListeners() {
+        // Interface language and digits
+        document.getElementById('language').addEventListener('change', (e) => {
+            this.setLanguage(e.target.value);
+        });
+
+        document.getElementById('digits').addEventListener('change', (e) => {
+            this.setDigits(e.target.value);
+        });
+
         // Country selection
         document.getElementById('country').addEventListener('change', (e) => {
             this.country = e.target.value;
+            this.updateNumberRegion();
+            this.applyCountryNisabBasis();
             this.updateCurrencySymbols();
             this.updateConversionLabels();
-            this.updateGoldPriceLink(); // Update gold price link for new country
+            this.updateGoldPriceLink(); // Update price links for new country
+            this.updateSilverPriceLink();
+            this.renderManualRates();
+            this.loadFitrCash();
+            this.updateCurrencyConversions();
             this.checkCountryAndDateSelection();
         });
 
         // Hijri date selection
         document.getElementById('hijri-year').addEventListener('change', () => {
+            this.updateDaysInMonth(); // Month lengths differ from year to year
             this.updateHijriDate();
         });
 
@@ -50,43 +161,216 @@ class ZakahCalculator {
             this.updateHijriDate();
         });
 
+        // Calculation mode
+        document.getElementById('calc-mode').addEventListener('change', (e) => {
+            this.mode = e.target.value;
+            this.updateMode();
+        });
+
         // Gold price input
         document.getElementById('gold-price-input').addEventListener('input', (e) => {
             this.goldPrice = parseFloat(e.target.value) || 0;
             this.checkIfCanCalculate();
         });
 
-        // Currency input listeners
-        ['currency-egp', 'currency-sar', 'currency-usd'].forEach(id => {
-            document.getElementById(id).addEventListener('input', () => {
-                this.updateCurrencyConversions();
-                this.checkIfCanCalculate();
-            });
+        // Nisab basis selection
+        document.getElementById('nisab-basis').addEventListener('change', (e) => {
+            this.nisabBasis = e.target.value;
+            this.nisabBasisChosen = true;
+            this.checkIfCanCalculate();
         });
 
-        // Gold input listeners
-        ['gold-18k', 'gold-21k', 'gold-24k'].forEach(id => {
-            document.getElementById(id).addEventListener('input', (e) => {
-                this.updateGoldConversions();
-                this.checkIfCanCalculate();
-            });
+        // Ruling on personal-use jewelry
+        document.getElementById('madhab').addEventListener('change', (e) => {
+            this.madhab = e.target.value;
+            this.updateMadhabHelp();
+        });
+
+        // Silver price input (used for silver items and a silver nisab)
+        document.getElementById('silver-price-input').addEventListener('input', (e) => {
+            this.silverPrice = parseFloat(e.target.value) || 0;
+            this.checkIfCanCalculate();
+        });
+
+        // Gold items
+        document.getElementById('add-gold-row').addEventListener('click', () => {
+            this.addGoldRow();
+        });
+
+        // Silver items
+        document.getElementById('add-silver-row').addEventListener('click', () => {
+            this.addSilverRow();
+        });
+
+        // Cash rows
+        document.getElementById('add-cash-row').addEventListener('click', () => {
+            this.addCashRow('');
+        });
+
+        // Investment holdings
+        document.getElementById('add-investment-row').addEventListener('click', () => {
+            this.addInvestmentRow();
+        });
+
+        // Receivables
+        document.getElementById('add-receivable-row').addEventListener('click', () => {
+            this.addReceivableRow();
         });
 
-        // Currency input listeners with debounce
-        ['currency-egp', 'currency-sar', 'currency-usd'].forEach(id => {
-            document.getElementById(id).addEventListener('input', (e) => {
-                // Clear any existing timeout
+        // Business trade goods
+        document.querySelectorAll('.business-amount').forEach(input => {
+            input.addEventListener('input', () => {
+                this.checkIfCanCalculate();
+
                 if (this.currencyTimeout) {
                     clearTimeout(this.currencyTimeout);
                 }
-                
-                // Set a new timeout to debounce the conversion
                 this.currencyTimeout = setTimeout(() => {
                     this.updateCurrencyConversions();
-                    this.checkIfCanCalculate();
-                }, 500); // Wait 500ms after user stops typing
+                }, 500);
+            });
+        });
+
+        document.getElementById('business-currency').addEventListener('change', () => {
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+        });
+
+        document.getElementById('business-hawl').addEventListener('input', () => {
+            this.updateHawlHint('business');
+            this.checkIfCanCalculate();
+        });
+
+        // Liabilities
+        document.getElementById('add-liability-row').addEventListener('click', () => {
+            this.addLiabilityRow();
+        });
+
+        document.getElementById('debt-policy').addEventListener('change', (e) => {
+            this.debtPolicy = e.target.value;
+        });
+
+        // User-supplied rate table
+        document.getElementById('rate-table-file').addEventListener('change', (e) => {
+            this.loadRateTableFile(e.target.files[0]);
+        });
+
+        document.getElementById('rate-table-clear').addEventListener('click', () => {
+            this.clearRateTable();
+        });
+
+        // Exchange rate cache
+        document.getElementById('rate-cache-clear').addEventListener('click', () => {
+            this.clearRateCache();
+        });
+
+        // Crops
+        document.getElementById('add-crop-row').addEventListener('click', () => {
+            this.addCropRow();
+        });
+
+        // Livestock
+        document.querySelectorAll('.livestock-count, #livestock-grazing').forEach(input => {
+            input.addEventListener('input', () => {
+                this.checkIfCanCalculate();
+            });
+            input.addEventListener('change', () => {
+                this.checkIfCanCalculate();
+            });
+        });
+
+        // Zakat al-fitr
+        document.getElementById('fitr-method').addEventListener('change', () => {
+            this.updateFitrMethod();
+        });
+
+        document.getElementById('fitr-staple').addEventListener('change', (e) => {
+            document.getElementById('fitr-kg-per-sa').value = ZakahEngine.FITR_STAPLES[e.target.value];
+            this.checkIfCanCalculate();
+        });
+
+        document.getElementById('fitr-cash-per-person').addEventListener('input', () => {
+            this.saveFitrCash();
+            this.checkIfCanCalculate();
+        });
+
+        ['fitr-members', 'fitr-kg-per-sa'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.checkIfCanCalculate();
+            });
+        });
+
+        // Saved profiles
+        document.getElementById('profile-select').addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+
+        document.getElementById('profile-name').addEventListener('input', (e) => {
+            const name = e.target.value.trim();
+            if (!name) return;
+            this.profiles.rename(this.activeProfileId, name);
+            this.renderProfiles();
+        });
+
+        document.getElementById('profile-new').addEventListener('click', () => {
+            this.createProfile();
+        });
+
+        document.getElementById('profile-duplicate').addEventListener('click', () => {
+            this.duplicateProfile();
+        });
+
+        document.getElementById('profile-delete').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        // Autosave every change to the form into the active profile
+        const form = document.querySelector('.form-section');
+        ['input', 'change'].forEach(type => {
+            form.addEventListener(type, (e) => {
+                if (!e.target.closest('.profiles-section')) {
+                    this.scheduleProfileSave();
+                }
             });
         });
+        form.addEventListener('click', (e) => {
+            if (e.target.closest('.add-row-btn, .remove-row-btn')) {
+                this.scheduleProfileSave();
+            }
+        });
+
+        // Report of the last wealth calculation
+        document.getElementById('print-report').addEventListener('click', () => {
+            this.printReport();
+        });
+
+        document.getElementById('download-report').addEventListener('click', () => {
+            this.downloadReportPdf();
+        });
+
+        // Zakah payments
+        document.getElementById('payment-year').addEventListener('change', (e) => {
+            this.paymentYear = parseInt(e.target.value, 10);
+            this.renderPayments();
+        });
+
+        document.getElementById('payment-add').addEventListener('click', () => {
+            this.addPayment();
+        });
+
+        // Import and export of the inputs as JSON or CSV
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            this.importCalculationFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('export-json').addEventListener('click', () => {
+            this.exportCalculation('json');
+        });
+
+        document.getElementById('export-csv').addEventListener('click', () => {
+            this.exportCalculation('csv');
+        });
 
         // Calculate button
         document.getElementById('calculate-btn').addEventListener('click', () => {
@@ -94,6 +378,163 @@ class ZakahCalculator {
         });
     }
 
+    updateMode() {
+        // Show the inputs and results card of the selected mode only
+        document.querySelectorAll('.mode-section').forEach(section => {
+            section.style.display = section.dataset.mode === this.mode ? 'block' : 'none';
+        });
+        document.getElementById('results-section').style.display = 'none';
+        this.checkIfCanCalculate();
+    }
+
+    setupLanguage() {
+        // Restore the interface language and digits chosen last time
+        const preferences = this.preferences.read({});
+        I18n.setLanguage(preferences.language || 'ar');
+        I18n.setDigits(preferences.digits || 'auto');
+
+        document.getElementById('language').value = I18n.getLanguage();
+        document.getElementById('digits').value = I18n.getDigits();
+        this.translatePage();
+    }
+
+    translatePage() {
+        document.documentElement.lang = I18n.getLanguage();
+        document.documentElement.dir = I18n.getDir();
+        I18n.translatePage(document);
+    }
+
+    setLanguage(language) {
+        I18n.setLanguage(language);
+        this.savePreferences();
+        this.translatePage();
+        this.refreshText();
+    }
+
+    setDigits(digits) {
+        I18n.setDigits(digits);
+        this.savePreferences();
+        this.refreshText();
+    }
+
+    savePreferences() {
+        this.preferences.write({ language: I18n.getLanguage(), digits: I18n.getDigits() });
+    }
+
+    updateNumberRegion() {
+        // Numbers use the grouping of the selected country's locale
+        const country = this.getCountry();
+        I18n.setRegion(country ? country.locale : null);
+    }
+
+    refreshText() {
+        // Re-render everything built in JS in the new language or digits.
+        // Rows are rebuilt from the form's own inputs.
+        const inputs = this.getInputs();
+        const showingResults = document.getElementById('results-section').style.display !== 'none';
+        this.populateCountries();
+        this.populateMadhabs();
+        this.populateHijriYears();
+        this.updateDaysInMonth();
+        this.setupBusiness();
+        this.setupPayments();
+        this.applyInputs(inputs);
+        this.updateHijriDate();
+        this.loadRateSettings();
+        this.renderProfiles();
+
+        if (showingResults) {
+            this.calculateZakah();
+        }
+    }
+
+    populateCountries() {
+        // Rebuilt when the language changes; the first option is the placeholder
+        const countrySelect = document.getElementById('country');
+        const language = I18n.getLanguage();
+        countrySelect.length = 1;
+
+        Countries.list().forEach(country => {
+            const option = document.createElement('option');
+            option.value = country.code;
+            option.textContent = I18n.t('country.option', {
+                name: country.name[language],
+                currency: country.currencyName[language]
+            });
+            countrySelect.appendChild(option);
+        });
+        countrySelect.value = this.country;
+    }
+
+    populateMadhabs() {
+        const madhabSelect = document.getElementById('madhab');
+        madhabSelect.innerHTML = '';
+
+        Object.keys(ZakahEngine.MADHABS).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = I18n.t('madhab.option', { name: I18n.t(`madhab.${name}`) });
+            madhabSelect.appendChild(option);
+        });
+
+        madhabSelect.value = this.madhab;
+        this.updateMadhabHelp();
+    }
+
+    updateMadhabHelp() {
+        document.getElementById('madhab-help').textContent = I18n.t(`madhabRuling.${this.madhab}`);
+    }
+
+    getCountry() {
+        return Countries.get(this.country);
+    }
+
+    getCurrency() {
+        // ISO 4217 code of the selected country's currency (the zakah currency)
+        const country = this.getCountry();
+        return country ? country.currency : '';
+    }
+
+    getCurrencyName() {
+        const country = this.getCountry();
+        return country ? country.currencyName[I18n.getLanguage()] : '';
+    }
+
+    currencyName(code) {
+        // Display name of any ISO 4217 currency in the interface language
+        return Currencies.getName(code, I18n.getLanguage());
+    }
+
+    formatAmount(value) {
+        // Plain number in the interface language, digits and country grouping
+        return I18n.formatNumber(value);
+    }
+
+    formatMoney(value, currency) {
+        // Amount with its currency name, in the zakah currency unless given
+        return I18n.formatMoney(value, currency || this.getCurrency());
+    }
+
+    formatDecimal(value) {
+        // Weights and converted amounts, always with two decimals
+        return I18n.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    formatInteger(value) {
+        // Years, days and counts, without grouping separators
+        return I18n.formatNumber(value, { useGrouping: false });
+    }
+
+    applyCountryNisabBasis() {
+        // Use the country's default nisab basis unless the user picked one
+        const country = this.getCountry();
+        if (!country || this.nisabBasisChosen) return;
+
+        this.nisabBasis = country.nisabBasis;
+        document.getElementById('nisab-basis').value = this.nisabBasis;
+        this.checkIfCanCalculate();
+    }
+
     setupHijriDatePicker() {
         this.populateHijriYears();
         this.setDefaultHijriDate();
@@ -102,20 +543,24 @@ class ZakahCalculator {
     populateHijriYears() {
         const yearSelect = document.getElementById('hijri-year');
         const currentHijriYear = this.gregorianToHijri(new Date()).year;
+        const previousYear = yearSelect.value;
         
         // Clear existing options first
-        yearSelect.innerHTML = '<option value="">السنة</option>';
+        yearSelect.innerHTML = '';
+        yearSelect.appendChild(I18n.label(document.createElement('option'), 'date.year'));
+        yearSelect.options[0].value = '';
         
         // Add years from current year - 6 to current year
-        for (let year = currentHijriYear - 6; year <= currentHijriYear; year++) {
+        const firstYear = Math.max(HijriCalendar.MIN_YEAR, currentHijriYear - 6);
+        for (let year = firstYear; year <= currentHijriYear; year++) {
             const option = document.createElement('option');
             option.value = year;
-            option.textContent = year;
+            option.textContent = this.formatInteger(year);
             yearSelect.appendChild(option);
         }
         
-        // Set current Hijri year as default
-        yearSelect.value = currentHijriYear;
+        // Keep the selected year when the options are rebuilt, else the current one
+        yearSelect.value = previousYear || currentHijriYear;
     }
 
     setDefaultHijriDate() {
@@ -135,9 +580,12 @@ class ZakahCalculator {
         const year = parseInt(document.getElementById('hijri-year').value);
         const month = parseInt(document.getElementById('hijri-month').value);
         const daySelect = document.getElementById('hijri-day');
+        const previousDay = parseInt(daySelect.value);
         
         // Clear existing options
-        daySelect.innerHTML = '<option value="">اليوم</option>';
+        daySelect.innerHTML = '';
+        daySelect.appendChild(I18n.label(document.createElement('option'), 'date.day'));
+        daySelect.options[0].value = '';
         
         if (!year || !month) return;
         
@@ -147,9 +595,14 @@ class ZakahCalculator {
         for (let day = 1; day <= daysInMonth; day++) {
             const option = document.createElement('option');
             option.value = day;
-            option.textContent = day;
+            option.textContent = this.formatInteger(day);
             daySelect.appendChild(option);
         }
+
+        // Keep the previously selected day when it exists in the new month
+        if (previousDay && previousDay <= daysInMonth) {
+            daySelect.value = previousDay;
+        }
     }
 
     updateHijriDate() {
@@ -164,24 +617,22 @@ class ZakahCalculator {
                 day: parseInt(day)
             };
             
-            this.selectedDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+            this.selectedDate = HijriCalendar.format(hijriDate);
             
             // Update display
-            const monthNames = [
-                '', 'محرم', 'صفر', 'ربيع الأول', 'ربيع الثاني', 'جمادى الأولى', 'جمادى الثانية',
-                'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
-            ];
-            
-            const displayText = `${day} ${monthNames[month]} ${year} هـ`;
-            document.getElementById('selected-hijri-date').textContent = displayText;
+            document.getElementById('selected-hijri-date').textContent = I18n.formatHijriDate(hijriDate);
             
             // Update gold price link with the selected date
             this.updateGoldPriceLink();
+            this.updateSilverPriceLink();
+
+            // Hawl status depends on the selected date
+            this.getHawlAssets().forEach(asset => this.updateHawlHint(asset.id));
             
             // Check if country and date are selected
             this.checkCountryAndDateSelection();
         } else {
-            document.getElementById('selected-hijri-date').textContent = 'لم يتم اختيار تاريخ';
+            document.getElementById('selected-hijri-date').textContent = I18n.t('date.none');
             this.selectedDate = '';
             this.checkIfCanCalculate();
         }
@@ -196,75 +647,114 @@ class ZakahCalculator {
             // Create links to gold price sources for the specific date
             const goldPriceLink = document.getElementById('gold-price-link');
             
-            // Choose the best gold price source based on country
-            let targetUrl;
-            if (this.country === 'EGP') {
-                // Egyptian gold price sources
-                targetUrl = `https://www.google.com/search?q=سعر+الذهب+عيار+24+مصر+${dateString}+بالجرام`;
-            } else if (this.country === 'SAR') {
-                // Saudi gold price sources
-                targetUrl = `https://www.google.com/search?q=سعر+الذهب+عيار+24+السعودية+${dateString}+بالجرام`;
-            } else {
-                // Default to general search
-                targetUrl = `https://www.google.com/search?q=gold+price+24k+${dateString}+per+gram`;
-            }
+            // Gold price search for the selected country
+            const targetUrl = Countries.getGoldPriceUrl(this.country, dateString);
             
             goldPriceLink.href = targetUrl;
-            goldPriceLink.title = `البحث عن سعر الذهب عيار 24 للتاريخ ${dateString}`;
+            goldPriceLink.title = I18n.t('price.goldLinkTitle', { date: dateString });
+        }
+    }
+
+    updateSilverPriceLink() {
+        if (this.selectedDate) {
+            const gregorianDate = this.hijriToGregorian(this.selectedDate);
+            const dateString = gregorianDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+
+            // Silver price search for the selected country
+            const silverPriceLink = document.getElementById('silver-price-link');
+            silverPriceLink.href = Countries.getSilverPriceUrl(this.country, dateString);
+            silverPriceLink.title = I18n.t('price.silverLinkTitle', { date: dateString });
         }
     }
 
     getDaysInHijriMonth(year, month) {
-        // Hijri months have either 29 or 30 days
-        // This is a simplified calculation - in reality, it depends on lunar observations
-        const longMonths = [1, 3, 5, 7, 9, 11]; // Odd months are usually long (30 days)
-        return longMonths.includes(month) ? 30 : 29;
+        // True Umm al-Qura month length (29 or 30 days)
+        return HijriCalendar.daysInMonth(year, month);
     }
 
     gregorianToHijri(gregorianDate) {
-        // Simple and accurate Gregorian to Hijri conversion
-        // Current date: December 2024 = approximately Muharram 1446 AH
-        
-        const year = gregorianDate.getFullYear();
-        const month = gregorianDate.getMonth() + 1;
-        const day = gregorianDate.getDate();
-        
-        // Base conversion: Gregorian 2024 = Hijri 1446
-        const baseGregorianYear = 2024;
-        const baseHijriYear = 1446;
-        
-        // Calculate year difference and convert to Hijri
-        const yearDiff = year - baseGregorianYear;
-        const hijriYear = baseHijriYear + yearDiff;
-        
-        // Keep month and day the same for simplicity
-        // (This is an approximation - for exact conversion, more complex calculation is needed)
-        let hijriMonth = month;
-        let hijriDay = day;
-        
-        return {
-            year: hijriYear,
-            month: Math.max(1, Math.min(12, hijriMonth)),
-            day: Math.max(1, Math.min(30, hijriDay))
-        };
+        // Convert the local calendar day of the given date using the Umm al-Qura table
+        const utcDate = new Date(Date.UTC(gregorianDate.getFullYear(), gregorianDate.getMonth(), gregorianDate.getDate()));
+        return HijriCalendar.fromGregorian(utcDate);
+    }
+
+    getHawlAssets() {
+        // Every asset with its own hawl date: each gold and silver item, each
+        // cash row and investment holding, and the business as a whole
+        const goldAssets = this.getGoldItems().map(item => ({
+            id: item.id,
+            label: this.getGoldLabel(item)
+        }));
+        const silverAssets = this.getSilverItems().map(item => ({
+            id: item.id,
+            label: this.getSilverLabel(item)
+        }));
+        const cashAssets = this.getCashRows().map(row => ({
+            id: row.id,
+            label: this.currencyName(row.currency) || I18n.t('currency.unspecified')
+        }));
+        const investmentAssets = this.getInvestmentRows().map(row => ({
+            id: row.id,
+            label: row.description || I18n.t(`investmentType.${row.type}`)
+        }));
+        return goldAssets.concat(silverAssets, cashAssets, investmentAssets, [{ id: 'business', label: I18n.t('business.title') }]);
+    }
+
+    getHawlStartDate(assetId) {
+        // Returns null when no date was entered, false when the date is invalid
+        const value = document.getElementById(`${assetId}-hawl`).value.trim();
+        if (!value) return null;
+
+        const hijriDate = HijriCalendar.parse(value);
+        return HijriCalendar.isValid(hijriDate) ? hijriDate : false;
+    }
+
+    getHawlStatus(assetId) {
+        // Invalid dates are reported by the hint and block calculation
+        const startDate = this.getHawlStartDate(assetId) || null;
+        return ZakahEngine.getHawlStatus(startDate, this.selectedDate || null);
+    }
+
+    getHawlDates() {
+        // Valid hawl start dates keyed by asset id, as expected by the engine
+        const hawlDates = {};
+        this.getHawlAssets().forEach(asset => {
+            const startDate = this.getHawlStartDate(asset.id);
+            if (startDate) {
+                hawlDates[asset.id] = HijriCalendar.format(startDate);
+            }
+        });
+        return hawlDates;
+    }
+
+    formatHijriDate(hijriDate) {
+        return I18n.formatHijriDate(hijriDate);
+    }
+
+    updateHawlHint(assetId) {
+        const hint = document.getElementById(`${assetId}-hawl-hint`);
+        const startDate = this.getHawlStartDate(assetId);
+
+        if (startDate === null) {
+            hint.textContent = '';
+        } else if (startDate === false) {
+            hint.textContent = I18n.t('hawl.invalidDate');
+        } else if (this.selectedDate) {
+            const status = this.getHawlStatus(assetId);
+            hint.textContent = status.anniversary
+                ? I18n.t(status.isDue ? 'hawl.completed' : 'hawl.completes', { date: this.formatHijriDate(status.anniversary) })
+                : I18n.t('hawl.pending');
+        }
     }
 
     updateCurrencySymbols() {
-        const currencySymbols = {
-            'EGP': 'جنيه مصري',
-            'SAR': 'ريال سعودي'
-        };
-        
-        document.getElementById('currency-suffix').textContent = currencySymbols[this.country] || 'جنيه مصري';
+        const symbol = this.getCurrencyName();
+        document.getElementById('currency-suffix').textContent = symbol;
+        document.getElementById('silver-currency-suffix').textContent = symbol;
     }
 
     updateConversionLabels() {
-        const currencyLabels = {
-            'EGP': 'جنيه مصري',
-            'SAR': 'ريال سعودي'
-        };
-        
-        const targetCurrency = currencyLabels[this.country] || 'جنيه مصري';
+        const targetCurrency = this.getCurrencyName();
         document.querySelectorAll('.target-currency').forEach(element => {
             element.textContent = targetCurrency;
         });
@@ -293,53 +783,65 @@ class ZakahCalculator {
 
     // Removed complex API fetching - now user enters price directly
 
-    // Historical exchange rate API implementation using ExchangeRate-API v6
-    async getHistoricalExchangeRates(date) {
+    async getExchangeRates(gregorianDate) {
+        // Returns the rate set for the date, tagged with the provider that answered.
+        // Network providers are served from the persistent rate cache when possible.
+        const dateString = gregorianDate.toISOString().split('T')[0];
+        const currencies = this.getRateCurrencies(true);
+
+        document.getElementById('currency-loading').style.display = 'flex';
+
+        let rateSet;
         try {
-            const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-            const [year, month, day] = dateString.split('-');
-            
-            console.log(`Fetching historical exchange rates for ${dateString}`);
-            
-            // Use ExchangeRate-API v6 with API key for historical data
-            const apiKey = '66c6da25191b88a131779baf';
-            const url = `https://v6.exchangerate-api.com/v6/${apiKey}/history/USD/${year}/${month}/${day}`;
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`Historical exchange rate API request failed: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('Historical exchange rates response:', data);
-            
-            // Check if the API returned valid data
-            if (data.result !== 'success' || !data.conversion_rates) {
-                console.log('Historical data not available for this date, using current rates');
-                return await this.getCurrentExchangeRates();
-            }
-            
-            // Hide the notice since we have historical data
+            rateSet = await this.rateService.getRates(dateString, currencies);
+        } finally {
+            document.getElementById('currency-loading').style.display = 'none';
+        }
+
+        this.showRateSource(rateSet, currencies);
+        this.renderRateCache();
+        return rateSet;
+    }
+
+    getProviderLabel(provider) {
+        // Providers added in config.js may have no catalog entry
+        const key = `rateProvider.${provider}`;
+        return I18n.has(key) ? I18n.t(key) : provider;
+    }
+
+    getRateSourceText(rateSet) {
+        const label = this.getProviderLabel(rateSet.provider);
+        const text = rateSet.date ? `${label} (${rateSet.date})` : label;
+        return rateSet.stale
+            ? I18n.t('rates.lastKnown', { source: text, time: new Date(rateSet.fetchedAt).toLocaleString(I18n.getLocale()) })
+            : text;
+    }
+
+    isStaleRateSet(rateSet) {
+        // Last known rates of a provider that could not be reached, or the
+        // built-in approximate rates
+        return Boolean(rateSet.stale) || rateSet.provider === 'fallback';
+    }
+
+    showRateSource(rateSet, currencies) {
+        document.getElementById('rate-source').textContent = I18n.t('rates.source', { source: this.getRateSourceText(rateSet) });
+
+        // Stale rates only matter when amounts are converted
+        const isStale = this.isStaleRateSet(rateSet) && currencies.length > 1;
+        document.getElementById('stale-rates-notice').style.display = isStale ? 'block' : 'none';
+
+        if (rateSet.isHistorical) {
             this.hideExchangeRateNotice();
-            
-            return {
-                EGP: data.conversion_rates.EGP,
-                SAR: data.conversion_rates.SAR,
-                USD: 1
-            };
-            
-        } catch (error) {
-            console.error('Error fetching historical exchange rates:', error);
-            // Fallback to current rates
-            return await this.getCurrentExchangeRates();
+        } else {
+            this.showExchangeRateNotice();
         }
     }
 
-    showExchangeRateNotice(dateString) {
-        // Show a subtle notice that we're using current rates
+    showExchangeRateNotice() {
+        // Show a subtle notice that the rates are not for the selected date
         const noticeElement = document.getElementById('exchange-rate-notice');
         if (noticeElement) {
-            noticeElement.textContent = `ملاحظة: نستخدم أسعار الصرف الحالية (أسعار تاريخية تتطلب مفاتيح API)`;
+            noticeElement.textContent = I18n.t('rates.notice');
             noticeElement.style.display = 'block';
         }
     }
@@ -352,356 +854,1987 @@ class ZakahCalculator {
         }
     }
 
-    async getCurrentExchangeRates() {
-        try {
-            const response = await fetch(`https://api.exchangerate-api.com/v4/latest/USD`);
-            if (!response.ok) {
-                throw new Error('Exchange rate API request failed');
-            }
-            
-            const data = await response.json();
-            
-            return {
-                EGP: data.rates.EGP,
-                SAR: data.rates.SAR,
-                USD: 1
-            };
-            
-        } catch (error) {
-            console.error('Error fetching current exchange rates:', error);
-            // Ultimate fallback to approximate rates
-            return {
-                EGP: 48.0,
-                SAR: 3.75,
-                USD: 1
-            };
+    loadRateSettings() {
+        // Restore manual rates and the imported rate table from earlier visits
+        this.manualRates = this.manualRateStore.read({});
+        this.rateService.getProvider('manual').setRates(this.manualRates);
+
+        const savedTable = this.rateTableStore.read(null);
+        if (savedTable && savedTable.table && savedTable.table.byDate) {
+            this.applyRateTable(savedTable.table, savedTable.fileName);
         }
+
+        this.renderManualRates();
+        this.renderRateCache();
+        this.renderProviderOrder();
+    }
+
+    renderProviderOrder() {
+        document.getElementById('rate-provider-order').textContent =
+            this.rateService.order.map(name => this.getProviderLabel(name)).join(` ${I18n.t('common.arrow')} `);
+    }
+
+    getRateCurrencies(withAmountsOnly) {
+        // Currencies that need a rate: the cash, investment, receivable and
+        // liability rows, the business currency plus the zakah currency
+        const codes = this.getCashRows().concat(this.getInvestmentRows(), this.getReceivableRows(), this.getLiabilityRows())
+            .filter(row => !withAmountsOnly || row.amount > 0)
+            .map(row => row.currency);
+        if (!withAmountsOnly || this.hasBusinessInputs()) codes.push(this.getBusiness().currency);
+        if (this.country) codes.push(this.getCurrency());
+        return codes.filter((code, index) => code && codes.indexOf(code) === index);
+    }
+
+    renderManualRates() {
+        // One manual rate input for each currency in use (USD is the base)
+        const container = document.getElementById('manual-rates');
+        container.innerHTML = '';
+
+        this.getRateCurrencies().filter(code => code !== 'USD').forEach(code => {
+            const group = document.createElement('div');
+            group.className = 'manual-rate';
+
+            const label = document.createElement('label');
+            label.htmlFor = `manual-rate-${code}`;
+            label.textContent = I18n.t('currency.option', { name: this.currencyName(code), code: code });
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `manual-rate-${code}`;
+            input.className = 'form-input';
+            input.min = '0';
+            input.step = '0.0001';
+            input.value = this.manualRates[code] || '';
+            input.addEventListener('change', () => {
+                this.saveManualRate(code, parseFloat(input.value));
+                this.updateCurrencyConversions();
+            });
+
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        });
+    }
+
+    saveManualRate(code, rate) {
+        if (rate > 0) {
+            this.manualRates[code] = rate;
+        } else {
+            delete this.manualRates[code];
+        }
+
+        this.rateService.getProvider('manual').setRates(this.manualRates);
+        this.manualRateStore.write(this.manualRates);
+    }
+
+    renderRateCache() {
+        // List the cached rate sets so users can see what is stored offline
+        const list = document.getElementById('rate-cache-list');
+        const entries = this.rateCache.list();
+        list.innerHTML = '';
+
+        entries.forEach(entry => {
+            let expiry;
+            if (entry.expiresAt === null) {
+                expiry = I18n.t('rates.permanent');
+            } else if (entry.isExpired) {
+                expiry = I18n.t('rates.expired');
+            } else {
+                expiry = I18n.t('rates.expires', { time: new Date(entry.expiresAt).toLocaleString(I18n.getLocale()) });
+            }
+
+            const row = document.createElement('li');
+            row.textContent = I18n.t('rates.cacheEntry', {
+                date: entry.date,
+                base: entry.base,
+                provider: this.getProviderLabel(entry.provider),
+                count: this.formatAmount(entry.currencies),
+                expiry: expiry
+            });
+            list.appendChild(row);
+        });
+
+        document.getElementById('rate-cache-empty').style.display = entries.length ? 'none' : 'block';
+    }
+
+    clearRateCache() {
+        this.rateCache.clear();
+        this.renderRateCache();
+    }
+
+    loadRateTableFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+            let table;
+            try {
+                table = ExchangeRates.parseRateTable(reader.result, format);
+            } catch (error) {
+                console.error('Error parsing rate table:', error);
+                document.getElementById('rate-table-status').textContent = I18n.t('rates.tableError', { message: error.message });
+                return;
+            }
+
+            // The parsed table is kept, not the file, so a reload needs no parsing
+            this.applyRateTable(table, file.name);
+            this.rateTableStore.write({ fileName: file.name, table: table });
+            this.updateCurrencyConversions();
+        };
+        reader.readAsText(file);
+    }
+
+    applyRateTable(table, fileName) {
+        this.rateService.getProvider('table').setTable(table);
+        document.getElementById('rate-table-status').textContent = I18n.t('rates.tableLoaded', {
+            file: fileName,
+            count: this.formatAmount(Object.keys(table.byDate).length)
+        });
+    }
+
+    clearRateTable() {
+        this.rateService.getProvider('table').setTable(null);
+        this.rateTableStore.remove();
+
+        document.getElementById('rate-table-file').value = '';
+        document.getElementById('rate-table-status').textContent = '';
+        this.updateCurrencyConversions();
+    }
+
+    hijriToGregorian(hijriDateString) {
+        // Convert a 'YYYY-MM-DD' Hijri date string to a Gregorian date (UTC midnight)
+        const hijriDate = HijriCalendar.parse(hijriDateString);
+        return HijriCalendar.toGregorian(hijriDate.year, hijriDate.month, hijriDate.day);
+    }
+
+    async simulateApiCall() {
+        // Simulate API delay
+        return new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    setupProfiles() {
+        // Restore the active profile, or start the first one from the form
+        const active = this.profiles.getActive();
+        if (active) {
+            this.activeProfileId = active.id;
+            this.applyInputs(active.inputs || {});
+        } else {
+            this.activeProfileId = this.profiles.create(I18n.t('profile.defaultName'), this.getInputs()).id;
+        }
+        this.renderProfiles();
+    }
+
+    renderProfiles() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        this.profiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeProfileId;
+
+        const nameInput = document.getElementById('profile-name');
+        if (document.activeElement !== nameInput) {
+            nameInput.value = this.profiles.get(this.activeProfileId).name;
+        }
+
+        this.renderHouseholdSummary();
+        this.renderHistory();
+        this.renderPayments();
+    }
+
+    renderHouseholdSummary() {
+        // Last result of every profile and the household total per currency
+        const list = document.getElementById('household-summary');
+        list.innerHTML = '';
+
+        this.profiles.list().forEach(profile => {
+            const result = profile.lastResult;
+            const item = document.createElement('li');
+            if (!result) {
+                item.textContent = I18n.t('household.notCalculated', { name: profile.name });
+            } else if (result.zakahAmount === null) {
+                item.textContent = I18n.t('household.noCash', { name: profile.name, mode: I18n.t(`mode.${result.mode}`) });
+            } else {
+                item.textContent = I18n.t('household.entry', {
+                    name: profile.name,
+                    mode: I18n.t(`mode.${result.mode}`),
+                    date: result.hijriDate,
+                    amount: this.formatMoney(result.zakahAmount, result.currency)
+                });
+            }
+            list.appendChild(item);
+        });
+
+        const totals = this.profiles.getHouseholdTotals();
+        const codes = Object.keys(totals);
+        document.getElementById('household-total').textContent = codes.length
+            ? codes.map(code => this.formatMoney(totals[code], code)).join(' + ')
+            : '-';
+    }
+
+    recordProfileResult(result) {
+        this.profiles.update(this.activeProfileId, {
+            lastResult: {
+                mode: this.mode,
+                currency: result.currency,
+                zakahAmount: result.zakahAmount,
+                hijriDate: result.hijriDate
+            }
+        });
+        this.renderHouseholdSummary();
+    }
+
+    renderHistory() {
+        // Past years of the active profile, newest first
+        const list = document.getElementById('history-list');
+        const entries = this.history.list(this.activeProfileId);
+        list.innerHTML = '';
+
+        entries.forEach(entry => {
+            const rates = Object.keys(entry.exchangeRates || {})
+                .map(code => `${code} ${this.formatRate(entry.exchangeRates[code])}`)
+                .join(I18n.t('common.listSeparator'));
+
+            const row = document.createElement('li');
+            row.textContent = I18n.t('history.entry', {
+                year: I18n.formatHijriYear(entry.hijriYear),
+                date: entry.hijriDate,
+                wealth: this.formatMoney(entry.totalWealth, entry.currency),
+                goldPrice: this.formatMoney(entry.goldPrice, entry.currency),
+                zakah: this.formatMoney(entry.zakahAmount, entry.currency)
+            }) + (rates ? I18n.t('history.rates', { rates: rates }) : '');
+            list.appendChild(row);
+        });
+
+        document.getElementById('history-empty').style.display = entries.length ? 'none' : 'block';
+    }
+
+    recordHistory(result) {
+        // Save the calculation for its Hijri year and compare it with the year before
+        const entry = this.history.record(this.activeProfileId, result);
+        this.displayYearComparison(entry);
+        this.renderHistory();
+        this.paymentYear = entry.hijriYear;
+        this.renderPayments();
+    }
+
+    setupPayments() {
+        // Also run when the language changes; the form keeps its values
+        const category = document.getElementById('payment-category');
+        const selectedCategory = category.value;
+        category.innerHTML = '';
+        ZakahEngine.RECIPIENT_CATEGORIES.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = I18n.t(`recipient.${key}`);
+            category.appendChild(option);
+        });
+        if (selectedCategory) category.value = selectedCategory;
+
+        this.populateCurrencySelect(document.getElementById('payment-currency'));
+
+        const date = document.getElementById('payment-date');
+        if (!date.value) {
+            date.value = HijriCalendar.format(this.gregorianToHijri(new Date()));
+        }
+    }
+
+    renderPayments() {
+        // Balance of the selected year: its calculated zakah against the payments
+        const profileId = this.activeProfileId;
+        const currentYear = this.selectedDate ? parseInt(this.selectedDate, 10) : this.gregorianToHijri(new Date()).year;
+        const years = this.history.list(profileId).map(entry => entry.hijriYear)
+            .concat(this.payments.getYears(profileId), currentYear)
+            .filter((year, index, all) => all.indexOf(year) === index)
+            .sort((a, b) => b - a);
+        if (!years.includes(this.paymentYear)) {
+            this.paymentYear = currentYear;
+        }
+
+        const yearSelect = document.getElementById('payment-year');
+        yearSelect.innerHTML = '';
+        years.forEach(year => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = I18n.formatHijriYear(year);
+            yearSelect.appendChild(option);
+        });
+        yearSelect.value = this.paymentYear;
+
+        const obligation = this.history.get(profileId, this.paymentYear);
+        const payments = this.payments.list(profileId, this.paymentYear);
+        const balance = PaymentLedger.getBalance(obligation, payments);
+        const amountText = value => value === null || !balance.currency ? '-' : this.formatMoney(value, balance.currency);
+
+        document.getElementById('payment-due').textContent = obligation
+            ? I18n.t('payments.dueFrom', { amount: amountText(balance.due), date: obligation.hijriDate })
+            : I18n.t('payments.notCalculated');
+        document.getElementById('payment-paid').textContent = balance.advance > 0
+            ? I18n.t('payments.paidWithAdvance', { paid: amountText(balance.paid), advance: amountText(balance.advance) })
+            : amountText(balance.paid);
+        document.getElementById('payment-outstanding').textContent = balance.status === 'overpaid'
+            ? I18n.t('payments.excess', { amount: amountText(balance.overpaid) })
+            : amountText(balance.outstanding);
+
+        const status = document.getElementById('payment-status');
+        status.className = `payment-status ${balance.status}`;
+        status.textContent = I18n.t(`paymentStatus.${balance.status}`);
+        if (balance.unmatched.length) {
+            status.textContent += I18n.t('payments.unmatched', { count: this.formatAmount(balance.unmatched.length) });
+        }
+
+        const list = document.getElementById('payment-list');
+        list.innerHTML = '';
+        payments.forEach(payment => {
+            const isAdvance = PaymentLedger.isAdvance(payment, obligation);
+            const row = document.createElement('li');
+            row.className = 'profile-controls';
+
+            const text = document.createElement('span');
+            text.textContent = `${payment.date}: ${this.formatMoney(payment.amount, payment.currency)}` +
+                (payment.currency !== payment.valueCurrency ? ` (${this.formatMoney(payment.value, payment.valueCurrency)})` : '') +
+                ` - ${I18n.t(`recipient.${payment.category}`)}` +
+                (payment.note ? ` - ${payment.note}` : '') +
+                (isAdvance ? I18n.t('payments.advanceMark') : '');
+            row.appendChild(text);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'remove-row-btn';
+            remove.title = I18n.t('common.remove');
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                this.payments.remove(payment.id);
+                this.renderPayments();
+            });
+            row.appendChild(remove);
+            list.appendChild(row);
+        });
+
+        Object.keys(balance.byCategory).forEach(key => {
+            const row = document.createElement('li');
+            row.textContent = I18n.t('payments.categoryTotal', {
+                category: I18n.t(`recipient.${key}`),
+                amount: amountText(balance.byCategory[key])
+            });
+            list.appendChild(row);
+        });
+    }
+
+    async addPayment() {
+        const date = document.getElementById('payment-date').value.trim();
+        const amount = parseFloat(document.getElementById('payment-amount').value);
+        const currency = document.getElementById('payment-currency').value;
+        const profileId = this.activeProfileId;
+        const hijriYear = this.paymentYear;
+
+        if (!HijriCalendar.isValid(HijriCalendar.parse(date))) {
+            this.showError(I18n.t('payments.invalidDate'));
+            return;
+        }
+        if (!(amount > 0)) {
+            this.showError(I18n.t('payments.enterAmount'));
+            return;
+        }
+
+        // The balance is kept in the zakah currency of the obligation, at the
+        // exchange rate of the payment date
+        const obligation = this.history.get(profileId, hijriYear);
+        const valueCurrency = obligation ? obligation.currency : this.getCurrency();
+        if (!valueCurrency) {
+            this.showError(I18n.t('error.chooseCountry'));
+            return;
+        }
+
+        let value = amount;
+        if (currency !== valueCurrency) {
+            try {
+                // Only the two currencies involved; the calculator's rate
+                // notices describe the form, so they are left alone
+                const dateString = this.hijriToGregorian(date).toISOString().split('T')[0];
+                const rateSet = await this.rateService.getRates(dateString, [currency, valueCurrency]);
+                this.renderRateCache();
+                value = ZakahEngine.convertAmount(amount, currency, valueCurrency, rateSet.rates);
+            } catch (error) {
+                console.error('Error converting payment:', error);
+                this.showError(I18n.t('payments.noRate', { currency: this.currencyName(currency), date: date }));
+                return;
+            }
+        }
+
+        this.payments.add({
+            profileId: profileId,
+            hijriYear: hijriYear,
+            date: HijriCalendar.format(HijriCalendar.parse(date)),
+            amount: amount,
+            currency: currency,
+            value: value,
+            valueCurrency: valueCurrency,
+            category: document.getElementById('payment-category').value,
+            note: document.getElementById('payment-note').value.trim()
+        });
+        document.getElementById('payment-amount').value = '';
+        document.getElementById('payment-note').value = '';
+        this.renderPayments();
+    }
+
+    formatRate(value) {
+        return I18n.formatNumber(value, { maximumSignificantDigits: 6 });
+    }
+
+    formatChange(value, currency) {
+        // Signed amount, e.g. +1,000 or -250 Egyptian pounds
+        return I18n.formatMoney(value, currency, { signDisplay: 'exceptZero' });
+    }
+
+    formatPercentChange(value) {
+        // Signed percentage with one decimal, e.g. +33.3%
+        return I18n.formatNumber(value / 100, {
+            style: 'percent',
+            signDisplay: 'exceptZero',
+            maximumFractionDigits: 1
+        });
+    }
+
+    displayYearComparison(entry) {
+        const container = document.getElementById('year-comparison');
+        const previous = this.history.getPrevious(this.activeProfileId, entry.hijriYear);
+        if (!previous) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const comparison = ZakahHistory.compare(previous, entry);
+        const money = value => this.formatMoney(value, entry.currency);
+        const previousMoney = value => this.formatMoney(value, previous.currency);
+        const list = document.getElementById('comparison-list');
+        const addRow = text => {
+            const row = document.createElement('li');
+            row.className = 'hawl-item';
+            row.textContent = text;
+            list.appendChild(row);
+        };
+        list.innerHTML = '';
+        document.getElementById('comparison-title').textContent = I18n.t('comparison.titleYear', {
+            year: I18n.formatHijriYear(previous.hijriYear),
+            date: previous.hijriDate
+        });
+
+        if (!comparison.sameCurrency) {
+            addRow(I18n.t('comparison.otherCurrency', {
+                year: this.formatInteger(previous.hijriYear),
+                currency: this.currencyName(previous.currency)
+            }));
+        } else {
+            addRow(I18n.t('comparison.zakah', {
+                previous: previousMoney(previous.zakahAmount),
+                current: money(entry.zakahAmount),
+                change: this.formatChange(comparison.zakahChange, entry.currency)
+            }));
+            addRow(I18n.t('comparison.wealth', {
+                previous: previousMoney(previous.totalWealth),
+                current: money(entry.totalWealth),
+                change: this.formatChange(comparison.wealthChange, entry.currency)
+            }));
+        }
+
+        const percent = comparison.goldPriceChangePercent === null
+            ? ''
+            : ` (${this.formatPercentChange(comparison.goldPriceChangePercent)})`;
+        addRow(I18n.t('comparison.goldPrice', {
+            previous: previousMoney(previous.goldPrice),
+            current: money(entry.goldPrice),
+            percent: percent
+        }));
+        addRow(I18n.t('comparison.goldGrams', {
+            previous: this.formatDecimal(previous.totalGold24k),
+            current: I18n.t('unit.grams', { value: this.formatDecimal(entry.totalGold24k) })
+        }));
+
+        comparison.currencies.filter(item => item.previousRate !== item.currentRate).forEach(item => {
+            addRow(I18n.t('comparison.rate', {
+                currency: this.currencyName(item.currency),
+                previous: I18n.formatMoney(item.previousRate, previous.currency, { maximumSignificantDigits: 6 }),
+                current: I18n.formatMoney(item.currentRate, entry.currency, { maximumSignificantDigits: 6 })
+            }));
+        });
+
+        if (comparison.effects) {
+            // Only drivers that moved the wealth
+            Object.keys(comparison.effects).forEach(key => {
+                const value = comparison.effects[key];
+                if (Math.abs(value) >= 0.005) {
+                    addRow(`${I18n.t(`change.${key}`)}: ${this.formatChange(value, entry.currency)}`);
+                }
+            });
+        }
+
+        container.style.display = 'block';
+    }
+
+    scheduleProfileSave() {
+        if (this.isRestoring) return;
+
+        if (this.profileSaveTimeout) {
+            clearTimeout(this.profileSaveTimeout);
+        }
+        this.profileSaveTimeout = setTimeout(() => {
+            this.saveProfile();
+        }, 300);
+    }
+
+    saveProfile() {
+        if (this.profileSaveTimeout) {
+            clearTimeout(this.profileSaveTimeout);
+            this.profileSaveTimeout = null;
+        }
+        this.profiles.update(this.activeProfileId, { inputs: this.getInputs() });
+    }
+
+    switchProfile(id) {
+        // Keep pending edits of the current profile before leaving it
+        this.saveProfile();
+        this.profiles.setActive(id);
+        this.activeProfileId = id;
+        this.applyInputs(this.profiles.get(id).inputs || {});
+        this.renderProfiles();
+    }
+
+    createProfile() {
+        this.saveProfile();
+        const profile = this.profiles.create(I18n.t('profile.newName', { number: this.profiles.list().length + 1 }), null);
+        this.activeProfileId = profile.id;
+        this.applyInputs({});
+        this.saveProfile();
+        this.renderProfiles();
+    }
+
+    duplicateProfile() {
+        this.saveProfile();
+        const source = this.profiles.get(this.activeProfileId);
+        const profile = this.profiles.duplicate(source.id, I18n.t('profile.copyName', { name: source.name }));
+        this.activeProfileId = profile.id;
+        this.renderProfiles();
+    }
+
+    deleteProfile() {
+        const profile = this.profiles.get(this.activeProfileId);
+        if (!window.confirm(I18n.t('profile.confirmDelete', { name: profile.name }))) return;
+
+        if (this.profileSaveTimeout) {
+            clearTimeout(this.profileSaveTimeout);
+            this.profileSaveTimeout = null;
+        }
+        this.profiles.remove(profile.id);
+        this.history.removeProfile(profile.id);
+        this.payments.removeProfile(profile.id);
+
+        // There is always at least one profile
+        const next = this.profiles.getActive() || this.profiles.create(I18n.t('profile.defaultName'), null);
+        this.activeProfileId = next.id;
+        this.applyInputs(next.inputs || {});
+        this.saveProfile();
+        this.renderProfiles();
+    }
+
+    getInputs() {
+        // Snapshot of every form input, restored by applyInputs
+        const value = id => document.getElementById(id).value;
+        const hawl = id => document.getElementById(`${id}-hawl`).value.trim();
+        const livestock = this.getLivestock();
+
+        return {
+            country: this.country,
+            hijriDate: this.selectedDate,
+            mode: this.mode,
+            goldPrice: this.goldPrice,
+            silverPrice: this.silverPrice,
+            nisabBasis: this.nisabBasisChosen ? this.nisabBasis : null,
+            madhab: this.madhab,
+            debtPolicy: this.debtPolicy,
+            gold: this.getGoldItems().map(item => Object.assign(item, { hawl: hawl(item.id) })),
+            silver: this.getSilverItems().map(item => Object.assign(item, { hawl: hawl(item.id) })),
+            cash: this.getCashRows().map(row => Object.assign(row, { hawl: hawl(row.id) })),
+            investments: this.getInvestmentRows().map(row => Object.assign(row, { hawl: hawl(row.id) })),
+            receivables: this.getReceivableInputs(),
+            business: {
+                currency: value('business-currency'),
+                inventory: value('business-inventory'),
+                cash: value('business-cash'),
+                receivables: value('business-receivables'),
+                payables: value('business-payables'),
+                hawl: hawl('business')
+            },
+            liabilities: this.getLiabilityRows(),
+            crops: this.getCropRows(),
+            livestock: {
+                animals: livestock.animals,
+                prices: livestock.prices,
+                grazing: document.getElementById('livestock-grazing').checked
+            },
+            fitr: this.getFitr()
+        };
+    }
+
+    applyInputs(inputs) {
+        // Replace the whole form with a snapshot from getInputs; missing
+        // parts fall back to the state of a fresh page
+        this.isRestoring = true;
+        try {
+            const setValue = (id, value) => {
+                document.getElementById(id).value = value === undefined || value === null ? '' : value;
+            };
+
+            // Country first so new rows default to its currency
+            this.nisabBasisChosen = false;
+            setValue('country', inputs.country);
+            document.getElementById('country').dispatchEvent(new Event('change'));
+            if (inputs.nisabBasis) {
+                this.nisabBasis = inputs.nisabBasis;
+                this.nisabBasisChosen = true;
+                setValue('nisab-basis', inputs.nisabBasis);
+            }
+
+            if (inputs.hijriDate) {
+                const hijriDate = HijriCalendar.parse(inputs.hijriDate);
+                const yearSelect = document.getElementById('hijri-year');
+                if (!yearSelect.querySelector(`option[value="${hijriDate.year}"]`)) {
+                    const option = document.createElement('option');
+                    option.value = hijriDate.year;
+                    option.textContent = this.formatInteger(hijriDate.year);
+                    yearSelect.insertBefore(option, yearSelect.options[1] || null);
+                }
+                yearSelect.value = hijriDate.year;
+                setValue('hijri-month', hijriDate.month);
+                this.updateDaysInMonth();
+                setValue('hijri-day', hijriDate.day);
+                this.updateHijriDate();
+            } else {
+                this.setDefaultHijriDate();
+            }
+
+            this.goldPrice = parseFloat(inputs.goldPrice) || 0;
+            this.silverPrice = parseFloat(inputs.silverPrice) || 0;
+            setValue('gold-price-input', this.goldPrice || '');
+            setValue('silver-price-input', this.silverPrice || '');
+
+            this.madhab = inputs.madhab || ZakahEngine.DEFAULT_MADHAB;
+            setValue('madhab', this.madhab);
+            this.updateMadhabHelp();
+            this.debtPolicy = inputs.debtPolicy || ZakahEngine.DEFAULT_DEBT_POLICY;
+            setValue('debt-policy', this.debtPolicy);
+
+            // Rows
+            ['gold-rows', 'silver-rows', 'cash-rows', 'investment-rows', 'receivable-rows', 'liability-rows', 'crop-rows']
+                .forEach(id => {
+                    document.getElementById(id).innerHTML = '';
+                });
+            if (inputs.gold && inputs.gold.length) {
+                inputs.gold.forEach(item => this.addGoldRow(item));
+            } else {
+                this.setupGoldRows();
+            }
+            if (inputs.silver && inputs.silver.length) {
+                inputs.silver.forEach(item => this.addSilverRow(item));
+            } else {
+                this.setupSilverRows();
+            }
+            if (inputs.cash) {
+                inputs.cash.forEach(row => this.addCashRow(row.currency, row.amount, row.hawl));
+            } else {
+                this.setupCashRows();
+            }
+            (inputs.investments || []).forEach(holding => this.addInvestmentRow(holding));
+            (inputs.receivables || []).forEach(receivable => this.addReceivableRow(receivable));
+            (inputs.liabilities || []).forEach(liability => this.addLiabilityRow(liability));
+            this.getLiabilityRows().forEach(row => this.updateDueDateHint(row.id));
+            if (inputs.crops && inputs.crops.length) {
+                inputs.crops.forEach(crop => this.addCropRow(crop));
+            } else {
+                this.setupCropRows();
+            }
+
+            // Business trade goods
+            const business = inputs.business || {};
+            ['currency', 'inventory', 'cash', 'receivables', 'payables', 'hawl'].forEach(field => {
+                setValue(`business-${field}`, business[field]);
+            });
+
+            // Livestock and zakat al-fitr
+            const livestock = inputs.livestock || {};
+            LIVESTOCK_KINDS.forEach(kind => {
+                setValue(`livestock-${kind}`, (livestock.animals || {})[kind] || '');
+            });
+            DUE_ANIMALS.forEach(animal => {
+                setValue(`livestock-price-${animal}`, (livestock.prices || {})[animal]);
+            });
+            document.getElementById('livestock-grazing').checked = Boolean(livestock.grazing);
+
+            const fitr = inputs.fitr || {};
+            setValue('fitr-members', fitr.members || '');
+            setValue('fitr-method', fitr.method || 'food');
+            setValue('fitr-staple', fitr.staple || Object.keys(ZakahEngine.FITR_STAPLES)[0]);
+            setValue('fitr-kg-per-sa', fitr.kgPerSa || ZakahEngine.FITR_STAPLES[document.getElementById('fitr-staple').value]);
+            if (fitr.cashPerPerson) {
+                setValue('fitr-cash-per-person', fitr.cashPerPerson);
+            }
+            this.updateFitrMethod();
+
+            this.mode = inputs.mode || 'wealth';
+            setValue('calc-mode', this.mode);
+
+            this.getHawlAssets().forEach(asset => this.updateHawlHint(asset.id));
+            this.updateGoldConversions();
+            this.updateSilverConversions();
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+            this.updateMode();
+        } finally {
+            // A bad snapshot must not leave autosave switched off
+            this.isRestoring = false;
+        }
+    }
+
+    setupGoldRows() {
+        this.addGoldRow();
+    }
+
+    addGoldRow(item) {
+        // Build a gold item row from the template; its weight input id is the asset id
+        const values = item || {};
+        const id = `gold-${++this.goldRowCount}`;
+        const template = document.getElementById('gold-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const karatSelect = row.querySelector('.gold-karat');
+        karatSelect.id = `${id}-karat`;
+        ZakahEngine.GOLD_KARATS.forEach(karat => {
+            const option = document.createElement('option');
+            option.value = karat;
+            option.textContent = I18n.t('karat.option', { karat: this.formatInteger(karat) });
+            karatSelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = I18n.t('fineness.custom');
+        karatSelect.appendChild(customOption);
+        karatSelect.value = values.fineness && !values.karat ? 'custom' : (values.karat || DEFAULT_GOLD_KARAT);
+
+        const weightInput = row.querySelector('.gold-weight');
+        weightInput.id = id;
+        weightInput.value = values.grams || '';
+        row.querySelector('.gold-description').value = values.description || '';
+        row.querySelector('.gold-fineness').id = `${id}-fineness`;
+        row.querySelector('.gold-fineness').value = values.karat ? '' : (values.fineness || '');
+        row.querySelector('.gold-personal-use').checked = Boolean(values.personalUse);
+        row.querySelector('.gold-note').value = values.note || '';
+        row.querySelector('.gold-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-label').htmlFor = `${id}-hawl`;
+        row.querySelector('.hawl-input').id = `${id}-hawl`;
+        row.querySelector('.hawl-input').value = values.hawl || '';
+        row.querySelector('.hawl-hint').id = `${id}-hawl-hint`;
+
+        document.getElementById('gold-rows').appendChild(row);
+        this.updateFinenessField(id);
+
+        ['.gold-weight', '.gold-fineness'].forEach(selector => {
+            row.querySelector(selector).addEventListener('input', () => {
+                this.updateGoldConversions();
+                this.checkIfCanCalculate();
+            });
+        });
+
+        karatSelect.addEventListener('change', () => {
+            this.updateFinenessField(id);
+            this.updateGoldConversions();
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.hawl-input').addEventListener('input', () => {
+            this.updateHawlHint(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeGoldRow(id);
+        });
+
+        this.updateGoldConversions();
+        return id;
+    }
+
+    removeGoldRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.updateGoldConversions();
+        this.checkIfCanCalculate();
+    }
+
+    updateFinenessField(id) {
+        // The fineness input is only used for a custom purity
+        const isCustom = document.getElementById(`${id}-karat`).value === 'custom';
+        const field = document.getElementById(`${id}-row`).querySelector('.gold-fineness-field');
+        field.style.display = isCustom ? 'block' : 'none';
+    }
+
+    getGoldItems() {
+        // Gold items as { id, description, grams, karat or fineness, personalUse, note } for the engine
+        return Array.from(document.querySelectorAll('#gold-rows .gold-row')).map(row => {
+            const weightInput = row.querySelector('.gold-weight');
+            const karat = row.querySelector('.gold-karat').value;
+            const item = {
+                id: weightInput.id,
+                description: row.querySelector('.gold-description').value.trim(),
+                grams: parseFloat(weightInput.value) || 0,
+                personalUse: row.querySelector('.gold-personal-use').checked,
+                note: row.querySelector('.gold-note').value.trim()
+            };
+
+            if (karat === 'custom') {
+                item.fineness = parseFloat(row.querySelector('.gold-fineness').value) || 0;
+            } else {
+                item.karat = parseInt(karat);
+            }
+            return item;
+        });
+    }
+
+    isValidGoldItem(item) {
+        // A custom fineness must be between 0 and 1000 parts per thousand
+        return Boolean(item.karat) || (item.fineness > 0 && item.fineness <= 1000);
+    }
+
+    getGoldLabel(item) {
+        const purity = item.karat
+            ? I18n.t('karat.option', { karat: this.formatInteger(item.karat) })
+            : `${this.formatAmount(item.fineness || 0)}‰`;
+        return item.description ? `${item.description} (${purity})` : I18n.t('gold.label', { purity: purity });
+    }
+
+    setupSilverRows() {
+        this.addSilverRow();
+    }
+
+    addSilverRow(item) {
+        // Build a silver item row from the template; its weight input id is the asset id
+        const values = item || {};
+        const id = `silver-${++this.silverRowCount}`;
+        const template = document.getElementById('silver-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const puritySelect = row.querySelector('.silver-purity');
+        puritySelect.id = `${id}-purity`;
+        ZakahEngine.SILVER_FINENESSES.forEach(fineness => {
+            const option = document.createElement('option');
+            option.value = fineness;
+            option.textContent = `${this.formatInteger(fineness)}‰`;
+            puritySelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = I18n.t('fineness.custom');
+        puritySelect.appendChild(customOption);
+
+        const fineness = values.fineness || DEFAULT_SILVER_FINENESS;
+        const isCommon = ZakahEngine.SILVER_FINENESSES.includes(fineness);
+        puritySelect.value = isCommon ? fineness : 'custom';
+
+        const weightInput = row.querySelector('.silver-weight');
+        weightInput.id = id;
+        weightInput.value = values.grams || '';
+        row.querySelector('.silver-description').value = values.description || '';
+        row.querySelector('.silver-fineness').id = `${id}-fineness`;
+        row.querySelector('.silver-fineness').value = isCommon ? '' : fineness;
+        row.querySelector('.silver-note').value = values.note || '';
+        row.querySelector('.silver-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-label').htmlFor = `${id}-hawl`;
+        row.querySelector('.hawl-input').id = `${id}-hawl`;
+        row.querySelector('.hawl-input').value = values.hawl || '';
+        row.querySelector('.hawl-hint').id = `${id}-hawl-hint`;
+
+        document.getElementById('silver-rows').appendChild(row);
+        this.updateSilverFinenessField(id);
+
+        ['.silver-weight', '.silver-fineness'].forEach(selector => {
+            row.querySelector(selector).addEventListener('input', () => {
+                this.updateSilverConversions();
+                this.checkIfCanCalculate();
+            });
+        });
+
+        puritySelect.addEventListener('change', () => {
+            this.updateSilverFinenessField(id);
+            this.updateSilverConversions();
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.hawl-input').addEventListener('input', () => {
+            this.updateHawlHint(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeSilverRow(id);
+        });
+
+        this.updateSilverConversions();
+        return id;
+    }
+
+    removeSilverRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.updateSilverConversions();
+        this.checkIfCanCalculate();
+    }
+
+    updateSilverFinenessField(id) {
+        const isCustom = document.getElementById(`${id}-purity`).value === 'custom';
+        const field = document.getElementById(`${id}-row`).querySelector('.silver-fineness-field');
+        field.style.display = isCustom ? 'block' : 'none';
+    }
+
+    getSilverItems() {
+        // Silver items as { id, description, grams, fineness, note } for the engine
+        return Array.from(document.querySelectorAll('#silver-rows .silver-row')).map(row => {
+            const weightInput = row.querySelector('.silver-weight');
+            const purity = row.querySelector('.silver-purity').value;
+            const fineness = purity === 'custom' ? row.querySelector('.silver-fineness').value : purity;
+            return {
+                id: weightInput.id,
+                description: row.querySelector('.silver-description').value.trim(),
+                grams: parseFloat(weightInput.value) || 0,
+                fineness: parseFloat(fineness) || 0,
+                note: row.querySelector('.silver-note').value.trim()
+            };
+        });
+    }
+
+    isValidSilverItem(item) {
+        return item.fineness > 0 && item.fineness <= 1000;
+    }
+
+    getSilverLabel(item) {
+        const purity = `${this.formatAmount(item.fineness || 0)}‰`;
+        return item.description
+            ? I18n.t('silver.described', { description: item.description, purity: purity })
+            : I18n.t('silver.label', { purity: purity });
+    }
+
+    setupCashRows() {
+        DEFAULT_CASH_CURRENCIES.forEach(currency => this.addCashRow(currency));
+    }
+
+    addCashRow(currency, amount, hawl) {
+        // Build a cash row from the template; its amount input id is the asset id
+        const id = `cash-${++this.cashRowCount}`;
+        const template = document.getElementById('cash-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const select = row.querySelector('.cash-currency');
+        select.id = `${id}-currency`;
+        this.populateCurrencySelect(select, 'currency.choose');
+        select.value = currency || '';
+
+        const amountInput = row.querySelector('.cash-amount');
+        amountInput.id = id;
+        amountInput.value = amount || '';
+        row.querySelector('.cash-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-label').htmlFor = `${id}-hawl`;
+        row.querySelector('.hawl-input').id = `${id}-hawl`;
+        row.querySelector('.hawl-input').value = hawl || '';
+        row.querySelector('.hawl-hint').id = `${id}-hawl-hint`;
+
+        document.getElementById('cash-rows').appendChild(row);
+        this.updateConversionLabels();
+
+        amountInput.addEventListener('input', () => {
+            this.updateCurrencyConversions();
+            this.checkIfCanCalculate();
+
+            // Clear any existing timeout
+            if (this.currencyTimeout) {
+                clearTimeout(this.currencyTimeout);
+            }
+            
+            // Set a new timeout to debounce the conversion
+            this.currencyTimeout = setTimeout(() => {
+                this.updateCurrencyConversions();
+                this.checkIfCanCalculate();
+            }, 500); // Wait 500ms after user stops typing
+        });
+
+        select.addEventListener('change', () => {
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.hawl-input').addEventListener('input', () => {
+            this.updateHawlHint(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeCashRow(id);
+        });
+
+        return id;
+    }
+
+    removeCashRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.renderManualRates();
+        this.updateCurrencyConversions();
+        this.checkIfCanCalculate();
+    }
+
+    getCashRows() {
+        // Cash holdings as { id, currency, amount } for the engine
+        return Array.from(document.querySelectorAll('#cash-rows .cash-row')).map(row => {
+            const amountInput = row.querySelector('.cash-amount');
+            return {
+                id: amountInput.id,
+                currency: row.querySelector('.cash-currency').value,
+                amount: parseFloat(amountInput.value) || 0
+            };
+        });
+    }
+
+    addInvestmentRow(holding) {
+        // Build an investment row from the template; its value input id is the asset id
+        const values = holding || {};
+        const id = `inv-${++this.investmentRowCount}`;
+        const template = document.getElementById('investment-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const typeSelect = row.querySelector('.investment-type');
+        typeSelect.id = `${id}-type`;
+        Object.keys(INVESTMENT_TYPE_METHODS).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = I18n.t(`investmentType.${type}`);
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = values.type || 'shares';
+
+        const methodSelect = row.querySelector('.investment-method');
+        methodSelect.id = `${id}-method`;
+        ZakahEngine.INVESTMENT_METHODS.forEach(method => {
+            const option = document.createElement('option');
+            option.value = method;
+            option.textContent = I18n.t(`investmentMethod.${method}`);
+            methodSelect.appendChild(option);
+        });
+        methodSelect.value = values.method || INVESTMENT_TYPE_METHODS[typeSelect.value];
+
+        const currencySelect = row.querySelector('.cash-currency');
+        currencySelect.id = `${id}-currency`;
+        this.populateCurrencySelect(currencySelect, 'currency.choose');
+        currencySelect.value = values.currency || this.getCurrency();
+
+        const valueInput = row.querySelector('.cash-amount');
+        valueInput.id = id;
+        valueInput.value = values.marketValue || '';
+        row.querySelector('.investment-description').value = values.description || '';
+        row.querySelector('.investment-ratio').value = values.zakatableRatio !== undefined ? values.zakatableRatio : '';
+        row.querySelector('.investment-penalty').value = values.penaltyRate !== undefined ? values.penaltyRate : '';
+        row.querySelector('.cash-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-label').htmlFor = `${id}-hawl`;
+        row.querySelector('.hawl-input').id = `${id}-hawl`;
+        row.querySelector('.hawl-input').value = values.hawl || '';
+        row.querySelector('.hawl-hint').id = `${id}-hawl-hint`;
+
+        document.getElementById('investment-rows').appendChild(row);
+        this.updateConversionLabels();
+        this.updateInvestmentFields(id);
+
+        valueInput.addEventListener('input', () => {
+            this.checkIfCanCalculate();
+
+            if (this.currencyTimeout) {
+                clearTimeout(this.currencyTimeout);
+            }
+            this.currencyTimeout = setTimeout(() => {
+                this.updateCurrencyConversions();
+            }, 500);
+        });
+
+        typeSelect.addEventListener('change', () => {
+            // Each type suggests its usual valuation method
+            methodSelect.value = INVESTMENT_TYPE_METHODS[typeSelect.value];
+            this.updateInvestmentFields(id);
+            this.checkIfCanCalculate();
+        });
+
+        methodSelect.addEventListener('change', () => {
+            this.updateInvestmentFields(id);
+            this.checkIfCanCalculate();
+        });
+
+        currencySelect.addEventListener('change', () => {
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+            this.checkIfCanCalculate();
+        });
+
+        ['.investment-ratio', '.investment-penalty'].forEach(selector => {
+            row.querySelector(selector).addEventListener('input', () => {
+                this.checkIfCanCalculate();
+            });
+        });
+
+        row.querySelector('.hawl-input').addEventListener('input', () => {
+            this.updateHawlHint(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeInvestmentRow(id);
+        });
+
+        return id;
+    }
+
+    removeInvestmentRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.renderManualRates();
+        this.updateCurrencyConversions();
+        this.checkIfCanCalculate();
+    }
+
+    updateInvestmentFields(id) {
+        // Ratio and penalty inputs only apply to their valuation method
+        const method = document.getElementById(`${id}-method`).value;
+        const row = document.getElementById(`${id}-row`);
+        row.querySelector('.investment-ratio-field').style.display = method === 'zakatable-ratio' ? 'block' : 'none';
+        row.querySelector('.investment-penalty-field').style.display = method === 'net-of-penalty' ? 'block' : 'none';
+    }
+
+    getInvestmentRows() {
+        // Holdings as { id, description, type, method, currency, marketValue, ... } for the engine;
+        // amount mirrors marketValue so the rows convert like cash rows
+        return Array.from(document.querySelectorAll('#investment-rows .investment-row')).map(row => {
+            const valueInput = row.querySelector('.cash-amount');
+            const ratio = row.querySelector('.investment-ratio').value;
+            const marketValue = parseFloat(valueInput.value) || 0;
+            return {
+                id: valueInput.id,
+                description: row.querySelector('.investment-description').value.trim(),
+                type: row.querySelector('.investment-type').value,
+                method: row.querySelector('.investment-method').value,
+                currency: row.querySelector('.cash-currency').value,
+                marketValue: marketValue,
+                amount: marketValue,
+                zakatableRatio: ratio === '' ? null : parseFloat(ratio),
+                penaltyRate: parseFloat(row.querySelector('.investment-penalty').value) || 0
+            };
+        });
+    }
+
+    isValidInvestment(row) {
+        // The zakatable-assets ratio must be given; both percentages are 0-100
+        if (row.method === 'zakatable-ratio') {
+            return row.zakatableRatio !== null && row.zakatableRatio >= 0 && row.zakatableRatio <= 100;
+        }
+        if (row.method === 'net-of-penalty') {
+            return row.penaltyRate >= 0 && row.penaltyRate <= 100;
+        }
+        return true;
+    }
+
+    getReceivableInputs() {
+        // Receivables as entered, including dates that do not parse yet
+        return Array.from(document.querySelectorAll('#receivable-rows .receivable-row')).map(row => ({
+            description: row.querySelector('.receivable-description').value.trim(),
+            status: row.querySelector('.receivable-status').value,
+            currency: row.querySelector('.cash-currency').value,
+            amount: parseFloat(row.querySelector('.cash-amount').value) || 0,
+            since: row.querySelector('.receivable-since').value.trim(),
+            collectedDate: row.querySelector('.receivable-collected').value.trim()
+        }));
+    }
+
+    addReceivableRow(receivable) {
+        // Build a receivable row from the template; its amount input id is the asset id
+        const values = receivable || {};
+        const id = `recv-${++this.receivableRowCount}`;
+        const template = document.getElementById('receivable-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const select = row.querySelector('.cash-currency');
+        select.id = `${id}-currency`;
+        this.populateCurrencySelect(select, 'currency.choose');
+        select.value = values.currency || this.getCurrency();
+
+        const amountInput = row.querySelector('.cash-amount');
+        amountInput.id = id;
+        amountInput.value = values.amount || '';
+        row.querySelector('.receivable-status').id = `${id}-status`;
+        row.querySelector('.receivable-status').value = values.status || 'likely';
+        row.querySelector('.receivable-description').value = values.description || '';
+        row.querySelector('.receivable-since').id = `${id}-since`;
+        row.querySelector('.receivable-since').value = values.since || '';
+        row.querySelector('.receivable-collected').id = `${id}-collected`;
+        row.querySelector('.receivable-collected').value = values.collectedDate || '';
+        row.querySelector('.cash-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-hint').id = `${id}-hint`;
+
+        document.getElementById('receivable-rows').appendChild(row);
+        this.updateConversionLabels();
+        this.updateReceivableFields(id);
+
+        amountInput.addEventListener('input', () => {
+            this.checkIfCanCalculate();
+
+            if (this.currencyTimeout) {
+                clearTimeout(this.currencyTimeout);
+            }
+            this.currencyTimeout = setTimeout(() => {
+                this.updateCurrencyConversions();
+            }, 500);
+        });
+
+        select.addEventListener('change', () => {
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelectorAll('.receivable-description, .receivable-since, .receivable-collected').forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateReceivableFields(id);
+                this.checkIfCanCalculate();
+            });
+        });
+
+        row.querySelector('.receivable-status').addEventListener('change', () => {
+            this.updateReceivableFields(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeReceivableRow(id);
+        });
+
+        return id;
+    }
+
+    removeReceivableRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.renderManualRates();
+        this.updateCurrencyConversions();
+        this.checkIfCanCalculate();
+    }
+
+    getReceivableDate(id, field) {
+        // Returns null when no date was entered, false when the date is invalid
+        const value = document.getElementById(`${id}-${field}`).value.trim();
+        if (!value) return null;
+
+        const hijriDate = HijriCalendar.parse(value);
+        return HijriCalendar.isValid(hijriDate) ? hijriDate : false;
+    }
+
+    isValidReceivable(row) {
+        // A collected debt needs its collection date to count the past years
+        const since = this.getReceivableDate(row.id, 'since');
+        const collected = this.getReceivableDate(row.id, 'collected');
+        if (since === false || collected === false) return false;
+        return row.status !== 'collected' || collected !== null;
+    }
+
+    updateReceivableFields(id) {
+        const status = document.getElementById(`${id}-status`).value;
+        const row = document.getElementById(`${id}-row`);
+        row.querySelector('.receivable-collected-field').style.display = status === 'collected' ? 'block' : 'none';
+
+        const hint = document.getElementById(`${id}-hint`);
+        const since = this.getReceivableDate(id, 'since');
+        const collected = this.getReceivableDate(id, 'collected');
+
+        if (since === false || collected === false) {
+            hint.textContent = I18n.t('hawl.invalidDate');
+        } else if (status === 'doubtful') {
+            hint.textContent = I18n.t('receivable.doubtfulHint');
+        } else if (status === 'collected' && !collected) {
+            hint.textContent = I18n.t('receivable.enterCollected');
+        } else if (status === 'collected') {
+            const years = since ? ZakahEngine.countHawlYears(since, collected) : 1;
+            hint.textContent = I18n.t('receivable.pastYears', { years: this.formatInteger(years) });
+        } else {
+            hint.textContent = '';
+        }
+    }
+
+    getReceivableRows() {
+        // Receivables as { id, description, status, currency, amount, since, collectedDate } for the engine
+        return Array.from(document.querySelectorAll('#receivable-rows .receivable-row')).map(row => {
+            const amountInput = row.querySelector('.cash-amount');
+            const since = this.getReceivableDate(amountInput.id, 'since');
+            const collected = this.getReceivableDate(amountInput.id, 'collected');
+            return {
+                id: amountInput.id,
+                description: row.querySelector('.receivable-description').value.trim(),
+                status: row.querySelector('.receivable-status').value,
+                currency: row.querySelector('.cash-currency').value,
+                amount: parseFloat(amountInput.value) || 0,
+                since: since ? HijriCalendar.format(since) : null,
+                collectedDate: collected ? HijriCalendar.format(collected) : null
+            };
+        });
+    }
+
+    setupCropRows() {
+        this.addCropRow();
+    }
+
+    addCropRow(crop) {
+        // Build a crop row from the template; its weight input id is the crop id
+        const values = crop || {};
+        const id = `crop-${++this.cropRowCount}`;
+        const template = document.getElementById('crop-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const weightInput = row.querySelector('.crop-weight');
+        weightInput.id = id;
+        weightInput.value = values.kg || '';
+        row.querySelector('.crop-description').value = values.description || '';
+        row.querySelector('.crop-irrigation').id = `${id}-irrigation`;
+        row.querySelector('.crop-irrigation').value = values.irrigation || 'rain';
+        row.querySelector('.crop-price').id = `${id}-price`;
+        row.querySelector('.crop-price').value = values.pricePerKg || '';
+        row.querySelector('.crop-value').id = `${id}-value`;
+
+        document.getElementById('crop-rows').appendChild(row);
+        this.updateConversionLabels();
+
+        ['.crop-weight', '.crop-price'].forEach(selector => {
+            row.querySelector(selector).addEventListener('input', () => {
+                this.updateCropValues();
+                this.checkIfCanCalculate();
+            });
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            row.remove();
+            this.checkIfCanCalculate();
+        });
+
+        this.updateCropValues();
+        return id;
+    }
+
+    getCropRows() {
+        // Crops as { id, description, kg, irrigation, pricePerKg } for the engine
+        return Array.from(document.querySelectorAll('#crop-rows .crop-row')).map(row => {
+            const weightInput = row.querySelector('.crop-weight');
+            return {
+                id: weightInput.id,
+                description: row.querySelector('.crop-description').value.trim(),
+                kg: parseFloat(weightInput.value) || 0,
+                irrigation: row.querySelector('.crop-irrigation').value,
+                pricePerKg: parseFloat(row.querySelector('.crop-price').value) || 0
+            };
+        });
+    }
+
+    updateCropValues() {
+        // Market value of every crop in the zakah currency
+        this.getCropRows().forEach(crop => {
+            document.getElementById(`${crop.id}-value`).textContent = this.formatDecimal(crop.kg * crop.pricePerKg);
+        });
+    }
+
+    setupLivestock() {
+        // Optional estimated value for every kind of animal that can be due
+        const container = document.getElementById('livestock-prices');
+
+        DUE_ANIMALS.forEach(animal => {
+            const group = document.createElement('div');
+            group.className = 'manual-rate';
+
+            const label = I18n.label(document.createElement('label'), `dueAnimal.${animal}`);
+            label.htmlFor = `livestock-price-${animal}`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `livestock-price-${animal}`;
+            input.className = 'form-input';
+            input.min = '0';
+            input.step = '0.01';
+
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        });
+    }
+
+    setupFitr() {
+        const stapleSelect = document.getElementById('fitr-staple');
+
+        Object.keys(ZakahEngine.FITR_STAPLES).forEach(staple => {
+            const option = document.createElement('option');
+            option.value = staple;
+            stapleSelect.appendChild(I18n.label(option, `staple.${staple}`));
+        });
+
+        document.getElementById('fitr-kg-per-sa').value = ZakahEngine.FITR_STAPLES[stapleSelect.value];
+    }
+
+    updateFitrMethod() {
+        const isCash = document.getElementById('fitr-method').value === 'cash';
+        document.querySelector('.fitr-food').style.display = isCash ? 'none' : '';
+        document.querySelector('.fitr-cash').style.display = isCash ? '' : 'none';
+        this.checkIfCanCalculate();
+    }
+
+    loadFitrCash() {
+        // The cash value per person is set by each country's authorities,
+        // so the last amount entered is remembered per country
+        const saved = this.fitrCashStore.read({});
+        document.getElementById('fitr-cash-per-person').value = saved[this.country] || '';
+    }
+
+    saveFitrCash() {
+        if (!this.country) return;
+
+        const saved = this.fitrCashStore.read({});
+        const amount = parseFloat(document.getElementById('fitr-cash-per-person').value);
+        if (amount > 0) {
+            saved[this.country] = amount;
+        } else {
+            delete saved[this.country];
+        }
+        this.fitrCashStore.write(saved);
     }
 
-    // Removed old display methods - now using simple input field
+    getFitr() {
+        return {
+            members: parseInt(document.getElementById('fitr-members').value) || 0,
+            method: document.getElementById('fitr-method').value,
+            staple: document.getElementById('fitr-staple').value,
+            kgPerSa: parseFloat(document.getElementById('fitr-kg-per-sa').value) || 0,
+            cashPerPerson: parseFloat(document.getElementById('fitr-cash-per-person').value) || 0
+        };
+    }
 
-    hijriToGregorian(hijriDateString) {
-        // Convert Hijri date string to Gregorian date
-        const [hijriYear, hijriMonth, hijriDay] = hijriDateString.split('-').map(Number);
-        
-        // Debug logging
-        console.log(`Converting Hijri: ${hijriDateString} (Year: ${hijriYear}, Month: ${hijriMonth}, Day: ${hijriDay})`);
-        
-        // Use a simpler, more accurate approach
-        // Based on known accurate dates for 1446 AH
-        
-        // Reference: Muharram 1, 1446 AH = July 7, 2024 AD
-        const referenceHijri = { year: 1446, month: 1, day: 1 };
-        const referenceGregorian = new Date(2024, 6, 8); // July 8, 2024 (adjusted by 1 day)
-        
-        // Calculate the difference in Hijri days from reference
-        const hijriDaysFromReference = this.calculateHijriDaysFromReference(hijriYear, hijriMonth, hijriDay, referenceHijri);
-        
-        // Convert to Gregorian date
-        const gregorianDate = new Date(referenceGregorian);
-        gregorianDate.setDate(gregorianDate.getDate() + hijriDaysFromReference);
-        
-        console.log(`Converted to Gregorian: ${gregorianDate.toISOString().split('T')[0]}`);
-        
-        return gregorianDate;
+    getLivestock() {
+        // Head counts and due-animal prices for the engine
+        const animals = {};
+        LIVESTOCK_KINDS.forEach(kind => {
+            animals[kind] = parseInt(document.getElementById(`livestock-${kind}`).value) || 0;
+        });
+
+        const prices = {};
+        DUE_ANIMALS.forEach(animal => {
+            const price = parseFloat(document.getElementById(`livestock-price-${animal}`).value);
+            if (price > 0) prices[animal] = price;
+        });
+
+        return { animals: animals, prices: prices };
     }
 
-    calculateHijriDaysFromReference(targetYear, targetMonth, targetDay, reference) {
-        // Calculate days from reference date to target date
-        let totalDays = 0;
-        
-        // Add days from complete years
-        for (let year = reference.year; year < targetYear; year++) {
-            totalDays += this.getHijriYearDays(year);
-        }
-        
-        // Add days from complete months in target year
-        for (let month = 1; month < targetMonth; month++) {
-            totalDays += this.getHijriMonthDays(targetYear, month);
+    setupBusiness() {
+        // Business figures default to the zakah currency
+        this.populateCurrencySelect(document.getElementById('business-currency'), 'business.countryCurrency');
+    }
+
+    populateCurrencySelect(select, placeholderKey) {
+        // Every known currency, named in the interface language; rebuilding
+        // keeps the selected currency
+        const selected = select.value;
+        select.innerHTML = '';
+        if (placeholderKey) {
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = I18n.t(placeholderKey);
+            select.appendChild(placeholder);
         }
-        
-        // Add remaining days
-        totalDays += targetDay - reference.day;
-        
-        return totalDays;
+
+        Currencies.list().forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = I18n.t('currency.option', { name: this.currencyName(code), code: code });
+            select.appendChild(option);
+        });
+        if (selected) select.value = selected;
     }
 
-    getHijriYearDays(year) {
-        // Hijri year has 354 or 355 days
-        return this.isHijriLeapYear(year) ? 355 : 354;
+    getBusiness() {
+        // Business figures as { currency, inventory, cash, receivables, payables } for the engine
+        const amount = id => parseFloat(document.getElementById(id).value) || 0;
+        return {
+            currency: document.getElementById('business-currency').value || this.getCurrency(),
+            inventory: amount('business-inventory'),
+            cash: amount('business-cash'),
+            receivables: amount('business-receivables'),
+            payables: amount('business-payables')
+        };
     }
 
-    getHijriMonthDays(year, month) {
-        // Hijri months alternate between 29 and 30 days
-        // Odd months (1,3,5,7,9,11) usually have 30 days
-        // Even months (2,4,6,8,10,12) usually have 29 days
-        // But this can vary based on lunar observations
-        
-        const longMonths = [1, 3, 5, 7, 9, 11]; // Months that usually have 30 days
-        return longMonths.includes(month) ? 30 : 29;
+    addLiabilityRow(liability) {
+        // Build a liability row from the template; its amount input id is the row id
+        const values = liability || {};
+        const id = `debt-${++this.liabilityRowCount}`;
+        const template = document.getElementById('liability-row-template');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.id = `${id}-row`;
+
+        const select = row.querySelector('.cash-currency');
+        select.id = `${id}-currency`;
+        this.populateCurrencySelect(select, 'currency.choose');
+        select.value = values.currency || this.getCurrency();
+
+        const amountInput = row.querySelector('.cash-amount');
+        amountInput.id = id;
+        amountInput.value = values.amount || '';
+        row.querySelector('.liability-description').value = values.description || '';
+        row.querySelector('.cash-converted').id = `${id}-converted`;
+        row.querySelector('.hawl-label').htmlFor = `${id}-due`;
+        row.querySelector('.liability-due').id = `${id}-due`;
+        row.querySelector('.liability-due').value = values.dueDate || '';
+        row.querySelector('.hawl-hint').id = `${id}-due-hint`;
+
+        document.getElementById('liability-rows').appendChild(row);
+        this.updateConversionLabels();
+
+        amountInput.addEventListener('input', () => {
+            if (this.currencyTimeout) {
+                clearTimeout(this.currencyTimeout);
+            }
+
+            // Debounce the conversion like the cash rows
+            this.currencyTimeout = setTimeout(() => {
+                this.updateCurrencyConversions();
+            }, 500);
+        });
+
+        select.addEventListener('change', () => {
+            this.renderManualRates();
+            this.updateCurrencyConversions();
+        });
+
+        row.querySelector('.liability-due').addEventListener('input', () => {
+            this.updateDueDateHint(id);
+            this.checkIfCanCalculate();
+        });
+
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            this.removeLiabilityRow(id);
+        });
+
+        return id;
     }
 
-    isHijriLeapYear(year) {
-        // Hijri leap years occur in a 30-year cycle
-        // Years: 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29
-        const leapYears = [2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29];
-        return leapYears.includes(year % 30);
+    removeLiabilityRow(id) {
+        document.getElementById(`${id}-row`).remove();
+        this.renderManualRates();
+        this.updateCurrencyConversions();
+        this.checkIfCanCalculate();
     }
 
-    async simulateApiCall() {
-        // Simulate API delay
-        return new Promise(resolve => setTimeout(resolve, 1000));
+    getLiabilityDueDate(id) {
+        // Returns null when no date was entered, false when the date is invalid
+        const value = document.getElementById(`${id}-due`).value.trim();
+        if (!value) return null;
+
+        const hijriDate = HijriCalendar.parse(value);
+        return HijriCalendar.isValid(hijriDate) ? hijriDate : false;
     }
 
-    async fetchExchangeRates() {
-        try {
-            // Mock exchange rates (in reality, you would fetch from a currency API)
-            this.exchangeRates = {
-                'EGP': 1,      // Base currency
-                'SAR': 0.08,   // 1 SAR = 0.08 EGP (example rate)
-                'USD': 0.032   // 1 USD = 0.032 EGP (example rate)
-            };
-            
-            // Update currency conversions
-            this.updateCurrencyConversions();
-            
-        } catch (error) {
-            console.error('Error fetching exchange rates:', error);
+    updateDueDateHint(id) {
+        const dueDate = this.getLiabilityDueDate(id);
+        const hint = document.getElementById(`${id}-due-hint`);
+
+        if (dueDate === null) {
+            hint.textContent = '';
+        } else if (dueDate === false) {
+            hint.textContent = I18n.t('hawl.invalidDate');
+        } else {
+            hint.textContent = I18n.t('liabilities.dueOn', { date: this.formatHijriDate(dueDate) });
         }
     }
 
+    getLiabilityRows() {
+        // Liabilities as { id, description, currency, amount, dueDate } for the engine
+        return Array.from(document.querySelectorAll('#liability-rows .liability-row')).map(row => {
+            const amountInput = row.querySelector('.cash-amount');
+            const dueDate = this.getLiabilityDueDate(amountInput.id);
+            return {
+                id: amountInput.id,
+                description: row.querySelector('.liability-description').value.trim(),
+                currency: row.querySelector('.cash-currency').value,
+                amount: parseFloat(amountInput.value) || 0,
+                dueDate: dueDate ? HijriCalendar.format(dueDate) : null
+            };
+        });
+    }
+
     updateGoldConversions() {
-        const gold18k = parseFloat(document.getElementById('gold-18k').value) || 0;
-        const gold21k = parseFloat(document.getElementById('gold-21k').value) || 0;
-        const gold24k = parseFloat(document.getElementById('gold-24k').value) || 0;
+        // Convert every item to its 24k equivalent; invalid items count as zero
+        const items = this.getGoldItems();
+        const converted = ZakahEngine.convertGold(items.filter(item => this.isValidGoldItem(item)));
+        let total = 0;
+
+        items.forEach(item => {
+            const match = converted.find(entry => entry.id === item.id);
+            const pureGrams = match ? match.pureGrams : 0;
+            total += pureGrams;
+            document.getElementById(`${item.id}-converted`).textContent = this.formatDecimal(pureGrams);
+        });
 
-        // Convert to 24k equivalent
-        const converted18k = gold18k * (18/24);
-        const converted21k = gold21k * (21/24);
-        const converted24k = gold24k;
+        document.getElementById('gold-total').textContent = this.formatDecimal(total);
+    }
+
+    updateSilverConversions() {
+        // Pure silver weight of every item; invalid items count as zero
+        const items = this.getSilverItems();
+        const converted = ZakahEngine.convertSilver(items.filter(item => this.isValidSilverItem(item)));
+        let total = 0;
+
+        items.forEach(item => {
+            const match = converted.find(entry => entry.id === item.id);
+            const pureGrams = match ? match.pureGrams : 0;
+            total += pureGrams;
+            document.getElementById(`${item.id}-converted`).textContent = this.formatDecimal(pureGrams);
+        });
 
-        document.getElementById('gold-18k-converted').textContent = converted18k.toFixed(2);
-        document.getElementById('gold-21k-converted').textContent = converted21k.toFixed(2);
-        document.getElementById('gold-24k-converted').textContent = converted24k.toFixed(2);
+        document.getElementById('silver-total').textContent = this.formatDecimal(total);
     }
 
     async updateCurrencyConversions() {
         // Prevent multiple simultaneous conversions
         if (this.isConverting) {
+            this.conversionPending = true;
             return;
         }
 
-        const currencyEGP = parseFloat(document.getElementById('currency-egp').value) || 0;
-        const currencySAR = parseFloat(document.getElementById('currency-sar').value) || 0;
-        const currencyUSD = parseFloat(document.getElementById('currency-usd').value) || 0;
-
-        // Only fetch exchange rates if we have currency inputs and a selected date
-        if ((currencyEGP > 0 || currencySAR > 0 || currencyUSD > 0) && this.selectedDate) {
+        // Only fetch exchange rates if we have currency inputs, a country and a selected date
+        const hasMoneyInputs = this.hasCurrencyInputs() || this.hasInvestmentInputs() || this.hasReceivableInputs()
+            || this.hasBusinessInputs() || this.hasLiabilityInputs();
+        if (hasMoneyInputs && this.country && this.selectedDate) {
             this.isConverting = true;
             
             try {
-                // Convert Hijri date to Gregorian for API call
+                // Convert Hijri date to Gregorian for the rate lookup
                 const gregorianDate = this.hijriToGregorian(this.selectedDate);
-                const dateString = gregorianDate.toISOString().split('T')[0];
-                
-                // Check cache first (date-specific caching)
-                let exchangeRates = this.exchangeRateCache.get(dateString);
-                
-                if (!exchangeRates) {
-                    console.log(`Fetching historical exchange rates for ${dateString}`);
-                    // Show loading indicator
-                    document.getElementById('currency-loading').style.display = 'flex';
-                    
-                    // Fetch historical exchange rates for the specific date
-                    exchangeRates = await this.getHistoricalExchangeRates(gregorianDate);
-                    
-                    // Cache the result
-                    this.exchangeRateCache.set(dateString, exchangeRates);
-                } else {
-                    console.log(`Using cached exchange rates for ${dateString}`);
-                }
-                
-                // Convert to target currency using API rates
-                let convertedEGP, convertedSAR, convertedUSD;
+                const rateSet = await this.getExchangeRates(gregorianDate);
                 
-                if (this.country === 'EGP') {
-                    convertedEGP = currencyEGP;
-                    convertedSAR = currencySAR * (exchangeRates.EGP / exchangeRates.SAR);
-                    convertedUSD = currencyUSD * exchangeRates.EGP;
-                } else if (this.country === 'SAR') {
-                    convertedEGP = currencyEGP * (exchangeRates.SAR / exchangeRates.EGP);
-                    convertedSAR = currencySAR;
-                    convertedUSD = currencyUSD * exchangeRates.SAR;
-                }
-
-                document.getElementById('currency-egp-converted').textContent = convertedEGP.toFixed(2);
-                document.getElementById('currency-sar-converted').textContent = convertedSAR.toFixed(2);
-                document.getElementById('currency-usd-converted').textContent = convertedUSD.toFixed(2);
+                // Convert to target currency using the provider's rates
+                this.displayCurrencyConversions(rateSet.rates);
                 
             } catch (error) {
                 console.error('Error updating currency conversions:', error);
-                // Fallback to simple conversion if API fails
-                this.updateCurrencyConversionsFallback(currencyEGP, currencySAR, currencyUSD);
+                this.showError(I18n.t('error.rates'));
             } finally {
-                // Hide loading indicator and reset flag
-                document.getElementById('currency-loading').style.display = 'none';
+                // Reset flag and pick up changes made while converting
                 this.isConverting = false;
+                if (this.conversionPending) {
+                    this.conversionPending = false;
+                    this.updateCurrencyConversions();
+                }
             }
         } else {
             // Clear conversions if no inputs
-            document.getElementById('currency-egp-converted').textContent = '0.00';
-            document.getElementById('currency-sar-converted').textContent = '0.00';
-            document.getElementById('currency-usd-converted').textContent = '0.00';
-            document.getElementById('currency-loading').style.display = 'none';
+            document.querySelectorAll('.cash-row .cash-converted, .investment-row .cash-converted, .receivable-row .cash-converted, .liability-row .cash-converted').forEach(element => {
+                element.textContent = '0.00';
+            });
+            document.getElementById('business-converted').textContent = '0.00';
         }
     }
 
-    updateCurrencyConversionsFallback(currencyEGP, currencySAR, currencyUSD) {
-        // Fallback conversion rates (approximate)
-        const egpToSar = 0.078; // 1 EGP = 0.078 SAR
-        const sarToEgp = 12.8;  // 1 SAR = 12.8 EGP
-        const usdToEgp = 48;    // 1 USD = 48 EGP
-        const usdToSar = 3.75;  // 1 USD = 3.75 SAR
-
-        // Convert to target currency
-        let convertedEGP, convertedSAR, convertedUSD;
-        
-        if (this.country === 'EGP') {
-            convertedEGP = currencyEGP;
-            convertedSAR = currencySAR * sarToEgp;
-            convertedUSD = currencyUSD * usdToEgp;
-        } else if (this.country === 'SAR') {
-            convertedEGP = currencyEGP * egpToSar;
-            convertedSAR = currencySAR;
-            convertedUSD = currencyUSD * usdToSar;
-        }
+    displayCurrencyConversions(rates) {
+        // Rows are read again since they may have changed while rates were fetched
+        this.getCashRows().concat(this.getInvestmentRows(), this.getReceivableRows(), this.getLiabilityRows()).forEach(row => {
+            const converted = row.currency
+                ? ZakahEngine.convertAmount(row.amount, row.currency, this.getCurrency(), rates)
+                : 0;
+            document.getElementById(`${row.id}-converted`).textContent = this.formatDecimal(converted);
+        });
 
-        document.getElementById('currency-egp-converted').textContent = convertedEGP.toFixed(2);
-        document.getElementById('currency-sar-converted').textContent = convertedSAR.toFixed(2);
-        document.getElementById('currency-usd-converted').textContent = convertedUSD.toFixed(2);
+        const business = this.getBusiness();
+        const businessNet = business.inventory + business.cash + business.receivables - business.payables;
+        const businessConverted = business.currency
+            ? ZakahEngine.convertAmount(Math.max(0, businessNet), business.currency, this.getCurrency(), rates)
+            : 0;
+        document.getElementById('business-converted').textContent = this.formatDecimal(businessConverted);
     }
 
     checkIfCanCalculate() {
+        if (this.mode === 'crops') {
+            this.checkIfCanCalculateCrops();
+            return;
+        }
+        if (this.mode === 'livestock') {
+            this.checkIfCanCalculateLivestock();
+            return;
+        }
+        if (this.mode === 'fitr') {
+            this.checkIfCanCalculateFitr();
+            return;
+        }
+
         // Check if all required fields are filled
         const hasCountry = this.country && this.country !== '';
         const hasDate = this.selectedDate && this.selectedDate !== '';
         const hasGoldPrice = this.goldPrice > 0;
+        const needsSilverPrice = this.nisabBasis === 'silver' || this.hasSilverInputs();
+        const hasSilverPrice = !needsSilverPrice || this.silverPrice > 0;
+        const hasValidGoldItems = this.getGoldItems().every(item => this.isValidGoldItem(item))
+            && this.getSilverItems().every(item => this.isValidSilverItem(item));
+        const hasValidHawlDates = this.getHawlAssets().every(asset => this.getHawlStartDate(asset.id) !== false);
+        const hasValidInvestments = this.getInvestmentRows().every(row => this.isValidInvestment(row));
+        const hasValidReceivables = this.getReceivableRows().every(row => this.isValidReceivable(row));
+        const hasValidDueDates = this.getLiabilityRows().every(row => this.getLiabilityDueDate(row.id) !== false);
         
-        // Check if user has entered any gold or currency values
+        // Check if user has entered any zakatable values
         const hasGoldInputs = this.hasGoldInputs();
+        const hasSilverInputs = this.hasSilverInputs();
         const hasCurrencyInputs = this.hasCurrencyInputs();
-        const hasAnyInputs = hasGoldInputs || hasCurrencyInputs;
+        const hasInvestmentInputs = this.hasInvestmentInputs();
+        const hasReceivableInputs = this.hasReceivableInputs();
+        const hasBusinessInputs = this.hasBusinessInputs();
+        const hasAnyInputs = hasGoldInputs || hasSilverInputs || hasCurrencyInputs || hasInvestmentInputs
+            || hasReceivableInputs || hasBusinessInputs;
         
-        const canCalculate = hasCountry && hasDate && hasGoldPrice && hasAnyInputs;
+        const canCalculate = hasCountry && hasDate && hasGoldPrice && hasSilverPrice && hasValidGoldItems && hasValidInvestments && hasValidHawlDates && hasValidReceivables && hasValidDueDates && hasAnyInputs;
         
         document.getElementById('calculate-btn').disabled = !canCalculate;
         
         // Update button text based on validation
         const calculateBtn = document.getElementById('calculate-btn');
         if (!hasCountry || !hasDate) {
-            calculateBtn.textContent = 'اختر البلد والتاريخ أولاً';
+            calculateBtn.textContent = I18n.t('calculate.chooseCountryDate');
         } else if (!hasGoldPrice) {
-            calculateBtn.textContent = 'أدخل سعر الذهب أولاً';
+            calculateBtn.textContent = I18n.t('calculate.enterGoldPrice');
+        } else if (!hasSilverPrice) {
+            calculateBtn.textContent = I18n.t('calculate.enterSilverPrice');
+        } else if (!hasValidGoldItems) {
+            calculateBtn.textContent = I18n.t('calculate.checkFineness');
+        } else if (!hasValidInvestments) {
+            calculateBtn.textContent = I18n.t('calculate.checkInvestments');
+        } else if (!hasValidHawlDates) {
+            calculateBtn.textContent = I18n.t('calculate.checkHawl');
+        } else if (!hasValidReceivables) {
+            calculateBtn.textContent = I18n.t('calculate.checkReceivables');
+        } else if (!hasValidDueDates) {
+            calculateBtn.textContent = I18n.t('calculate.checkLiabilities');
         } else if (!hasAnyInputs) {
-            calculateBtn.textContent = 'أدخل كمية الذهب أو الأموال';
+            calculateBtn.textContent = I18n.t('calculate.enterWealth');
+        } else {
+            calculateBtn.textContent = I18n.t('calculate.ready');
+        }
+    }
+
+    checkIfCanCalculateCrops() {
+        const hasCountry = this.country && this.country !== '';
+        const hasDate = this.selectedDate && this.selectedDate !== '';
+        const crops = this.getCropRows().filter(crop => crop.kg > 0);
+        const hasCrops = crops.length > 0;
+        const hasPrices = crops.every(crop => crop.pricePerKg > 0);
+
+        const calculateBtn = document.getElementById('calculate-btn');
+        calculateBtn.disabled = !(hasCountry && hasDate && hasCrops && hasPrices);
+
+        if (!hasCountry || !hasDate) {
+            calculateBtn.textContent = I18n.t('calculate.chooseCountryDate');
+        } else if (!hasCrops) {
+            calculateBtn.textContent = I18n.t('calculate.enterCrops');
+        } else if (!hasPrices) {
+            calculateBtn.textContent = I18n.t('calculate.enterCropPrices');
+        } else {
+            calculateBtn.textContent = I18n.t('calculate.ready');
+        }
+    }
+
+    checkIfCanCalculateLivestock() {
+        const hasCountry = this.country && this.country !== '';
+        const hasDate = this.selectedDate && this.selectedDate !== '';
+        const livestock = this.getLivestock();
+        const hasAnimals = Object.keys(livestock.animals).some(kind => livestock.animals[kind] > 0);
+        const isGrazing = document.getElementById('livestock-grazing').checked;
+
+        const calculateBtn = document.getElementById('calculate-btn');
+        calculateBtn.disabled = !(hasCountry && hasDate && hasAnimals && isGrazing);
+
+        if (!hasCountry || !hasDate) {
+            calculateBtn.textContent = I18n.t('calculate.chooseCountryDate');
+        } else if (!hasAnimals) {
+            calculateBtn.textContent = I18n.t('calculate.enterLivestock');
+        } else if (!isGrazing) {
+            // Animals fed most of the year or held for trade are not zakah'd as livestock
+            calculateBtn.textContent = I18n.t('calculate.livestockGrazing');
+        } else {
+            calculateBtn.textContent = I18n.t('calculate.ready');
+        }
+    }
+
+    checkIfCanCalculateFitr() {
+        const hasCountry = this.country && this.country !== '';
+        const hasDate = this.selectedDate && this.selectedDate !== '';
+        const fitr = this.getFitr();
+        const hasMembers = fitr.members > 0;
+        const hasAmount = fitr.method === 'cash' ? fitr.cashPerPerson > 0 : fitr.kgPerSa > 0;
+
+        const calculateBtn = document.getElementById('calculate-btn');
+        calculateBtn.disabled = !(hasCountry && hasDate && hasMembers && hasAmount);
+
+        if (!hasCountry || !hasDate) {
+            calculateBtn.textContent = I18n.t('calculate.chooseCountryDate');
+        } else if (!hasMembers) {
+            calculateBtn.textContent = I18n.t('calculate.enterMembers');
+        } else if (!hasAmount) {
+            calculateBtn.textContent = fitr.method === 'cash' ? I18n.t('calculate.enterCashPerPerson') : I18n.t('calculate.enterKgPerSa');
         } else {
-            calculateBtn.textContent = 'احسب الزكاة';
+            calculateBtn.textContent = I18n.t('calculate.ready');
         }
     }
 
     hasGoldInputs() {
-        const gold18k = parseFloat(document.getElementById('gold-18k').value) || 0;
-        const gold21k = parseFloat(document.getElementById('gold-21k').value) || 0;
-        const gold24k = parseFloat(document.getElementById('gold-24k').value) || 0;
-        return gold18k > 0 || gold21k > 0 || gold24k > 0;
+        return this.getGoldItems().some(item => item.grams > 0);
     }
 
-    hasCurrencyInputs() {
-        const currencyEGP = parseFloat(document.getElementById('currency-egp').value) || 0;
-        const currencySAR = parseFloat(document.getElementById('currency-sar').value) || 0;
-        const currencyUSD = parseFloat(document.getElementById('currency-usd').value) || 0;
-        return currencyEGP > 0 || currencySAR > 0 || currencyUSD > 0;
+    hasSilverInputs() {
+        return this.getSilverItems().some(item => item.grams > 0);
     }
 
-    async calculateZakah() {
-        try {
-            // Get gold quantities
-            const gold18k = parseFloat(document.getElementById('gold-18k').value) || 0;
-            const gold21k = parseFloat(document.getElementById('gold-21k').value) || 0;
-            const gold24k = parseFloat(document.getElementById('gold-24k').value) || 0;
+    hasCurrencyInputs() {
+        return this.getCashRows().some(row => row.currency && row.amount > 0);
+    }
 
-            // Convert to 24k equivalent
-            const totalGold24k = (gold18k * (18/24)) + (gold21k * (21/24)) + gold24k;
+    hasInvestmentInputs() {
+        return this.getInvestmentRows().some(row => row.currency && row.marketValue > 0);
+    }
 
-            // Calculate gold value
-            const goldValue = totalGold24k * this.goldPrice;
+    hasReceivableInputs() {
+        // Doubtful debts alone give nothing to calculate
+        return this.getReceivableRows().some(row => row.currency && row.amount > 0 && row.status !== 'doubtful');
+    }
 
-            // Get currency amounts
-            const currencyEGP = parseFloat(document.getElementById('currency-egp').value) || 0;
-            const currencySAR = parseFloat(document.getElementById('currency-sar').value) || 0;
-            const currencyUSD = parseFloat(document.getElementById('currency-usd').value) || 0;
+    hasBusinessInputs() {
+        const business = this.getBusiness();
+        return business.inventory > 0 || business.cash > 0 || business.receivables > 0;
+    }
 
-            // Convert currencies to target currency using API exchange rates
-            let totalCash;
-            
-            try {
-                // Convert Hijri date to Gregorian for API call
-                const gregorianDate = this.hijriToGregorian(this.selectedDate);
-                const dateString = gregorianDate.toISOString().split('T')[0];
-                
-                // Use cached exchange rates if available
-                let exchangeRates = this.exchangeRateCache.get(dateString);
-                
-                if (!exchangeRates) {
-                    // Fetch historical exchange rates if not cached
-                    exchangeRates = await this.getHistoricalExchangeRates(gregorianDate);
-                    this.exchangeRateCache.set(dateString, exchangeRates);
-                }
-                
-                if (this.country === 'EGP') {
-                    totalCash = currencyEGP + (currencySAR * (exchangeRates.EGP / exchangeRates.SAR)) + (currencyUSD * exchangeRates.EGP);
-                } else if (this.country === 'SAR') {
-                    totalCash = (currencyEGP * (exchangeRates.SAR / exchangeRates.EGP)) + currencySAR + (currencyUSD * exchangeRates.SAR);
-                }
-                
-            } catch (error) {
-                console.error('Error fetching exchange rates for calculation:', error);
-                // Fallback to simple rates
-                const egpToSar = 0.078; // 1 EGP = 0.078 SAR
-                const sarToEgp = 12.8;  // 1 SAR = 12.8 EGP
-                const usdToEgp = 48;    // 1 USD = 48 EGP
-                const usdToSar = 3.75;  // 1 USD = 3.75 SAR
-                
-                if (this.country === 'EGP') {
-                    totalCash = currencyEGP + (currencySAR * sarToEgp) + (currencyUSD * usdToEgp);
-                } else if (this.country === 'SAR') {
-                    totalCash = (currencyEGP * egpToSar) + currencySAR + (currencyUSD * usdToSar);
-                }
-            }
+    hasLiabilityInputs() {
+        return this.getLiabilityRows().some(row => row.currency && row.amount > 0);
+    }
 
-            // Calculate total wealth
-            const totalWealth = goldValue + totalCash;
+    async calculateZakah() {
+        if (this.mode === 'crops') {
+            this.calculateCrops();
+            return;
+        }
+        if (this.mode === 'livestock') {
+            this.calculateLivestock();
+            return;
+        }
+        if (this.mode === 'fitr') {
+            this.calculateFitr();
+            return;
+        }
 
-            // Calculate Zakah (2.5%)
-            const zakahAmount = totalWealth * 0.025;
+        try {
+            // Exchange rates for the selected date from the provider chain
+            const gregorianDate = this.hijriToGregorian(this.selectedDate);
+            const rateSet = await this.getExchangeRates(gregorianDate);
+
+            const result = ZakahEngine.calculate({
+                country: this.country,
+                currency: this.getCurrency(),
+                hijriDate: this.selectedDate,
+                goldPrice: this.goldPrice,
+                silverPrice: this.silverPrice,
+                nisabBasis: this.nisabBasis,
+                madhab: this.madhab,
+                gold: this.getGoldItems(),
+                silver: this.getSilverItems(),
+                cash: this.getCashRows().filter(row => row.currency),
+                investments: this.getInvestmentRows().filter(row => row.currency),
+                receivables: this.getReceivableRows().filter(row => row.currency),
+                business: this.hasBusinessInputs() ? this.getBusiness() : null,
+                liabilities: this.getLiabilityRows().filter(row => row.currency),
+                debtPolicy: this.debtPolicy,
+                rates: rateSet.rates,
+                rateSource: {
+                    provider: rateSet.provider,
+                    date: rateSet.date,
+                    isHistorical: rateSet.isHistorical,
+                    stale: Boolean(rateSet.stale),
+                    fetchedAt: rateSet.fetchedAt || null
+                },
+                hawl: this.getHawlDates()
+            });
 
             // Display results
-            this.displayResults(totalGold24k, goldValue, totalCash, totalWealth, zakahAmount);
+            this.displayResults(result);
+            this.displayHawlBreakdown(result);
+            this.recordProfileResult(result);
+            this.recordHistory(result);
+            this.lastCalculation = { result: result, rateSet: rateSet, inputs: this.getInputs() };
 
         } catch (error) {
             console.error('Error calculating Zakah:', error);
-            this.showError('خطأ في حساب الزكاة');
+            this.showError(I18n.t('error.calculate'));
         }
     }
 
-    displayResults(totalGold, goldValue, totalCash, totalWealth, zakahAmount) {
-        const currencySymbol = this.country === 'EGP' ? 'جنيه مصري' : 'ريال سعودي';
+    displayResults(result) {
+        const money = value => this.formatMoney(value, result.currency);
+        const grams = value => I18n.t('unit.grams', { value: this.formatDecimal(value) });
+        const nisab = result.nisab;
+        const basisLabel = nisab.basis === 'silver' ? I18n.t('results.basisSilver') : I18n.t('results.basisGold');
         
-        document.getElementById('total-gold').textContent = `${totalGold.toFixed(2)} جرام`;
-        document.getElementById('gold-value').textContent = `${goldValue.toLocaleString()} ${currencySymbol}`;
-        document.getElementById('total-cash').textContent = `${totalCash.toLocaleString()} ${currencySymbol}`;
-        document.getElementById('total-wealth').textContent = `${totalWealth.toLocaleString()} ${currencySymbol}`;
-        document.getElementById('zakah-amount').textContent = `${zakahAmount.toLocaleString()} ${currencySymbol}`;
+        document.getElementById('result-madhab').textContent = I18n.t('madhab.result', {
+            name: I18n.t(`madhab.${result.madhab.name}`),
+            ruling: I18n.t(`madhabRuling.${result.madhab.name}`)
+        });
+        document.getElementById('total-gold').textContent = grams(result.totalGold24k);
+        document.getElementById('exempt-gold').textContent = `${grams(result.exemptGold24k)} (${money(result.exemptGoldValue)})`;
+        this.displayGoldSubtotals(result);
+        document.getElementById('total-silver').textContent = grams(result.totalSilver);
+        document.getElementById('silver-value').textContent = money(result.silverValue);
+        document.getElementById('gold-value').textContent = money(result.goldValue);
+        document.getElementById('total-cash').textContent = money(result.totalCash);
+        this.displayInvestmentBreakdown(result);
+        document.getElementById('receivables-value').textContent = money(result.totalReceivables);
+        document.getElementById('doubtful-receivables').textContent = money(result.doubtfulReceivables);
+        this.displayBusinessBreakdown(result);
+        document.getElementById('gross-wealth').textContent = money(result.grossWealth);
+        document.getElementById('deducted-liabilities').textContent = money(result.deductedLiabilities);
+        document.getElementById('total-wealth').textContent = money(result.totalWealth);
+        document.getElementById('nisab-value').textContent = I18n.t('results.nisab', {
+            value: money(nisab.value),
+            grams: I18n.t('unit.grams', { value: this.formatAmount(nisab.grams) }),
+            basis: basisLabel
+        });
+        document.getElementById('nisab-status').textContent = nisab.isReached ? I18n.t('results.reached') : I18n.t('results.notReached');
+        document.getElementById('zakah-amount').textContent = money(result.zakahAmount);
+        document.getElementById('receivables-past-zakah').textContent = money(result.receivablesPastZakah);
+        document.getElementById('business-zakah').textContent = money(result.businessZakah);
+        document.getElementById('result-rate-source').textContent = result.rateSource ? this.getRateSourceText(result.rateSource) : '-';
+
+        // Flag results whose currency conversions used stale or approximate rates
+        const staleWarning = document.getElementById('stale-rates-warning');
+        const isStale = Boolean(result.rateSource) && this.isStaleRateSet(result.rateSource) &&
+            Object.keys(result.exchangeRates).length > 0;
+        staleWarning.textContent = isStale
+            ? I18n.t('results.staleRates', { source: this.getRateSourceText(result.rateSource) })
+            : '';
+        staleWarning.style.display = isStale ? 'block' : 'none';
+
+        // Explain clearly when no zakah is due
+        const noZakahNotice = document.getElementById('no-zakah-notice');
+        noZakahNotice.style.display = nisab.isReached || result.zakahAmount > 0 ? 'none' : 'block';
 
         // Show results section
         document.getElementById('results-section').style.display = 'block';
@@ -713,6 +2846,354 @@ class ZakahCalculator {
         });
     }
 
+    calculateCrops() {
+        try {
+            const result = ZakahEngine.calculateUshr({
+                country: this.country,
+                currency: this.getCurrency(),
+                hijriDate: this.selectedDate,
+                crops: this.getCropRows().filter(crop => crop.kg > 0)
+            });
+
+            this.displayCropResults(result);
+            this.recordProfileResult(result);
+        } catch (error) {
+            console.error('Error calculating crop zakah:', error);
+            this.showError(I18n.t('error.crops'));
+        }
+    }
+
+    displayCropResults(result) {
+        const kg = value => I18n.t('unit.kg', { value: value });
+        const list = document.getElementById('crop-results');
+        list.innerHTML = '';
+
+        result.crops.forEach(crop => {
+            const label = crop.description || I18n.t('crops.defaultLabel');
+            const row = document.createElement('li');
+            row.className = crop.isReached ? 'hawl-item due' : 'hawl-item not-due';
+            row.textContent = crop.isReached
+                ? I18n.t('crops.due', {
+                    label: label,
+                    kg: kg(this.formatAmount(crop.kg)),
+                    rate: this.formatAmount(Number((crop.rate * 100).toFixed(1))),
+                    dueKg: kg(this.formatDecimal(crop.dueKg)),
+                    value: this.formatMoney(crop.zakahAmount, result.currency)
+                })
+                : I18n.t('crops.notReached', { label: label, kg: kg(this.formatAmount(crop.kg)) });
+            list.appendChild(row);
+        });
+
+        document.getElementById('crops-value').textContent = this.formatMoney(result.totalValue, result.currency);
+        document.getElementById('crops-nisab').textContent = I18n.t('crops.nisabPerCrop', { kg: kg(this.formatAmount(result.nisabKg)) });
+        document.getElementById('crops-zakah').textContent = this.formatMoney(result.zakahAmount, result.currency);
+        document.getElementById('crops-no-zakah-notice').style.display = result.zakahAmount > 0 ? 'none' : 'block';
+
+        document.getElementById('results-section').style.display = 'block';
+        document.getElementById('results-section').scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    calculateLivestock() {
+        try {
+            const livestock = this.getLivestock();
+            const result = ZakahEngine.calculateLivestock({
+                country: this.country,
+                currency: this.getCurrency(),
+                hijriDate: this.selectedDate,
+                animals: livestock.animals,
+                prices: livestock.prices
+            });
+
+            this.displayLivestockResults(result);
+            this.recordProfileResult(result);
+        } catch (error) {
+            console.error('Error calculating livestock zakah:', error);
+            this.showError(I18n.t('error.livestock'));
+        }
+    }
+
+    displayLivestockResults(result) {
+        const list = document.getElementById('livestock-results');
+        list.innerHTML = '';
+
+        const herds = result.herds.filter(herd => herd.count > 0);
+        herds.forEach(herd => {
+            const due = Object.keys(herd.due)
+                .map(animal => `${this.formatAmount(herd.due[animal])} ${I18n.t(`dueAnimal.${animal}`)}`)
+                .join(I18n.t('livestock.and'));
+            const kind = I18n.t(`animalKind.${herd.kind}`);
+            const count = this.formatAmount(herd.count);
+
+            const row = document.createElement('li');
+            row.className = herd.isReached ? 'hawl-item due' : 'hawl-item not-due';
+            row.textContent = herd.isReached
+                ? `${kind} (${count}): ${due}`
+                : I18n.t('livestock.notReached', { kind: kind, count: count, nisab: this.formatAmount(herd.nisab) });
+            list.appendChild(row);
+        });
+
+        document.getElementById('livestock-zakah').textContent = result.zakahAmount === null
+            ? I18n.t('livestock.enterPrices')
+            : this.formatMoney(result.zakahAmount, result.currency);
+        document.getElementById('livestock-no-zakah-notice').style.display = herds.some(herd => herd.isReached) ? 'none' : 'block';
+
+        document.getElementById('results-section').style.display = 'block';
+        document.getElementById('results-section').scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    calculateFitr() {
+        try {
+            const fitr = this.getFitr();
+            const result = ZakahEngine.calculateFitr({
+                country: this.country,
+                currency: this.getCurrency(),
+                hijriDate: this.selectedDate,
+                members: fitr.members,
+                method: fitr.method,
+                staple: fitr.staple,
+                kgPerSa: fitr.kgPerSa,
+                cashPerPerson: fitr.cashPerPerson
+            });
+
+            this.displayFitrResults(result);
+            this.recordProfileResult(result);
+        } catch (error) {
+            console.error('Error calculating zakat al-fitr:', error);
+            this.showError(I18n.t('error.fitr'));
+        }
+    }
+
+    displayFitrResults(result) {
+        document.getElementById('fitr-members-result').textContent = this.formatAmount(result.members);
+        if (result.method === 'cash') {
+            document.getElementById('fitr-per-person').textContent = this.formatMoney(result.cashPerPerson, result.currency);
+            document.getElementById('fitr-total').textContent = this.formatMoney(result.zakahAmount, result.currency);
+        } else {
+            const staple = I18n.t(`staple.${result.staple}`);
+            const kg = value => I18n.t('unit.kg', { value: this.formatAmount(value) });
+            document.getElementById('fitr-per-person').textContent = I18n.t('fitr.saPerPerson', { kg: kg(result.kgPerSa), staple: staple });
+            document.getElementById('fitr-total').textContent = I18n.t('fitr.totalFood', { kg: kg(result.totalKg), staple: staple });
+        }
+
+        // Eid is on 1 Shawwal; the deadline is the Eid prayer on that day
+        const deadline = HijriCalendar.parse(result.deadline.hijriDate);
+        const gregorian = new Date(`${result.deadline.gregorianDate}T00:00:00Z`);
+        document.getElementById('fitr-deadline').textContent = I18n.t('fitr.deadlineText', {
+            hijri: this.formatHijriDate(deadline),
+            gregorian: I18n.formatGregorianDate(gregorian)
+        });
+
+        document.getElementById('results-section').style.display = 'block';
+        document.getElementById('results-section').scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    buildReport() {
+        // The report follows the interface language and digits
+        const lang = I18n.getLanguage();
+        const country = this.getCountry();
+        const calculation = this.lastCalculation;
+
+        return ZakahReport.build(calculation.result, {
+            countryName: country.name[lang],
+            currencyName: country.currencyName[lang],
+            rateSourceText: this.getRateSourceText(calculation.rateSet),
+            profileName: this.profiles.get(this.activeProfileId).name
+        });
+    }
+
+    printReport() {
+        if (!this.lastCalculation) return;
+
+        ZakahReport.renderHtml(this.buildReport(), document.getElementById('report'));
+        window.print();
+    }
+
+    async downloadReportPdf() {
+        if (!this.lastCalculation) return;
+
+        try {
+            // Wait for the web font so the pages are drawn with it when it loaded
+            if (document.fonts) {
+                await document.fonts.ready;
+            }
+
+            const canvases = ZakahReport.drawPages(this.buildReport(), document, "'Noto Sans Arabic', sans-serif");
+            const pdf = PdfWriter.create(canvases.map(canvas => ({
+                jpeg: PdfWriter.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)),
+                width: canvas.width,
+                height: canvas.height
+            })));
+
+            this.downloadFile(pdf, 'application/pdf', `zakah-report-${this.lastCalculation.result.hijriDate}.pdf`);
+        } catch (error) {
+            console.error('Error creating PDF report:', error);
+            this.showError(I18n.t('error.pdf'));
+        }
+    }
+
+    downloadFile(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    exportCalculation(format) {
+        // The breakdown is only included while it still matches the form
+        const inputs = this.getInputs();
+        const calculation = this.lastCalculation;
+        const breakdown = calculation && JSON.stringify(calculation.inputs) === JSON.stringify(inputs)
+            ? calculation.result
+            : null;
+
+        const fileName = `zakah-${inputs.hijriDate || 'calculation'}.${format}`;
+        if (format === 'csv') {
+            // BOM so spreadsheet apps read the Arabic descriptions as UTF-8
+            this.downloadFile('\uFEFF' + CalculationFile.toCsv(inputs, breakdown), 'text/csv;charset=utf-8', fileName);
+        } else {
+            this.downloadFile(CalculationFile.toJson(inputs, breakdown), 'application/json', fileName);
+        }
+    }
+
+    importCalculationFile(file) {
+        if (!file) return;
+
+        const list = document.getElementById('import-errors');
+        list.innerHTML = '';
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+            const parsed = CalculationFile.parse(reader.result, format, {
+                countries: Countries.list().map(country => country.code)
+            });
+
+            if (parsed.errors.length) {
+                // Nothing is applied until every row is valid
+                parsed.errors.forEach(message => {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    list.appendChild(item);
+                });
+                this.showError(I18n.t('import.failed', { count: this.formatAmount(parsed.errors.length), file: file.name }));
+                return;
+            }
+
+            this.applyInputs(parsed.inputs);
+            this.saveProfile();
+            this.showSuccess(I18n.t('import.done', { file: file.name }));
+        };
+        reader.readAsText(file);
+    }
+
+    displayGoldSubtotals(result) {
+        // Gold weight and value by karat or fineness
+        const list = document.getElementById('gold-subtotals');
+        list.innerHTML = '';
+
+        result.goldSubtotals.filter(group => group.grams > 0).forEach(group => {
+            const purity = group.karat
+                ? I18n.t('karat.option', { karat: this.formatInteger(group.karat) })
+                : I18n.t('fineness.option', { fineness: this.formatInteger(group.fineness) });
+            const row = document.createElement('li');
+            row.textContent = I18n.t('gold.subtotal', {
+                purity: purity,
+                grams: I18n.t('unit.grams', { value: this.formatDecimal(group.grams) }),
+                pure: I18n.t('unit.grams', { value: this.formatDecimal(group.pureGrams) }),
+                value: this.formatMoney(group.value, result.currency)
+            });
+            list.appendChild(row);
+        });
+    }
+
+    displayInvestmentBreakdown(result) {
+        // Every holding with the valuation method applied to it
+        const list = document.getElementById('investment-breakdown');
+        list.innerHTML = '';
+
+        document.getElementById('investments-value').textContent = this.formatMoney(result.totalInvestments, result.currency);
+
+        result.investments.filter(item => item.marketValue > 0).forEach(item => {
+            const row = document.createElement('li');
+            row.textContent = I18n.t('investments.entry', {
+                label: item.description || I18n.t(`investmentType.${item.type}`),
+                method: I18n.t(`investmentMethod.${item.method}`),
+                value: this.formatMoney(item.value, result.currency),
+                market: this.formatMoney(item.marketValue, result.currency)
+            });
+            list.appendChild(row);
+        });
+    }
+
+    displayBusinessBreakdown(result) {
+        // Business figures in the zakah currency
+        const list = document.getElementById('business-breakdown');
+        const business = result.business;
+        list.innerHTML = '';
+
+        document.getElementById('business-value').textContent = this.formatMoney(business ? business.value : 0, result.currency);
+        if (!business) return;
+
+        [
+            [I18n.t('business.inventoryShort'), business.inventory],
+            [I18n.t('business.cashShort'), business.cash],
+            [I18n.t('business.receivablesShort'), business.receivables],
+            [I18n.t('business.payablesShort'), -business.payables]
+        ].forEach(([label, value]) => {
+            const row = document.createElement('li');
+            row.textContent = `${label}: ${this.formatMoney(value, result.currency)}`;
+            list.appendChild(row);
+        });
+    }
+
+    displayHawlBreakdown(result) {
+        const list = document.getElementById('hawl-list');
+        const hawlAssets = this.getHawlAssets();
+        list.innerHTML = '';
+
+        const assets = result.gold.concat(result.silver, result.cash, result.investments, result.business || []).filter(item => item.value > 0);
+
+        assets.forEach(item => {
+            // A row removed while the rates were loading has no asset left
+            const asset = hawlAssets.find(entry => entry.id === item.id);
+            const label = asset ? asset.label : (item.description || item.currency || item.id);
+            let statusText;
+            if (item.isExempt) {
+                statusText = I18n.t('hawl.exempt');
+            } else if (!item.hawl.startDate) {
+                statusText = I18n.t('hawl.noDate');
+            } else if (item.hawl.isDue) {
+                statusText = I18n.t('hawl.completed', { date: this.formatHijriDate(item.hawl.anniversary) });
+            } else if (item.hawl.anniversary) {
+                statusText = I18n.t('hawl.notYet', { date: this.formatHijriDate(item.hawl.anniversary) });
+            } else {
+                statusText = I18n.t('hawl.pending');
+            }
+
+            const row = document.createElement('li');
+            row.className = item.hawl.isDue && !item.isExempt ? 'hawl-item due' : 'hawl-item not-due';
+            row.textContent = `${label} (${this.formatMoney(item.value, result.currency)}): ${statusText}`;
+
+            list.appendChild(row);
+        });
+
+        document.getElementById('deferred-value').textContent = this.formatMoney(result.deferredValue, result.currency);
+        document.getElementById('hawl-breakdown').style.display = assets.length ? 'block' : 'none';
+    }
+
     showError(message) {
         // Create error message element
         const errorDiv = document.createElement('div');
@@ -751,25 +3232,8 @@ document.addEventListener('DOMContentLoaded', () => {
     new ZakahCalculator();
 });
 
-// Utility functions for Hijri calendar (simplified)
+// Utility functions for Hijri calendar
 function convertGregorianToHijri(date) {
-    // This is a simplified conversion
-    // In a real application, you would use a proper Hijri calendar library
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    
-    // Approximate conversion
-    const hijriYear = year - 622;
-    
-    return {
-        year: hijriYear,
-        month: month,
-        day: day
-    };
-}
-
-// Format number with Arabic locale
-function formatArabicNumber(number) {
-    return new Intl.NumberFormat('ar-EG').format(number);
+    // Umm al-Qura conversion of the local calendar day of the given date
+    return HijriCalendar.fromGregorian(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
 }
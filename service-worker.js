@@ -0,0 +1,118 @@
+// Service Worker
+//
+// Precaches the app (page, styles, scripts, icons and the Google Fonts
+// stylesheet with its font files) so the calculator opens and calculates
+// without a connection. Exchange rate requests are never intercepted: the
+// page keeps its own rate cache (rate-cache.js) and flags stale rates.
+//
+// Bump CACHE_NAME whenever APP_FILES changes; the old cache is removed
+// when the new worker activates.
+
+const CACHE_NAME = 'zakah-calculator-v2';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'config.js',
+    'i18n.js',
+    'hijri-calendar.js',
+    'zakah-engine.js',
+    'calculation-file.js',
+    'currencies.js',
+    'countries.js',
+    'json-storage.js',
+    'rate-cache.js',
+    'profile-store.js',
+    'zakah-history.js',
+    'payment-ledger.js',
+    'exchange-rates.js',
+    'report.js',
+    'pdf-writer.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+const FONT_STYLESHEET = 'https://fonts.googleapis.com/css2?family=Noto+Sans+Arabic:wght@300;400;500;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+async function precacheFonts(cache) {
+    // The stylesheet lists the font files for this browser; without them
+    // the page falls back to the system font, so failures are not fatal
+    try {
+        const response = await fetch(FONT_STYLESHEET);
+        if (!response.ok) {
+            throw new Error(`Font stylesheet request failed: ${response.status}`);
+        }
+
+        const css = await response.clone().text();
+        await cache.put(FONT_STYLESHEET, response);
+
+        const fontUrls = (css.match(/https:\/\/fonts\.gstatic\.com\/[^)'"]+/g) || [])
+            .filter((url, index, all) => all.indexOf(url) === index);
+        await cache.addAll(fontUrls);
+    } catch (error) {
+        console.error('Error precaching fonts:', error);
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+        await precacheFonts(cache);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function fromCacheThenNetwork(event, fallbackUrl) {
+    // Serve the cached copy at once and refresh it in the background, so
+    // the next visit picks up changes without waiting on the network
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Offline the refresh fails and the cached copy simply stays
+        event.waitUntil(update.catch(() => null));
+        return cached;
+    }
+
+    try {
+        return await update;
+    } catch (error) {
+        const page = fallbackUrl ? await cache.match(fallbackUrl) : null;
+        if (page) return page;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(fromCacheThenNetwork(event, request.mode === 'navigate' ? 'index.html' : null));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(fromCacheThenNetwork(event, null));
+    }
+});
@@ -0,0 +1,83 @@
+// Calculation file import and export tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculationFile = require('../calculation-file.js');
+
+test('gold rows keep personal use and notes through the CSV', () => {
+    const csv = CalculationFile.toCsv({
+        country: 'EG',
+        gold: [
+            { description: 'سوار', grams: 20, karat: 21, personalUse: true, note: 'هدية, من الأم', hawl: '1445-03-10' },
+            { description: '', grams: 0, karat: 21, personalUse: false, note: '' }
+        ],
+        cash: [{ currency: '', amount: 0 }]
+    });
+    assert.equal(csv.split('\n')[2], 'gold,سوار,20,21,1445-03-10,yes,"هدية, من الأم"');
+
+    const parsed = CalculationFile.parse(csv, 'csv', {});
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.inputs.gold, [
+        { description: 'سوار', hawl: '1445-03-10', grams: 20, karat: 21, personalUse: true, note: 'هدية, من الأم' }
+    ]);
+    assert.deepEqual(parsed.inputs.cash, []);
+});
+
+test('CSV files without the gold columns still import', () => {
+    const parsed = CalculationFile.parse('type,description,amount,unit,date\ngold,,10,18,', 'csv', {});
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.inputs.gold[0].personalUse, false);
+});
+
+test('every JSON list is validated row by row', () => {
+    const parsed = CalculationFile.parse(JSON.stringify({
+        investments: [
+            { currency: 'EGP', marketValue: 1000, method: 'zakatable-ratio', zakatableRatio: 30 },
+            { currency: 'EGP', marketValue: 1000, method: 'zakatable-ratio', zakatableRatio: 130 }
+        ],
+        receivables: [{ currency: 'EGP', amount: 500, status: 'collected', since: '1444-13-01' }],
+        liabilities: [{ currency: 'EGP', amount: -1 }, { currency: '', amount: 0, dueDate: null }],
+        crops: [{ kg: 1000, irrigation: 'flood', pricePerKg: 10 }]
+    }), 'json', {});
+
+    assert.equal(parsed.inputs, null);
+    assert.deepEqual(parsed.errors, [
+        'investments #2: invalid zakatable ratio "130"',
+        'receivables #1: invalid since date "1444-13-01"',
+        'liabilities #1: invalid amount "-1"',
+        'crops #1: invalid irrigation "flood"'
+    ]);
+});
+
+test('the JSON mode, business, livestock and zakat al-fitr are validated', () => {
+    const parsed = CalculationFile.parse(JSON.stringify({
+        mode: 'zakat',
+        business: { currency: 'EGP', inventory: '5000', cash: 'abc', hawl: '' },
+        livestock: { animals: { camels: 2.5, sheep: 40 }, prices: { sheep: 3000 }, grazing: true },
+        fitr: { members: 4, method: 'food', staple: 'corn', kgPerSa: 2.5 }
+    }), 'json', {});
+
+    assert.equal(parsed.inputs, null);
+    assert.deepEqual(parsed.errors, [
+        'mode: unknown mode "zakat"',
+        'business: invalid cash "abc"',
+        'livestock: invalid camels count "2.5"',
+        'fitr: unknown staple "corn"'
+    ]);
+    assert.deepEqual(CalculationFile.parse('{"fitr": []}', 'json', {}).errors, ['fitr: must be an object']);
+});
+
+test('currency codes are read in any case in JSON as in CSV', () => {
+    const parsed = CalculationFile.parse(JSON.stringify({
+        mode: 'wealth',
+        cash: [{ currency: 'usd', amount: 100 }],
+        liabilities: [{ currency: 'egp', amount: 50 }],
+        business: { currency: 'sar', inventory: 1000 }
+    }), 'json', {});
+
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.inputs.cash[0].currency, 'USD');
+    assert.equal(parsed.inputs.liabilities[0].currency, 'EGP');
+    assert.equal(parsed.inputs.business.currency, 'SAR');
+    assert.equal(CalculationFile.parse('cash,,100,usd,', 'csv', {}).inputs.cash[0].currency, 'USD');
+});
@@ -0,0 +1,83 @@
+// Rate table parsing tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExchangeRates = require('../exchange-rates.js');
+const RateCache = require('../rate-cache.js');
+const { MemoryStorage } = require('./helpers/memory-storage.js');
+
+test('JSON and CSV tables give the same uppercased rates', () => {
+    const json = ExchangeRates.parseRateTable('{ "base": "usd", "rates": { "2024-01-01": { "egp": 30 } } }', 'json');
+    const csv = ExchangeRates.parseRateTable('date,currency,rate\n2024-01-01,egp,30', 'csv');
+    assert.deepEqual(json, { base: 'USD', byDate: { '2024-01-01': { EGP: 30 } } });
+    assert.deepEqual(csv, json);
+});
+
+test('undated JSON rates apply to every date', () => {
+    const table = ExchangeRates.parseRateTable('{ "rates": { "EGP": 48.3, "sar": 3.75 } }', 'json');
+    assert.deepEqual(table.byDate, { '*': { EGP: 48.3, SAR: 3.75 } });
+});
+
+test('invalid JSON rates are rejected', () => {
+    [
+        '{ "rates": { "2024-01-01": null } }',
+        '{ "rates": { "2024-01-01": { "EGP": 0 } } }',
+        '{ "rates": { "EGP": -1 } }',
+        '{ "rates": { "EURO": 1 } }',
+        '{ "rates": [] }'
+    ].forEach(text => {
+        assert.throws(() => ExchangeRates.parseRateTable(text, 'json'), text);
+    });
+});
+
+test('the table provider falls back to the latest earlier date', async () => {
+    const provider = new ExchangeRates.RateTableProvider(ExchangeRates.parseRateTable('2024-01-01,EGP,30\n2024-03-01,EGP,31', 'csv'));
+    const rateSet = await provider.getRates('2024-02-15');
+    assert.equal(rateSet.date, '2024-01-01');
+    assert.equal(rateSet.isHistorical, false);
+    assert.equal(rateSet.rates.EGP, 30);
+});
+
+function failingProvider(name) {
+    return { name: name, base: 'USD', cacheable: true, getRates: async () => { throw new Error('offline'); } };
+}
+
+function workingProvider(name, egp, cacheable) {
+    return {
+        name: name,
+        base: 'USD',
+        cacheable: cacheable,
+        getRates: async () => ({ base: 'USD', date: null, isHistorical: false, rates: { USD: 1, EGP: egp } })
+    };
+}
+
+function cacheWithLastKnown(provider, egp) {
+    const cache = new RateCache(new MemoryStorage());
+    cache.set('2025-01-01', 'USD', { provider: provider, base: 'USD', isHistorical: false, rates: { USD: 1, EGP: egp } });
+    return cache;
+}
+
+test('another network provider is tried before last known rates', async t => {
+    t.mock.method(console, 'error', () => {});
+    const service = new ExchangeRates.ExchangeRateService(
+        [failingProvider('remote'), workingProvider('local-server', 49, true), workingProvider('fallback', 48, false)],
+        ['remote', 'local-server', 'fallback'],
+        cacheWithLastKnown('remote', 47)
+    );
+    const rateSet = await service.getRates('2025-03-01', ['EGP']);
+    assert.equal(rateSet.provider, 'local-server');
+    assert.equal(rateSet.stale, undefined);
+});
+
+test('last known rates come before the offline providers', async t => {
+    t.mock.method(console, 'error', () => {});
+    const service = new ExchangeRates.ExchangeRateService(
+        [failingProvider('remote'), failingProvider('local-server'), workingProvider('fallback', 48, false)],
+        ['remote', 'local-server', 'fallback'],
+        cacheWithLastKnown('remote', 47)
+    );
+    const rateSet = await service.getRates('2025-03-01', ['EGP']);
+    assert.equal(rateSet.provider, 'remote');
+    assert.equal(rateSet.stale, true);
+    assert.equal(rateSet.rates.EGP, 47);
+});
@@ -0,0 +1,28 @@
+// In-memory stand-ins for localStorage, shared by the storage tests
+
+class MemoryStorage {
+    constructor(items) {
+        this.items = Object.assign({}, items);
+    }
+
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+    }
+}
+
+// Storage that refuses every write, like a full quota or private mode
+class FullStorage extends MemoryStorage {
+    setItem() {
+        throw new Error('QuotaExceededError');
+    }
+}
+
+module.exports = { MemoryStorage: MemoryStorage, FullStorage: FullStorage };
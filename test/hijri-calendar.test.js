@@ -0,0 +1,74 @@
+// Umm al-Qura calendar tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HijriCalendar = require('../hijri-calendar.js');
+
+// 1 <month> <year> AH as published in the Umm al-Qura calendar
+const MONTH_STARTS = [
+    [1300, 1, '1882-11-12'],
+    [1318, 1, '1900-04-30'],
+    [1343, 9, '1925-03-26'],
+    [1356, 1, '1937-03-14'],
+    [1400, 1, '1979-11-21'],
+    [1420, 9, '1999-12-09'],
+    [1435, 10, '2014-07-28'],
+    [1440, 12, '2019-08-02'],
+    [1444, 9, '2023-03-23'],
+    [1445, 9, '2024-03-11'],
+    [1445, 10, '2024-04-10'],
+    [1446, 1, '2024-07-07'],
+    [1446, 9, '2025-03-01'],
+    [1447, 1, '2025-06-26'],
+    [1480, 1, '2057-07-03'],
+    [1500, 1, '2076-11-28'],
+    [1500, 12, '2077-10-18']
+];
+
+function isoDay(date) {
+    return date.toISOString().split('T')[0];
+}
+
+test('month starts match the Umm al-Qura calendar', () => {
+    MONTH_STARTS.forEach(([year, month, gregorian]) => {
+        assert.equal(isoDay(HijriCalendar.toGregorian(year, month, 1)), gregorian, `1-${month}-${year}`);
+        assert.deepEqual(HijriCalendar.fromGregorian(new Date(`${gregorian}T00:00:00Z`)), { year: year, month: month, day: 1 });
+    });
+});
+
+test('every day from 1300 to 1500 AH round-trips', () => {
+    let expected = HijriCalendar.toGregorian(HijriCalendar.MIN_YEAR, 1, 1).getTime();
+
+    for (let year = HijriCalendar.MIN_YEAR; year <= HijriCalendar.MAX_YEAR; year++) {
+        for (let month = 1; month <= 12; month++) {
+            for (let day = 1; day <= HijriCalendar.daysInMonth(year, month); day++) {
+                const gregorian = HijriCalendar.toGregorian(year, month, day);
+                // Consecutive Hijri days are consecutive Gregorian days
+                assert.equal(gregorian.getTime(), expected, `${year}-${month}-${day}`);
+                assert.deepEqual(HijriCalendar.fromGregorian(gregorian), { year: year, month: month, day: day });
+                expected += 24 * 60 * 60 * 1000;
+            }
+        }
+    }
+});
+
+test('month lengths are 29 or 30 days', () => {
+    for (let year = HijriCalendar.MIN_YEAR; year <= HijriCalendar.MAX_YEAR; year++) {
+        for (let month = 1; month <= 12; month++) {
+            assert.ok([29, 30].includes(HijriCalendar.daysInMonth(year, month)), `${year}-${month}`);
+        }
+    }
+});
+
+test('dates outside the table are rejected', () => {
+    assert.throws(() => HijriCalendar.toGregorian(1299, 12, 29), RangeError);
+    assert.throws(() => HijriCalendar.toGregorian(1501, 1, 1), RangeError);
+    assert.throws(() => HijriCalendar.fromGregorian(new Date(Date.UTC(1882, 10, 11))), RangeError);
+    assert.equal(HijriCalendar.isValid({ year: 1446, month: 13, day: 1 }), false);
+    assert.equal(HijriCalendar.isValid({ year: 1446, month: 1, day: 31 }), false);
+});
+
+test('parse and format are inverses', () => {
+    assert.deepEqual(HijriCalendar.parse('1446-09-15'), { year: 1446, month: 9, day: 15 });
+    assert.equal(HijriCalendar.format({ year: 1446, month: 9, day: 5 }), '1446-09-05');
+});
@@ -0,0 +1,72 @@
+// Zakah payment tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentLedger = require('../payment-ledger.js');
+const { MemoryStorage } = require('./helpers/memory-storage.js');
+
+const OBLIGATION = { zakahAmount: 1000, currency: 'EGP', hijriDate: '1446-09-01' };
+
+function payment(date, value, category, valueCurrency) {
+    return { date: date, value: value, valueCurrency: valueCurrency || 'EGP', category: category || 'fuqara' };
+}
+
+test('the balance tracks what is still due', () => {
+    const balance = PaymentLedger.getBalance(OBLIGATION, [
+        payment('1446-08-20', 300),
+        payment('1446-09-10', 200, 'masakin')
+    ]);
+    assert.equal(balance.paid, 500);
+    assert.equal(balance.advance, 300);
+    assert.equal(balance.outstanding, 500);
+    assert.equal(balance.overpaid, 0);
+    assert.equal(balance.status, 'underpaid');
+    assert.deepEqual(balance.byCategory, { fuqara: 300, masakin: 200 });
+});
+
+test('overpayments and exact payments are flagged', () => {
+    const over = PaymentLedger.getBalance(OBLIGATION, [payment('1446-09-10', 1250)]);
+    assert.equal(over.status, 'overpaid');
+    assert.equal(over.overpaid, 250);
+    assert.equal(over.outstanding, 0);
+
+    // Rounding differences below half a cent count as settled
+    assert.equal(PaymentLedger.getBalance(OBLIGATION, [payment('1446-09-10', 999.996)]).status, 'paid');
+    assert.equal(PaymentLedger.getBalance(OBLIGATION, []).status, 'unpaid');
+    assert.equal(PaymentLedger.getBalance(Object.assign({}, OBLIGATION, { zakahAmount: 0 }), []).status, 'none');
+});
+
+test('payments in another currency are not added up', () => {
+    const balance = PaymentLedger.getBalance(OBLIGATION, [payment('1446-09-10', 1000), payment('1446-09-10', 20, 'fuqara', 'USD')]);
+    assert.equal(balance.paid, 1000);
+    assert.equal(balance.status, 'paid');
+    assert.equal(balance.unmatched.length, 1);
+});
+
+test('payments before any calculation are advance payments', () => {
+    const balance = PaymentLedger.getBalance(null, [payment('1446-05-01', 400, 'fuqara', 'SAR')]);
+    assert.equal(balance.currency, 'SAR');
+    assert.equal(balance.advance, 400);
+    assert.equal(balance.due, null);
+    assert.equal(balance.status, 'advance');
+    assert.equal(PaymentLedger.getBalance(null, []).status, 'none');
+});
+
+test('the ledger validates and keeps payments per profile and year', () => {
+    const storage = new MemoryStorage();
+    const ledger = new PaymentLedger(storage);
+    const base = { profileId: 'profile-1', hijriYear: 1446, amount: 100, currency: 'EGP', value: 100, valueCurrency: 'EGP', category: 'fuqara' };
+    ledger.add(Object.assign({}, base, { date: '1446-09-10' }));
+    ledger.add(Object.assign({}, base, { date: '1446-09-02' }));
+    ledger.add(Object.assign({}, base, { date: '1447-01-05', hijriYear: 1447 }));
+
+    assert.throws(() => ledger.add(Object.assign({}, base, { date: '1446-13-01' })), RangeError);
+    assert.throws(() => ledger.add(Object.assign({}, base, { date: '1446-09-10', amount: 0 })), RangeError);
+    assert.throws(() => ledger.add(Object.assign({}, base, { date: '1446-09-10', category: 'other' })), RangeError);
+
+    const reloaded = new PaymentLedger(storage);
+    assert.deepEqual(reloaded.list('profile-1', 1446).map(item => item.date), ['1446-09-02', '1446-09-10']);
+    assert.deepEqual(reloaded.getYears('profile-1'), [1446, 1447]);
+    reloaded.removeProfile('profile-1');
+    assert.deepEqual(reloaded.getYears('profile-1'), []);
+});
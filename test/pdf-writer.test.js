@@ -0,0 +1,45 @@
+// Minimal PDF writer tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PdfWriter = require('../pdf-writer.js');
+
+function page(size) {
+    // Stand-in JPEG data; the writer copies the bytes as they are
+    return { jpeg: new Uint8Array(size).fill(0xff), width: 1240, height: 1754 };
+}
+
+function toText(bytes) {
+    return Buffer.from(bytes).toString('latin1');
+}
+
+test('the file has a header, one page per image and a trailer', () => {
+    const text = toText(PdfWriter.create([page(10), page(20)]));
+
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.endsWith('%%EOF\n'));
+    assert.match(text, /\/Type \/Pages \/Kids \[3 0 R 6 0 R\] \/Count 2/);
+    assert.equal(text.match(/\/Type \/Page /g).length, 2);
+    assert.match(text, /\/Width 1240 \/Height 1754 .*\/Length 20 >>/);
+});
+
+test('the cross-reference table points at every object', () => {
+    const text = toText(PdfWriter.create([page(10), page(20)]));
+
+    const startxref = parseInt(text.match(/startxref\n(\d+)\n/)[1]);
+    assert.ok(text.startsWith('xref\n', startxref));
+
+    const lines = text.slice(startxref).split('\n');
+    const [first, count] = lines[1].split(' ').map(Number);
+    assert.deepEqual([first, count], [0, 9]);
+    assert.equal(lines[2], '0000000000 65535 f ');
+    for (let number = 1; number < count; number++) {
+        const offset = parseInt(lines[2 + number]);
+        assert.ok(text.startsWith(`${number} 0 obj\n`, offset), `object ${number} at ${offset}`);
+    }
+    assert.match(text, /trailer\n<< \/Size 9 \/Root 1 0 R >>/);
+});
+
+test('a PDF needs at least one page', () => {
+    assert.throws(() => PdfWriter.create([]), /at least one page/);
+});
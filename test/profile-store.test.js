@@ -0,0 +1,61 @@
+// Saved profile tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProfileStore = require('../profile-store.js');
+const { MemoryStorage, FullStorage } = require('./helpers/memory-storage.js');
+
+test('profiles and the active one survive a reload', () => {
+    const storage = new MemoryStorage();
+    const store = new ProfileStore(storage);
+    const me = store.create('أنا', { country: 'EG' });
+    const wife = store.create('الزوجة', { country: 'SA' });
+    store.setActive(me.id);
+
+    const reloaded = new ProfileStore(storage);
+    assert.deepEqual(reloaded.list().map(profile => profile.name), ['أنا', 'الزوجة']);
+    assert.equal(reloaded.getActive().id, me.id);
+    assert.equal(reloaded.get(wife.id).inputs.country, 'SA');
+});
+
+test('a duplicate copies the inputs but not the last result', () => {
+    const store = new ProfileStore(new MemoryStorage());
+    const source = store.create('أنا', { cash: [{ currency: 'EGP', amount: 100 }] });
+    store.update(source.id, { lastResult: { mode: 'wealth', currency: 'EGP', zakahAmount: 10 } });
+
+    const copy = store.duplicate(source.id, 'نسخة');
+    copy.inputs.cash[0].amount = 200;
+    assert.equal(copy.lastResult, null);
+    assert.equal(store.get(source.id).inputs.cash[0].amount, 100);
+    assert.equal(store.getActive().id, copy.id);
+});
+
+test('removing the active profile activates the first one left', () => {
+    const store = new ProfileStore(new MemoryStorage());
+    const first = store.create('أ', null);
+    const second = store.create('ب', null);
+    store.remove(second.id);
+    assert.equal(store.getActive().id, first.id);
+    store.remove(first.id);
+    assert.equal(store.getActive(), null);
+});
+
+test('household totals add the last results per currency', () => {
+    const store = new ProfileStore(new MemoryStorage());
+    [['EGP', 100], ['EGP', 50], ['USD', 5], [null, 7]].forEach(([currency, zakahAmount], index) => {
+        const profile = store.create(`ملف ${index + 1}`, null);
+        store.update(profile.id, { lastResult: { mode: 'wealth', currency: currency, zakahAmount: zakahAmount } });
+    });
+    assert.deepEqual(store.getHouseholdTotals(), { EGP: 150, USD: 5 });
+});
+
+test('corrupt or unwritable storage does not stop the store', t => {
+    t.mock.method(console, 'error', () => {});
+    const corrupt = new ProfileStore(new MemoryStorage({ 'zakah-profiles': '{not json' }));
+    assert.deepEqual(corrupt.list(), []);
+
+    const full = new ProfileStore(new FullStorage());
+    full.create('أنا', null);
+    assert.equal(full.list().length, 1);
+    assert.equal(console.error.mock.callCount(), 2);
+});
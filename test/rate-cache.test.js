@@ -0,0 +1,72 @@
+// Exchange rate cache tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateCache = require('../rate-cache.js');
+const { MemoryStorage } = require('./helpers/memory-storage.js');
+
+const MINUTE = 60 * 1000;
+
+function rateSet(provider, isHistorical, egp) {
+    return { provider: provider, base: 'USD', isHistorical: isHistorical, rates: { USD: 1, EGP: egp } };
+}
+
+test('latest rates expire after the time to live', t => {
+    let now = Date.UTC(2025, 2, 1);
+    t.mock.method(Date, 'now', () => now);
+    const cache = new RateCache(new MemoryStorage(), { ttlMinutes: 30 });
+
+    cache.set('2025-03-01', 'USD', rateSet('remote', false, 48));
+    now += 29 * MINUTE;
+    assert.equal(cache.get('2025-03-01', 'USD', 'remote').rates.EGP, 48);
+    now += 2 * MINUTE;
+    assert.equal(cache.get('2025-03-01', 'USD', 'remote'), null);
+});
+
+test('historical rates of past dates never expire and survive a reload', t => {
+    let now = Date.UTC(2025, 2, 1);
+    t.mock.method(Date, 'now', () => now);
+    const storage = new MemoryStorage();
+    new RateCache(storage).set('2024-01-01', 'USD', rateSet('remote', true, 30));
+
+    now += 365 * 24 * 60 * MINUTE;
+    const reloaded = new RateCache(storage);
+    assert.equal(reloaded.get('2024-01-01', 'USD', 'remote').rates.EGP, 30);
+    assert.equal(reloaded.list()[0].expiresAt, null);
+});
+
+test('providers with the same base keep their own entries', () => {
+    const cache = new RateCache(new MemoryStorage());
+    cache.set('2024-01-01', 'USD', rateSet('remote', true, 30));
+    cache.set('2024-01-01', 'USD', rateSet('local-server', true, 31));
+
+    assert.equal(cache.get('2024-01-01', 'USD', 'remote').rates.EGP, 30);
+    assert.equal(cache.get('2024-01-01', 'USD', 'local-server').rates.EGP, 31);
+    assert.equal(cache.list().length, 2);
+});
+
+test('the last known rates stay until a newer set replaces them', t => {
+    let now = Date.UTC(2025, 2, 1);
+    t.mock.method(Date, 'now', () => now);
+    const cache = new RateCache(new MemoryStorage(), { ttlMinutes: 30 });
+
+    cache.set('2025-03-01', 'USD', rateSet('remote', false, 48));
+    now += 60 * MINUTE;
+    assert.equal(cache.getLastKnown('USD', 'remote').rateSet.rates.EGP, 48);
+    assert.equal(cache.getLastKnown('USD', 'local-server'), null);
+
+    cache.set('2025-03-02', 'USD', rateSet('remote', false, 49));
+    assert.equal(cache.getLastKnown('USD', 'remote').rateSet.rates.EGP, 49);
+    assert.deepEqual(cache.list().map(entry => entry.date), ['2025-03-02']);
+});
+
+test('clear empties the cache and its storage', () => {
+    const storage = new MemoryStorage();
+    const cache = new RateCache(storage);
+    cache.set('2024-01-01', 'USD', rateSet('remote', true, 30));
+
+    cache.clear();
+    assert.deepEqual(cache.list(), []);
+    assert.equal(storage.getItem('zakah-rate-cache'), null);
+    assert.deepEqual(new RateCache(storage).list(), []);
+});
@@ -0,0 +1,54 @@
+// Calculation report tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../i18n.js');
+const ZakahEngine = require('../zakah-engine.js');
+const ZakahReport = require('../report.js');
+
+const CONTEXT = { countryName: 'Egypt', currencyName: 'EGP', rateSourceText: 'Manual rates' };
+
+function calculate() {
+    return ZakahEngine.calculate({
+        currency: 'EGP',
+        hijriDate: '1446-09-01',
+        goldPrice: 4000,
+        silverPrice: 50,
+        gold: [{ id: 'gold-1', description: 'Ring', grams: 100, karat: 21 }],
+        cash: [{ id: 'cash-1', currency: 'USD', amount: 1000 }, { id: 'cash-2', currency: 'EGP', amount: 0 }],
+        rates: { USD: 1, EGP: 50 }
+    });
+}
+
+function section(report, title) {
+    return report.sections.find(item => item.title === title);
+}
+
+test('the report has a section per kind of input, empty ones left out', () => {
+    I18n.setLanguage('en');
+    I18n.setDigits('latn');
+    const report = ZakahReport.build(calculate(), CONTEXT);
+
+    assert.equal(report.lang, 'en');
+    assert.equal(report.dir, 'ltr');
+    assert.deepEqual(report.sections.map(item => item.title),
+        ['Calculation details', 'Gold', 'Cash', 'Exchange rates', 'Totals']);
+    assert.deepEqual(section(report, 'Gold').rows, [
+        { label: 'Ring - 21k', value: '100 g = 87.5 g pure = 350,000 EGP', emphasis: false }
+    ]);
+    assert.deepEqual(section(report, 'Cash').rows.map(row => row.label), ['USD']);
+    assert.deepEqual(section(report, 'Exchange rates').rows.map(row => row.value), ['50 EGP', 'Manual rates']);
+
+    const totals = section(report, 'Totals').rows;
+    assert.deepEqual(totals[totals.length - 1], { label: 'Zakah due', value: '10,000 EGP', emphasis: true });
+});
+
+test('the profile name opens the details, in the interface language', () => {
+    I18n.setLanguage('ar');
+    I18n.setDigits('latn');
+    const report = ZakahReport.build(calculate(), Object.assign({ profileName: 'أنا' }, CONTEXT));
+
+    assert.equal(report.dir, 'rtl');
+    assert.deepEqual(report.sections[0].rows[0], { label: I18n.t('report.profile'), value: 'أنا', emphasis: false });
+    assert.equal(report.sections[0].title, I18n.t('report.general'));
+});
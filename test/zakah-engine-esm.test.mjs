@@ -0,0 +1,22 @@
+// ZakahEngine ES module entry tests, run with `node --test`
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import ZakahEngine from '../zakah-engine.mjs';
+
+const require = createRequire(import.meta.url);
+
+test('the ES module entry is the CommonJS engine', () => {
+    assert.equal(ZakahEngine, require('../zakah-engine.js'));
+});
+
+test('the imported engine calculates', () => {
+    const result = ZakahEngine.calculate({
+        currency: 'EGP',
+        hijriDate: '1446-09-01',
+        goldPrice: 4000,
+        cash: [{ id: 'cash-1', currency: 'EGP', amount: 400000 }]
+    });
+    assert.equal(result.zakahAmount, 10000);
+});
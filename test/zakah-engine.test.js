@@ -0,0 +1,169 @@
+// ZakahEngine tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ZakahEngine = require('../zakah-engine.js');
+
+function calculate(input) {
+    // Gold basis at 4000 per gram (nisab 340,000 EGP) unless overridden
+    return ZakahEngine.calculate(Object.assign({
+        currency: 'EGP',
+        hijriDate: '1446-09-01',
+        goldPrice: 4000,
+        silverPrice: 50,
+        rates: { USD: 1, EGP: 48 }
+    }, input));
+}
+
+test('zakah is 2.5% of wealth at or above the nisab', () => {
+    const result = calculate({ cash: [{ id: 'cash-1', currency: 'EGP', amount: 400000 }] });
+    assert.equal(result.nisab.value, 340000);
+    assert.equal(result.nisab.isReached, true);
+    assert.equal(result.zakahAmount, 10000);
+});
+
+test('no zakah below the nisab', () => {
+    const result = calculate({ cash: [{ id: 'cash-1', currency: 'EGP', amount: 300000 }] });
+    assert.equal(result.nisab.isReached, false);
+    assert.equal(result.zakahAmount, 0);
+});
+
+test('the silver basis values 595 g of pure silver', () => {
+    const result = calculate({ nisabBasis: 'silver', cash: [{ id: 'cash-1', currency: 'EGP', amount: 30000 }] });
+    assert.equal(result.nisab.basis, 'silver');
+    assert.equal(result.nisab.value, 29750);
+    assert.equal(result.zakahAmount, 750);
+});
+
+test('a missing or zero nisab price is rejected', () => {
+    const cash = [{ id: 'cash-1', currency: 'EGP', amount: 1 }];
+    assert.throws(() => calculate({ nisabBasis: 'silver', silverPrice: undefined, cash: cash }), RangeError);
+    assert.throws(() => calculate({ goldPrice: 0, cash: cash }), RangeError);
+    assert.throws(() => calculate({ goldPrice: -5 }), RangeError);
+    assert.throws(() => ZakahEngine.calculate({ currency: 'EGP' }), RangeError);
+});
+
+test('impossible Hijri dates are rejected', () => {
+    assert.throws(() => calculate({ hijriDate: '1446-13-40' }), RangeError);
+    assert.throws(() => calculate({ hijriDate: '1446-09-30' }), RangeError);
+    assert.throws(() => ZakahEngine.calculateUshr({ hijriDate: 'not a date' }), RangeError);
+    assert.throws(() => ZakahEngine.calculateFitr({ hijriDate: '1446-00-01', members: 1 }), RangeError);
+});
+
+test('gold is converted to its 24k weight by karat or fineness', () => {
+    const result = calculate({
+        gold: [
+            { id: 'gold-1', grams: 100, karat: 21 },
+            { id: 'gold-2', grams: 10, fineness: 995 }
+        ]
+    });
+    assert.equal(result.totalGold24k, 87.5 + 9.95);
+    assert.equal(result.goldValue, (87.5 + 9.95) * 4000);
+});
+
+test('personal jewelry is exempt unless the madhab holds it zakatable', () => {
+    const gold = [{ id: 'gold-1', grams: 100, karat: 24, personalUse: true }];
+    assert.equal(calculate({ madhab: 'hanafi', gold: gold }).goldValue, 400000);
+
+    const shafii = calculate({ madhab: 'shafii', gold: gold });
+    assert.equal(shafii.goldValue, 0);
+    assert.equal(shafii.exemptGold24k, 100);
+    assert.equal(shafii.zakahAmount, 0);
+});
+
+test('foreign cash is converted at the given rates', () => {
+    const result = calculate({ cash: [{ id: 'cash-1', currency: 'USD', amount: 10000 }] });
+    assert.equal(result.totalCash, 480000);
+    assert.deepEqual(result.exchangeRates, { USD: 48 });
+    assert.throws(() => calculate({ cash: [{ id: 'cash-1', currency: 'GBP', amount: 10 }] }));
+});
+
+test('assets whose hawl is not complete are deferred', () => {
+    const result = calculate({
+        cash: [
+            { id: 'cash-1', currency: 'EGP', amount: 400000 },
+            { id: 'cash-2', currency: 'EGP', amount: 100000 }
+        ],
+        hawl: { 'cash-1': '1445-09-01', 'cash-2': '1445-09-02' }
+    });
+    assert.equal(result.totalCash, 400000);
+    assert.equal(result.deferredValue, 100000);
+});
+
+test('the hawl status past the end of the table is not yet due', () => {
+    const status = ZakahEngine.getHawlStatus('1500-03-01', '1500-06-01');
+    assert.equal(status.isDue, false);
+    assert.equal(status.anniversary, null);
+});
+
+test('liabilities follow the debt policy', () => {
+    const input = {
+        cash: [{ id: 'cash-1', currency: 'EGP', amount: 500000 }],
+        liabilities: [
+            { id: 'debt-1', currency: 'EGP', amount: 10000, dueDate: '1446-12-01' },
+            { id: 'debt-2', currency: 'EGP', amount: 20000, dueDate: '1448-01-01' }
+        ]
+    };
+    assert.equal(calculate(Object.assign({ debtPolicy: 'all' }, input)).deductedLiabilities, 30000);
+    assert.equal(calculate(Object.assign({ debtPolicy: 'within-year' }, input)).deductedLiabilities, 10000);
+    assert.equal(calculate(Object.assign({ debtPolicy: 'none' }, input)).deductedLiabilities, 0);
+
+    // In the last table year every due date is within the year
+    const last = calculate(Object.assign({ debtPolicy: 'within-year', hijriDate: '1500-06-01' }, input, {
+        liabilities: [{ id: 'debt-1', currency: 'EGP', amount: 10000, dueDate: '1500-12-01' }]
+    }));
+    assert.equal(last.deductedLiabilities, 10000);
+});
+
+test('collected debts owe the zakah of every full year', () => {
+    const result = calculate({
+        receivables: [
+            { id: 'recv-1', currency: 'EGP', amount: 10000, status: 'collected', since: '1443-05-01', collectedDate: '1446-08-20' },
+            { id: 'recv-2', currency: 'EGP', amount: 5000, status: 'doubtful' }
+        ]
+    });
+    assert.equal(result.receivablesPastZakah, 10000 * 0.025 * 3);
+    assert.equal(result.doubtfulReceivables, 5000);
+    assert.equal(result.zakahAmount, 750);
+});
+
+test('investments are valued by their method', () => {
+    const result = calculate({
+        investments: [
+            { id: 'inv-1', type: 'fund', method: 'zakatable-ratio', currency: 'EGP', marketValue: 100000, zakatableRatio: 30 },
+            { id: 'inv-2', type: 'retirement', method: 'net-of-penalty', currency: 'EGP', marketValue: 100000, penaltyRate: 35 }
+        ]
+    });
+    assert.equal(result.totalInvestments, 30000 + 65000);
+});
+
+test('crops are tested against the nisab one by one', () => {
+    const result = ZakahEngine.calculateUshr({
+        crops: [
+            { id: 'crop-1', kg: 1000, irrigation: 'irrigated', pricePerKg: 10 },
+            { id: 'crop-2', kg: 600, irrigation: 'rain', pricePerKg: 10 }
+        ]
+    });
+    assert.equal(result.crops[0].dueKg, 50);
+    assert.equal(result.crops[1].isReached, false);
+    assert.equal(result.zakahAmount, 500);
+});
+
+test('livestock follows the classical schedules', () => {
+    const result = ZakahEngine.calculateLivestock({
+        animals: { camels: 30, cattle: 70, sheep: 130 },
+        prices: { 'bint-makhad': 20000, 'tabi': 10000, 'musinna': 15000, 'sheep': 3000 }
+    });
+    const due = kind => result.herds.find(herd => herd.kind === kind).due;
+    assert.deepEqual(due('camels'), { 'bint-makhad': 1 });
+    assert.deepEqual(due('cattle'), { 'musinna': 1, 'tabi': 1 });
+    assert.deepEqual(due('sheep'), { 'sheep': 2 });
+    assert.equal(result.zakahAmount, 20000 + 25000 + 6000);
+});
+
+test('zakat al-fitr is due before 1 Shawwal', () => {
+    const result = ZakahEngine.calculateFitr({ hijriDate: '1446-09-20', members: 4, staple: 'rice' });
+    assert.equal(result.totalKg, 10);
+    assert.equal(result.deadline.hijriDate, '1446-10-01');
+    assert.equal(result.deadline.gregorianDate, '2025-03-30');
+});
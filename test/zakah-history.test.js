@@ -0,0 +1,63 @@
+// Zakah history tests, run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ZakahEngine = require('../zakah-engine.js');
+const ZakahHistory = require('../zakah-history.js');
+const { MemoryStorage } = require('./helpers/memory-storage.js');
+
+function calculate(hijriDate, goldPrice, goldGrams, usd, usdRate, currency) {
+    return ZakahEngine.calculate({
+        currency: currency || 'EGP',
+        hijriDate: hijriDate,
+        goldPrice: goldPrice,
+        gold: [{ id: 'gold-1', grams: goldGrams, karat: 24 }],
+        cash: [{ id: 'cash-1', currency: 'USD', amount: usd }],
+        rates: { USD: 1, EGP: usdRate, SAR: 3.75 }
+    });
+}
+
+test('a change in wealth is split into its causes', () => {
+    const previous = ZakahHistory.summarize(calculate('1445-09-01', 3000, 100, 1000, 40));
+    const current = ZakahHistory.summarize(calculate('1446-09-01', 4000, 120, 1500, 48));
+    const comparison = ZakahHistory.compare(previous, current);
+
+    assert.equal(comparison.previousYear, 1445);
+    assert.equal(comparison.currentYear, 1446);
+    assert.equal(comparison.wealthChange, (120 * 4000 + 1500 * 48) - (100 * 3000 + 1000 * 40));
+    assert.equal(comparison.effects.goldPrice, 100 * 1000);
+    assert.equal(comparison.effects.goldQuantity, 20 * 4000);
+    assert.equal(comparison.effects.exchangeRates, 1000 * 8);
+    assert.equal(comparison.effects.cashAmounts, 500 * 48);
+    assert.equal(comparison.effects.other, 0);
+    assert.equal(comparison.goldPriceChangePercent.toFixed(2), '33.33');
+    assert.deepEqual(comparison.currencies.map(item => [item.currency, item.previousRate, item.currentRate]), [['USD', 40, 48]]);
+});
+
+test('years in different zakah currencies compare only their prices', () => {
+    const previous = ZakahHistory.summarize(calculate('1445-09-01', 3000, 100, 1000, 40, 'EGP'));
+    const current = ZakahHistory.summarize(calculate('1446-09-01', 300, 100, 1000, 48, 'SAR'));
+    const comparison = ZakahHistory.compare(previous, current);
+
+    assert.equal(comparison.sameCurrency, false);
+    assert.equal(comparison.wealthChange, null);
+    assert.equal(comparison.effects, null);
+});
+
+test('a result without its Hijri date cannot be recorded', () => {
+    const result = Object.assign(calculate('1446-09-01', 4000, 100, 0, 48), { hijriDate: null });
+    assert.throws(() => ZakahHistory.summarize(result), RangeError);
+});
+
+test('the last calculation of each year is kept and compared with an earlier year', () => {
+    const storage = new MemoryStorage();
+    const history = new ZakahHistory(storage);
+    history.record('profile-1', calculate('1443-09-01', 3000, 100, 0, 30));
+    history.record('profile-1', calculate('1446-02-01', 4000, 100, 0, 48));
+    history.record('profile-1', calculate('1446-09-01', 4000, 110, 0, 48));
+
+    const reloaded = new ZakahHistory(storage);
+    assert.deepEqual(reloaded.list('profile-1').map(entry => entry.hijriDate), ['1446-09-01', '1443-09-01']);
+    assert.equal(reloaded.getPrevious('profile-1', 1446).hijriYear, 1443);
+    assert.equal(reloaded.getPrevious('profile-1', 1443), null);
+});
@@ -0,0 +1,65 @@
+// Local stand-in exchange rate server
+//
+// Serves a rate table (same JSON or CSV layout as the in-app rate table)
+// for the 'local-server' provider, e.g. for offline use or testing:
+//
+//     node tools/rate-server.js rates.json [port]
+//
+// GET /rates?date=YYYY-MM-DD[&base=USD] -> { base, date, isHistorical, rates }
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const ExchangeRates = require('../exchange-rates.js');
+
+const tableFile = process.argv[2];
+const port = parseInt(process.argv[3]) || 8787;
+
+if (!tableFile) {
+    console.error('Usage: node tools/rate-server.js <rates.json|rates.csv> [port]');
+    process.exit(1);
+}
+
+const format = path.extname(tableFile).toLowerCase() === '.csv' ? 'csv' : 'json';
+const provider = new ExchangeRates.RateTableProvider(
+    ExchangeRates.parseRateTable(fs.readFileSync(tableFile, 'utf8'), format)
+);
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body));
+}
+
+http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const date = url.searchParams.get('date');
+    const base = (url.searchParams.get('base') || '').toUpperCase();
+
+    if (url.pathname !== '/rates' || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        send(response, 400, { error: 'Expected GET /rates?date=YYYY-MM-DD' });
+        return;
+    }
+
+    const rateSet = await provider.getRates(date);
+    if (!rateSet) {
+        send(response, 404, { error: `No rates for ${date}` });
+        return;
+    }
+
+    // Re-express the rates against the requested base when the table has it
+    if (base && base !== rateSet.base && rateSet.rates[base]) {
+        const rates = {};
+        Object.keys(rateSet.rates).forEach(code => {
+            rates[code] = rateSet.rates[code] / rateSet.rates[base];
+        });
+        send(response, 200, Object.assign({}, rateSet, { base: base, rates: rates }));
+        return;
+    }
+
+    send(response, 200, rateSet);
+}).listen(port, () => {
+    console.log(`Serving exchange rates from ${tableFile} on http://localhost:${port}/rates`);
+});
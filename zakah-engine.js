@@ -0,0 +1,929 @@
+// Zakah Engine
+//
+// DOM-free zakah calculations shared by the browser UI and Node tools.
+// Takes a plain input object and returns a structured breakdown:
+//
+//     const ZakahEngine = require('./zakah-engine.js');
+//     const result = ZakahEngine.calculate({
+//         country: 'EG',                       // optional, echoed back
+//         currency: 'EGP',                     // zakah currency
+//         hijriDate: '1446-09-01',             // calculation date (Hijri)
+//         goldPrice: 4000,                     // price of 1g of 24k gold
+//         silverPrice: 50,                     // price of 1g of pure silver
+//         nisabBasis: 'gold',                  // 'gold' or 'silver'
+//         madhab: 'hanafi',                    // ruling on personal jewelry (see MADHABS)
+//         gold: [                              // gold items by karat or fineness
+//             { id: 'gold-1', description: 'سوار', grams: 20, karat: 21, personalUse: true },
+//             { id: 'gold-2', description: 'سبيكة', grams: 50, fineness: 995 }
+//         ],
+//         silver: [                            // silver items by fineness
+//             { id: 'silver-1', description: 'طقم', grams: 300, fineness: 925 }
+//         ],
+//         cash: [                              // cash holdings in any currency
+//             { id: 'cash-1', currency: 'EGP', amount: 5000 },
+//             { id: 'cash-2', currency: 'USD', amount: 100 }
+//         ],
+//         investments: [                       // shares, funds and retirement accounts
+//             { id: 'inv-1', type: 'shares', method: 'market', currency: 'USD', marketValue: 2000 },
+//             { id: 'inv-2', type: 'fund', method: 'zakatable-ratio', currency: 'EGP',
+//               marketValue: 50000, zakatableRatio: 30 },
+//             { id: 'inv-3', type: 'retirement', method: 'net-of-penalty', currency: 'USD',
+//               marketValue: 10000, penaltyRate: 35 }
+//         ],
+//         receivables: [                       // money owed to the user
+//             { id: 'recv-1', description: 'قرض لأخي', currency: 'EGP', amount: 20000, status: 'likely' },
+//             { id: 'recv-2', currency: 'EGP', amount: 5000, status: 'collected',
+//               since: '1443-05-01', collectedDate: '1446-08-20' }
+//         ],
+//         business: {                          // optional trade goods (urud al-tijara)
+//             currency: 'EGP', inventory: 80000, cash: 15000,
+//             receivables: 10000, payables: 20000
+//         },
+//         liabilities: [                       // debts in any currency
+//             { id: 'debt-1', description: 'قسط', currency: 'EGP', amount: 2000, dueDate: '1446-11-01' }
+//         ],
+//         debtPolicy: 'all',                   // 'all', 'within-year' or 'none'
+//         rates: { USD: 1, EGP: 48, SAR: 3.75 }, // units per 1 base unit
+//         rateSource: { provider: 'remote' },  // optional, echoed back
+//         hawl: { 'gold-1': '1445-03-10' }     // optional hawl start dates by asset id
+//     });
+//
+// Gold fineness is in parts per thousand (‰); an item gives either a karat
+// or a custom fineness. Items flagged personalUse are jewelry worn
+// regularly, which is exempt unless the madhab holds it zakatable. Gold may
+// also be given as grams by karat ({ 18: 10, 24: 85 }), in which case the
+// asset ids are 'gold-18k', ...
+//
+// Business assets are valued at market value: inventory, business cash and
+// receivables expected to be collected, less business payables. They share
+// one hawl (asset id 'business') and are added to personal wealth for the
+// nisab test.
+//
+// Investments are valued per holding with one of INVESTMENT_METHODS:
+// 'market' (full market value, for trading positions), 'zakatable-ratio'
+// (zakatableRatio % of the market value, for long-term holdings) or
+// 'net-of-penalty' (market value less penaltyRate % of early withdrawal
+// penalties and taxes, for retirement accounts).
+//
+// Receivables are 'likely' (counted in this year's wealth), 'doubtful'
+// (excluded until collected) or 'collected' (a doubtful debt that was
+// repaid). For a collected debt the zakah of every full Hijri year from
+// since to collectedDate is due at once (one year when since is unknown),
+// valued at the calculation date's rates. The collected money itself is
+// entered as cash, so it is not counted again here.
+//
+// Liabilities are deducted from the gross wealth according to debtPolicy:
+// 'all', 'within-year' (due within one Hijri year of the calculation date,
+// or without a due date) or 'none'. totalWealth is the net zakatable wealth.
+//
+// The result echoes the prices used and lists the exchange rate of every
+// other currency involved (exchangeRates, zakah currency per 1 unit).
+//
+// Input that would give a wrong result throws a RangeError instead: an
+// impossible Hijri date, no price (or a price of 0) for the nisab basis, or
+// an invalid fineness, ratio, penalty rate or asset date.
+//
+// Cash may also be given as currencies: { EGP: 5000, USD: 100 }, in which
+// case the asset ids are 'currency-egp', 'currency-usd', ...
+//
+// Harvested produce (ushr) has its own calculation, valued in the zakah
+// currency at the given price per kilogram:
+//
+//     ZakahEngine.calculateUshr({
+//         currency: 'EGP',
+//         crops: [{ id: 'crop-1', description: 'قمح', kg: 1200, irrigation: 'rain', pricePerKg: 15 }]
+//     });
+//
+// Each crop is tested against the nisab of 5 awsuq on its own; irrigation
+// is 'rain' (10%), 'irrigated' (5%) or 'mixed' (7.5%).
+//
+// Livestock (free-grazing animals held for a full year) follows the
+// classical schedules and returns the animals due, valued when an estimated
+// price per due animal is given:
+//
+//     ZakahEngine.calculateLivestock({
+//         animals: { camels: 30, cattle: 45, sheep: 130 },
+//         prices: { 'sheep': 3000, 'bint-makhad': 20000 }   // optional
+//     });
+//
+// Zakat al-fitr is one sa' of staple food per household member, or a cash
+// amount per member in the zakah currency, due before the Eid prayer:
+//
+//     ZakahEngine.calculateFitr({
+//         hijriDate: '1446-09-20',
+//         members: 5,
+//         method: 'food',                      // 'food' or 'cash'
+//         staple: 'rice',                      // see FITR_STAPLES
+//         kgPerSa: 2.5,                        // optional, overrides the staple weight
+//         cashPerPerson: 35                    // used by the 'cash' method
+//     });
+//
+// In the browser the engine is exposed as window.ZakahEngine, in Node it is
+// the CommonJS module export. zakah-engine.mjs is the ES module entry for
+// both (import ZakahEngine from './zakah-engine.mjs').
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./hijri-calendar.js'));
+    } else {
+        root.ZakahEngine = factory(root.HijriCalendar);
+    }
+})(typeof self !== 'undefined' ? self : this, function (HijriCalendar) {
+    'use strict';
+
+    // Nisab thresholds in grams (85g of 24k gold or 595g of pure silver)
+    const NISAB_GOLD_GRAMS = 85;
+    const NISAB_SILVER_GRAMS = 595;
+    const ZAKAH_RATE = 0.025;
+
+    // Karats offered for gold items; any other purity is a custom fineness
+    const GOLD_KARATS = [24, 22, 21, 18, 14, 9];
+
+    // Rulings on gold jewelry kept for permissible personal use. The Hanafi
+    // school holds it zakatable; the Shafi'i, Maliki and Hanbali schools
+    // generally exempt it.
+    const MADHABS = {
+        hanafi: { personalJewelryZakatable: true },
+        shafii: { personalJewelryZakatable: false },
+        maliki: { personalJewelryZakatable: false },
+        hanbali: { personalJewelryZakatable: false }
+    };
+    const DEFAULT_MADHAB = 'hanafi';
+
+    // Nisab of harvested produce: 5 awsuq, about 653 kg of grain
+    const USHR_NISAB_KG = 653;
+
+    // Share of the harvest due by irrigation method
+    const USHR_RATES = {
+        rain: 0.10,
+        irrigated: 0.05,
+        mixed: 0.075
+    };
+
+    // Livestock nisab (head count) per kind
+    const LIVESTOCK_NISAB = {
+        camels: 5,
+        cattle: 30,
+        sheep: 40
+    };
+
+    // Approximate weight in kilograms of one sa' (four mudd) of each staple;
+    // the sa' is a measure of volume, so the weight differs by food
+    const FITR_STAPLES = {
+        wheat: 2.04,
+        rice: 2.5,
+        dates: 1.8,
+        barley: 1.63,
+        raisins: 1.64
+    };
+
+    // The eight categories of zakah recipients (asnaf) named in at-Tawbah 9:60
+    const RECIPIENT_CATEGORIES = [
+        'fuqara',           // the poor
+        'masakin',          // the needy
+        'amilin',           // those employed to collect and distribute it
+        'muallafah',        // those whose hearts are to be reconciled
+        'riqab',            // freeing captives
+        'gharimin',         // debtors
+        'fi-sabilillah',    // in the cause of Allah
+        'ibn-sabil'         // the stranded traveller
+    ];
+
+    // Camels below 121 by count range: [from, to, due animals]
+    const CAMEL_SCHEDULE = [
+        [5, 9, { 'sheep': 1 }],
+        [10, 14, { 'sheep': 2 }],
+        [15, 19, { 'sheep': 3 }],
+        [20, 24, { 'sheep': 4 }],
+        [25, 35, { 'bint-makhad': 1 }],
+        [36, 45, { 'bint-labun': 1 }],
+        [46, 60, { 'hiqqa': 1 }],
+        [61, 75, { 'jadhaa': 1 }],
+        [76, 90, { 'bint-labun': 2 }],
+        [91, 120, { 'hiqqa': 2 }]
+    ];
+
+    // Valuation methods for investment holdings
+    const INVESTMENT_METHODS = ['market', 'zakatable-ratio', 'net-of-penalty'];
+
+    // Collectability of money owed to the user
+    const RECEIVABLE_STATUSES = ['likely', 'doubtful', 'collected'];
+
+    // How liabilities reduce zakatable wealth
+    const DEBT_POLICIES = ['all', 'within-year', 'none'];
+    const DEFAULT_DEBT_POLICY = 'all';
+
+    // Common silver finenesses (‰); any other value is a custom fineness
+    const SILVER_FINENESSES = [999, 925, 900, 800];
+
+    function toNumber(value) {
+        return parseFloat(value) || 0;
+    }
+
+    function toHijriDate(value) {
+        return typeof value === 'string' ? HijriCalendar.parse(value) : value;
+    }
+
+    function toCalculationDate(value) {
+        // Optional calculation date; an impossible date is an input error
+        if (!value) return null;
+
+        const date = toHijriDate(value);
+        if (!HijriCalendar.isValid(date)) {
+            throw new RangeError(`Invalid Hijri date: ${typeof value === 'string' ? value : HijriCalendar.format(date)}`);
+        }
+        return date;
+    }
+
+    function goldAssetId(karat) {
+        return `gold-${karat}k`;
+    }
+
+    function cashAssetId(currency) {
+        return `currency-${currency.toLowerCase()}`;
+    }
+
+    function karatToFineness(karat) {
+        return karat / 24 * 1000;
+    }
+
+    function toPureGold(grams, fineness) {
+        // Convert a weight of gold of the given fineness (‰) to its 24k equivalent
+        return grams * (fineness / 1000);
+    }
+
+    function getGoldItems(gold) {
+        // Gold items as a list of { id, description, grams, karat, fineness, note }
+        if (Array.isArray(gold)) {
+            return gold.map((item, index) => {
+                const karat = toNumber(item.karat) || null;
+                const fineness = karat ? karatToFineness(karat) : toNumber(item.fineness);
+                if (!(fineness > 0 && fineness <= 1000)) {
+                    throw new RangeError(`Invalid gold fineness for item ${item.id || index + 1}: ${item.fineness}`);
+                }
+
+                return {
+                    id: item.id || `gold-${index + 1}`,
+                    description: item.description || '',
+                    grams: toNumber(item.grams),
+                    karat: karat,
+                    fineness: fineness,
+                    personalUse: Boolean(item.personalUse),
+                    note: item.note || ''
+                };
+            });
+        }
+
+        return Object.keys(gold || {}).map(karat => ({
+            id: goldAssetId(karat),
+            description: '',
+            grams: toNumber(gold[karat]),
+            karat: toNumber(karat),
+            fineness: karatToFineness(toNumber(karat)),
+            personalUse: false,
+            note: ''
+        }));
+    }
+
+    function convertGold(gold) {
+        // Returns every gold item with its 24k equivalent weight
+        return getGoldItems(gold).map(item => Object.assign(item, {
+            pureGrams: toPureGold(item.grams, item.fineness)
+        }));
+    }
+
+    function getSilverItems(silver) {
+        // Silver items as a list of { id, description, grams, fineness, note }
+        return (silver || []).map((item, index) => {
+            const fineness = toNumber(item.fineness);
+            if (!(fineness > 0 && fineness <= 1000)) {
+                throw new RangeError(`Invalid silver fineness for item ${item.id || index + 1}: ${item.fineness}`);
+            }
+
+            return {
+                id: item.id || `silver-${index + 1}`,
+                description: item.description || '',
+                grams: toNumber(item.grams),
+                fineness: fineness,
+                note: item.note || ''
+            };
+        });
+    }
+
+    function convertSilver(silver) {
+        // Returns every silver item with its pure silver weight
+        return getSilverItems(silver).map(item => Object.assign(item, {
+            pureGrams: item.grams * (item.fineness / 1000)
+        }));
+    }
+
+    function getGoldSubtotals(items) {
+        // Weights and values grouped by fineness, purest first
+        const groups = {};
+        items.forEach(item => {
+            const group = groups[item.fineness] || (groups[item.fineness] = {
+                karat: item.karat,
+                fineness: item.fineness,
+                grams: 0,
+                pureGrams: 0,
+                value: 0
+            });
+            group.grams += item.grams;
+            group.pureGrams += item.pureGrams;
+            group.value += item.value;
+        });
+
+        return Object.keys(groups)
+            .map(fineness => groups[fineness])
+            .sort((a, b) => b.fineness - a.fineness);
+    }
+
+    function getRate(from, to, rates) {
+        // Rates are units of each currency per 1 unit of a common base (e.g. USD)
+        if (from === to) return 1;
+        if (!rates || !rates[from] || !rates[to]) {
+            throw new Error(`No exchange rate available for ${from} to ${to}`);
+        }
+        return rates[to] / rates[from];
+    }
+
+    function convertAmount(amount, from, to, rates) {
+        const value = toNumber(amount);
+        return value ? value * getRate(from, to, rates) : 0;
+    }
+
+    function convertCash(currencies, targetCurrency, rates) {
+        // Returns the amount of every currency converted to the target currency
+        const converted = {};
+        Object.keys(currencies || {}).forEach(currency => {
+            converted[currency] = convertAmount(currencies[currency], currency, targetCurrency, rates);
+        });
+        return converted;
+    }
+
+    function getCashHoldings(input) {
+        // Cash holdings as a list of { id, currency, amount }
+        if (Array.isArray(input.cash)) {
+            return input.cash.map((holding, index) => ({
+                id: holding.id || `cash-${index + 1}`,
+                currency: holding.currency,
+                amount: toNumber(holding.amount)
+            }));
+        }
+
+        return Object.keys(input.currencies || {}).map(currency => ({
+            id: cashAssetId(currency),
+            currency: currency,
+            amount: toNumber(input.currencies[currency])
+        }));
+    }
+
+    function getBusiness(business, currency, rates, hawl) {
+        // Business figures converted to the zakah currency, or null without a business
+        if (!business) return null;
+
+        const convert = amount => convertAmount(amount, business.currency || currency, currency, rates);
+        const inventory = convert(business.inventory);
+        const cash = convert(business.cash);
+        const receivables = convert(business.receivables);
+        const payables = convert(business.payables);
+
+        return {
+            id: 'business',
+            currency: business.currency || currency,
+            inventory: inventory,
+            cash: cash,
+            receivables: receivables,
+            payables: payables,
+            value: Math.max(0, inventory + cash + receivables - payables),
+            hawl: hawl
+        };
+    }
+
+    function getInvestmentValue(marketValue, holding) {
+        // Zakatable part of a holding's market value under its valuation method
+        if (holding.method === 'zakatable-ratio') {
+            const ratio = toNumber(holding.zakatableRatio);
+            if (!(ratio >= 0 && ratio <= 100)) {
+                throw new RangeError(`Invalid zakatable ratio for holding ${holding.id}: ${holding.zakatableRatio}`);
+            }
+            return marketValue * ratio / 100;
+        }
+
+        if (holding.method === 'net-of-penalty') {
+            const penaltyRate = toNumber(holding.penaltyRate);
+            if (!(penaltyRate >= 0 && penaltyRate <= 100)) {
+                throw new RangeError(`Invalid penalty rate for holding ${holding.id}: ${holding.penaltyRate}`);
+            }
+            return marketValue * (1 - penaltyRate / 100);
+        }
+
+        return marketValue;
+    }
+
+    function countHawlYears(startDate, endDate) {
+        // Full Hijri years between two dates, at least one
+        const start = toHijriDate(startDate);
+        const end = toHijriDate(endDate);
+        if (!HijriCalendar.isValid(start) || !HijriCalendar.isValid(end)) {
+            throw new RangeError(`Invalid receivable dates: ${HijriCalendar.format(start)} - ${HijriCalendar.format(end)}`);
+        }
+
+        let years = end.year - start.year;
+        if (HijriCalendar.compare(HijriCalendar.addYears(start, years), end) > 0) {
+            years--;
+        }
+        return Math.max(1, years);
+    }
+
+    function getReceivable(debt, index, currency, rates, hawl) {
+        const status = RECEIVABLE_STATUSES.includes(debt.status) ? debt.status : 'likely';
+        const value = convertAmount(debt.amount, debt.currency, currency, rates);
+        const years = status === 'collected' && debt.since && debt.collectedDate
+            ? countHawlYears(debt.since, debt.collectedDate)
+            : (status === 'collected' ? 1 : 0);
+
+        return {
+            id: debt.id || `recv-${index + 1}`,
+            description: debt.description || '',
+            currency: debt.currency,
+            amount: toNumber(debt.amount),
+            status: status,
+            since: debt.since || null,
+            collectedDate: debt.collectedDate || null,
+            value: value,
+            years: years,
+            pastZakah: value * ZAKAH_RATE * years,
+            hawl: hawl
+        };
+    }
+
+    function isDeductible(dueDate, onDate, policy) {
+        // Debts without a due date are payable on demand
+        if (policy === 'none') return false;
+        if (policy !== 'within-year' || !dueDate || !onDate) return true;
+
+        const due = toHijriDate(dueDate);
+        if (!HijriCalendar.isValid(due)) {
+            throw new RangeError(`Invalid liability due date: ${HijriCalendar.format(due)}`);
+        }
+
+        // In the last table year the year ahead runs past the table, so every
+        // valid due date falls within it
+        const on = toHijriDate(onDate);
+        if (on.year >= HijriCalendar.MAX_YEAR) return true;
+        return HijriCalendar.compare(due, HijriCalendar.addYears(on, 1)) <= 0;
+    }
+
+    function getHawlStatus(startDate, onDate) {
+        // Without a recorded date the asset is assumed to have completed its hawl
+        if (!startDate || !onDate) {
+            return { startDate: null, anniversary: null, isDue: true };
+        }
+
+        const start = toHijriDate(startDate);
+        const on = toHijriDate(onDate);
+        if (!HijriCalendar.isValid(start)) {
+            throw new RangeError(`Invalid hawl start date: ${HijriCalendar.format(start)}`);
+        }
+
+        // Find the latest hawl anniversary on or before the calculation date
+        let years = on.year - start.year;
+        let anniversary = HijriCalendar.addYears(start, years);
+        if (HijriCalendar.compare(anniversary, on) > 0) {
+            years--;
+            anniversary = HijriCalendar.addYears(start, years);
+        }
+
+        if (years >= 1) {
+            return { startDate: start, anniversary: anniversary, isDue: true };
+        }
+
+        // Not yet due: report the first anniversary instead, or none when it
+        // falls after the end of the calendar table
+        const firstAnniversary = start.year < HijriCalendar.MAX_YEAR ? HijriCalendar.addYears(start, 1) : null;
+        return { startDate: start, anniversary: firstAnniversary, isDue: false };
+    }
+
+    function calculateNisab(totalWealth, basis, goldPrice, silverPrice) {
+        // Nisab is valued at the price for the calculation date
+        const nisabBasis = basis === 'silver' ? 'silver' : 'gold';
+        const grams = nisabBasis === 'silver' ? NISAB_SILVER_GRAMS : NISAB_GOLD_GRAMS;
+        const pricePerGram = toNumber(nisabBasis === 'silver' ? silverPrice : goldPrice);
+        if (!(pricePerGram > 0)) {
+            // Without a price the nisab is unknown, not zero
+            throw new RangeError(`A ${nisabBasis} price is needed for the nisab: ${pricePerGram}`);
+        }
+        const value = grams * pricePerGram;
+
+        return {
+            basis: nisabBasis,
+            grams: grams,
+            value: value,
+            isReached: totalWealth >= value
+        };
+    }
+
+    function getMadhab(name) {
+        // Unknown or missing names fall back to the default ruling
+        const key = MADHABS[name] ? name : DEFAULT_MADHAB;
+        return Object.assign({ name: key }, MADHABS[key]);
+    }
+
+    function calculate(input) {
+        const currency = input.currency;
+        const onDate = toCalculationDate(input.hijriDate);
+        const goldPrice = toNumber(input.goldPrice);
+        const silverPrice = toNumber(input.silverPrice);
+        const hawlDates = input.hawl || {};
+        const madhab = getMadhab(input.madhab);
+
+        // Gold items converted to their 24k equivalent; personal jewelry is
+        // exempt under madhabs that do not hold it zakatable
+        const gold = convertGold(input.gold).map(item => Object.assign(item, {
+            value: item.pureGrams * goldPrice,
+            isExempt: item.personalUse && !madhab.personalJewelryZakatable,
+            hawl: getHawlStatus(hawlDates[item.id], onDate)
+        }));
+
+        // Silver items valued at the pure silver price
+        const silver = convertSilver(input.silver).map(item => Object.assign(item, {
+            value: item.pureGrams * silverPrice,
+            hawl: getHawlStatus(hawlDates[item.id], onDate)
+        }));
+
+        // Cash holdings converted to the zakah currency
+        const cash = getCashHoldings(input).map(holding => ({
+            id: holding.id,
+            currency: holding.currency,
+            amount: holding.amount,
+            value: convertAmount(holding.amount, holding.currency, currency, input.rates),
+            hawl: getHawlStatus(hawlDates[holding.id], onDate)
+        }));
+
+        // Investment holdings valued with their own method
+        const investments = (input.investments || []).map((holding, index) => {
+            const id = holding.id || `inv-${index + 1}`;
+            const method = INVESTMENT_METHODS.includes(holding.method) ? holding.method : 'market';
+            const marketValue = convertAmount(holding.marketValue, holding.currency, currency, input.rates);
+            return {
+                id: id,
+                description: holding.description || '',
+                type: holding.type || 'shares',
+                method: method,
+                currency: holding.currency,
+                amount: toNumber(holding.marketValue),
+                marketValue: marketValue,
+                value: getInvestmentValue(marketValue, Object.assign({}, holding, { id: id, method: method })),
+                hawl: getHawlStatus(hawlDates[id], onDate)
+            };
+        });
+
+        // Money owed to the user
+        const receivables = (input.receivables || []).map((debt, index) => {
+            const id = debt.id || `recv-${index + 1}`;
+            return getReceivable(debt, index, currency, input.rates, getHawlStatus(hawlDates[id], onDate));
+        });
+
+        // Trade goods net of business payables
+        const business = getBusiness(input.business, currency, input.rates, getHawlStatus(hawlDates.business, onDate));
+
+        // Liabilities converted to the zakah currency
+        const debtPolicy = DEBT_POLICIES.includes(input.debtPolicy) ? input.debtPolicy : DEFAULT_DEBT_POLICY;
+        const liabilities = (input.liabilities || []).map((debt, index) => ({
+            id: debt.id || `debt-${index + 1}`,
+            description: debt.description || '',
+            currency: debt.currency,
+            amount: toNumber(debt.amount),
+            dueDate: debt.dueDate || null,
+            value: convertAmount(debt.amount, debt.currency, currency, input.rates),
+            isDeducted: isDeductible(debt.dueDate, onDate, debtPolicy)
+        }));
+
+        // Only assets that completed their hawl on the calculation date are zakatable
+        let totalGold24k = 0;
+        let exemptGold24k = 0;
+        let totalSilver = 0;
+        let totalCash = 0;
+        let totalInvestments = 0;
+        let totalReceivables = 0;
+        let doubtfulReceivables = 0;
+        let receivablesPastZakah = 0;
+        let deferredValue = 0;
+
+        gold.forEach(item => {
+            if (item.isExempt) {
+                exemptGold24k += item.pureGrams;
+            } else if (item.hawl.isDue) {
+                totalGold24k += item.pureGrams;
+            } else {
+                deferredValue += item.value;
+            }
+        });
+
+        silver.forEach(item => {
+            if (item.hawl.isDue) {
+                totalSilver += item.pureGrams;
+            } else {
+                deferredValue += item.value;
+            }
+        });
+
+        cash.forEach(item => {
+            if (item.hawl.isDue) {
+                totalCash += item.value;
+            } else {
+                deferredValue += item.value;
+            }
+        });
+
+        const goldValue = totalGold24k * goldPrice;
+        const silverValue = totalSilver * silverPrice;
+        investments.forEach(item => {
+            if (item.hawl.isDue) {
+                totalInvestments += item.value;
+            } else {
+                deferredValue += item.value;
+            }
+        });
+
+        receivables.forEach(item => {
+            if (item.status === 'doubtful') {
+                doubtfulReceivables += item.value;
+            } else if (item.status === 'collected') {
+                receivablesPastZakah += item.pastZakah;
+            } else if (item.hawl.isDue) {
+                totalReceivables += item.value;
+            } else {
+                deferredValue += item.value;
+            }
+        });
+
+        let businessValue = 0;
+        if (business && business.hawl.isDue) {
+            businessValue = business.value;
+        } else if (business) {
+            deferredValue += business.value;
+        }
+
+        const grossWealth = goldValue + silverValue + totalCash + totalInvestments + totalReceivables + businessValue;
+
+        // Deductible debts reduce the zakatable wealth, never below zero
+        let totalLiabilities = 0;
+        let deductedLiabilities = 0;
+        liabilities.forEach(debt => {
+            totalLiabilities += debt.value;
+            if (debt.isDeducted) deductedLiabilities += debt.value;
+        });
+        const totalWealth = Math.max(0, grossWealth - deductedLiabilities);
+
+        // Zakah (2.5%) is only due when net wealth reaches the nisab
+        const nisab = calculateNisab(totalWealth, input.nisabBasis, goldPrice, input.silverPrice);
+        // Zakah of past years on collected debts is due whatever this year's wealth
+        const zakahAmount = (nisab.isReached ? totalWealth * ZAKAH_RATE : 0) + receivablesPastZakah;
+
+        // Share of the zakah due on the business before personal debts
+        const businessZakah = nisab.isReached ? businessValue * ZAKAH_RATE : 0;
+
+        // Rates used, as zakah currency units per 1 unit of each other currency
+        const exchangeRates = {};
+        [].concat(cash, investments, receivables, liabilities, business ? [business] : []).forEach(item => {
+            const code = item.currency;
+            if (item.value && code && code !== currency) {
+                exchangeRates[code] = getRate(code, currency, input.rates);
+            }
+        });
+
+        return {
+            country: input.country || null,
+            currency: currency,
+            hijriDate: onDate ? HijriCalendar.format(onDate) : null,
+            goldPrice: goldPrice,
+            silverPrice: silverPrice,
+            gold: gold,
+            goldSubtotals: getGoldSubtotals(gold),
+            silver: silver,
+            cash: cash,
+            investments: investments,
+            receivables: receivables,
+            business: business,
+            liabilities: liabilities,
+            madhab: madhab,
+            debtPolicy: debtPolicy,
+            totalGold24k: totalGold24k,
+            goldValue: goldValue,
+            exemptGold24k: exemptGold24k,
+            exemptGoldValue: exemptGold24k * goldPrice,
+            totalSilver: totalSilver,
+            silverValue: silverValue,
+            totalCash: totalCash,
+            totalInvestments: totalInvestments,
+            totalReceivables: totalReceivables,
+            doubtfulReceivables: doubtfulReceivables,
+            receivablesPastZakah: receivablesPastZakah,
+            businessValue: businessValue,
+            grossWealth: grossWealth,
+            totalLiabilities: totalLiabilities,
+            deductedLiabilities: deductedLiabilities,
+            totalWealth: totalWealth,
+            deferredValue: deferredValue,
+            nisab: nisab,
+            zakahAmount: zakahAmount,
+            businessZakah: businessZakah,
+            exchangeRates: exchangeRates,
+            rateSource: input.rateSource || null
+        };
+    }
+
+    function calculateUshr(input) {
+        const crops = (input.crops || []).map((crop, index) => {
+            const kg = toNumber(crop.kg);
+            const irrigation = USHR_RATES[crop.irrigation] ? crop.irrigation : 'rain';
+            const rate = USHR_RATES[irrigation];
+            const pricePerKg = toNumber(crop.pricePerKg);
+            const isReached = kg >= USHR_NISAB_KG;
+            const dueKg = isReached ? kg * rate : 0;
+
+            return {
+                id: crop.id || `crop-${index + 1}`,
+                description: crop.description || '',
+                kg: kg,
+                irrigation: irrigation,
+                rate: rate,
+                pricePerKg: pricePerKg,
+                value: kg * pricePerKg,
+                isReached: isReached,
+                dueKg: dueKg,
+                zakahAmount: dueKg * pricePerKg
+            };
+        });
+
+        let totalValue = 0;
+        let zakahAmount = 0;
+        crops.forEach(crop => {
+            totalValue += crop.value;
+            zakahAmount += crop.zakahAmount;
+        });
+
+        return {
+            country: input.country || null,
+            currency: input.currency || null,
+            hijriDate: input.hijriDate ? HijriCalendar.format(toCalculationDate(input.hijriDate)) : null,
+            nisabKg: USHR_NISAB_KG,
+            crops: crops,
+            totalValue: totalValue,
+            zakahAmount: zakahAmount
+        };
+    }
+
+    function combineDue(count, small, large) {
+        // Cover as many animals as possible with groups of small.size and
+        // large.size; on a tie the older animals are taken
+        let best = null;
+        for (let largeCount = Math.floor(count / large.size); largeCount >= 0; largeCount--) {
+            const smallCount = Math.floor((count - largeCount * large.size) / small.size);
+            const covered = largeCount * large.size + smallCount * small.size;
+            if (!best || covered > best.covered) {
+                best = { covered: covered, large: largeCount, small: smallCount };
+            }
+        }
+
+        const due = {};
+        if (best.large) due[large.animal] = best.large;
+        if (best.small) due[small.animal] = best.small;
+        return due;
+    }
+
+    function getLivestockDue(kind, count) {
+        // Animals due for a herd of the given kind and size
+        if (count < LIVESTOCK_NISAB[kind]) return {};
+
+        if (kind === 'camels') {
+            if (count > 120) {
+                return combineDue(count, { size: 40, animal: 'bint-labun' }, { size: 50, animal: 'hiqqa' });
+            }
+            const range = CAMEL_SCHEDULE.find(entry => count >= entry[0] && count <= entry[1]);
+            return Object.assign({}, range[2]);
+        }
+
+        if (kind === 'cattle') {
+            if (count < 60) {
+                return count < 40 ? { 'tabi': 1 } : { 'musinna': 1 };
+            }
+            return combineDue(count, { size: 30, animal: 'tabi' }, { size: 40, animal: 'musinna' });
+        }
+
+        // Sheep and goats
+        if (count <= 120) return { 'sheep': 1 };
+        if (count <= 200) return { 'sheep': 2 };
+        if (count < 400) return { 'sheep': 3 };
+        return { 'sheep': Math.floor(count / 100) };
+    }
+
+    function calculateLivestock(input) {
+        const animals = input.animals || {};
+        const prices = input.prices || {};
+        let zakahAmount = 0;
+        let isValued = true;
+
+        const herds = Object.keys(LIVESTOCK_NISAB).map(kind => {
+            const count = Math.floor(toNumber(animals[kind]));
+            const due = getLivestockDue(kind, count);
+
+            // Value the due animals when every one of them has a price
+            let value = 0;
+            Object.keys(due).forEach(animal => {
+                const price = toNumber(prices[animal]);
+                if (!price) isValued = false;
+                value += due[animal] * price;
+            });
+            zakahAmount += value;
+
+            return {
+                kind: kind,
+                count: count,
+                nisab: LIVESTOCK_NISAB[kind],
+                isReached: count >= LIVESTOCK_NISAB[kind],
+                due: due,
+                value: value
+            };
+        });
+
+        return {
+            country: input.country || null,
+            currency: input.currency || null,
+            hijriDate: input.hijriDate ? HijriCalendar.format(toCalculationDate(input.hijriDate)) : null,
+            herds: herds,
+            zakahAmount: isValued ? zakahAmount : null
+        };
+    }
+
+    function calculateFitr(input) {
+        // One sa' of food per member, or its cash value per member; due
+        // before the Eid prayer on 1 Shawwal of the calculation year
+        const members = Math.floor(toNumber(input.members));
+        const method = input.method === 'cash' ? 'cash' : 'food';
+        const staple = FITR_STAPLES[input.staple] ? input.staple : 'wheat';
+        const kgPerSa = toNumber(input.kgPerSa) || FITR_STAPLES[staple];
+        const cashPerPerson = toNumber(input.cashPerPerson);
+
+        let deadline = null;
+        if (input.hijriDate) {
+            const year = toCalculationDate(input.hijriDate).year;
+            const gregorian = HijriCalendar.toGregorian(year, 10, 1);
+            deadline = {
+                hijriDate: HijriCalendar.format({ year: year, month: 10, day: 1 }),
+                gregorianDate: gregorian.toISOString().split('T')[0]
+            };
+        }
+
+        return {
+            country: input.country || null,
+            currency: input.currency || null,
+            hijriDate: input.hijriDate ? HijriCalendar.format(toCalculationDate(input.hijriDate)) : null,
+            members: members,
+            method: method,
+            staple: method === 'food' ? staple : null,
+            kgPerSa: method === 'food' ? kgPerSa : null,
+            totalKg: method === 'food' ? members * kgPerSa : null,
+            cashPerPerson: method === 'cash' ? cashPerPerson : null,
+            zakahAmount: method === 'cash' ? members * cashPerPerson : null,
+            deadline: deadline
+        };
+    }
+
+    return {
+        NISAB_GOLD_GRAMS: NISAB_GOLD_GRAMS,
+        NISAB_SILVER_GRAMS: NISAB_SILVER_GRAMS,
+        ZAKAH_RATE: ZAKAH_RATE,
+        USHR_NISAB_KG: USHR_NISAB_KG,
+        USHR_RATES: USHR_RATES,
+        LIVESTOCK_NISAB: LIVESTOCK_NISAB,
+        FITR_STAPLES: FITR_STAPLES,
+        RECIPIENT_CATEGORIES: RECIPIENT_CATEGORIES,
+        GOLD_KARATS: GOLD_KARATS,
+        MADHABS: MADHABS,
+        INVESTMENT_METHODS: INVESTMENT_METHODS,
+        RECEIVABLE_STATUSES: RECEIVABLE_STATUSES,
+        DEBT_POLICIES: DEBT_POLICIES,
+        DEFAULT_DEBT_POLICY: DEFAULT_DEBT_POLICY,
+        DEFAULT_MADHAB: DEFAULT_MADHAB,
+        SILVER_FINENESSES: SILVER_FINENESSES,
+        karatToFineness: karatToFineness,
+        toPureGold: toPureGold,
+        convertGold: convertGold,
+        convertSilver: convertSilver,
+        getRate: getRate,
+        convertAmount: convertAmount,
+        convertCash: convertCash,
+        getHawlStatus: getHawlStatus,
+        countHawlYears: countHawlYears,
+        getMadhab: getMadhab,
+        calculateNisab: calculateNisab,
+        calculate: calculate,
+        calculateUshr: calculateUshr,
+        getLivestockDue: getLivestockDue,
+        calculateLivestock: calculateLivestock,
+        calculateFitr: calculateFitr
+    };
+});
@@ -0,0 +1,15 @@
+// Zakah Engine, ES module entry
+//
+//     import ZakahEngine from './zakah-engine.mjs';
+//
+// zakah-engine.js stays the one implementation. In Node it is loaded as
+// CommonJS and arrives as the default export; in the browser it runs as a
+// plain script that sets self.ZakahEngine, after hijri-calendar.js has set
+// the HijriCalendar it needs.
+
+import './hijri-calendar.js';
+import * as engine from './zakah-engine.js';
+
+const ZakahEngine = engine.default || globalThis.ZakahEngine;
+
+export default ZakahEngine;
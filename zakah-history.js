@@ -0,0 +1,183 @@
+// Zakah History
+//
+// Completed wealth calculations kept per profile and keyed by Hijri year, so
+// each year can be compared with the one before. Only the last calculation
+// of a year is kept. Every entry is a summary of a ZakahEngine.calculate
+// result:
+//
+//     hijriYear, hijriDate, country, currency
+//     goldPrice, silverPrice           price per gram on the calculation date
+//     totalGold24k, totalSilver        zakatable weights in grams
+//     cash                             { code: amount } of the zakatable cash
+//     exchangeRates, rateSource        rates used, as in the engine result
+//     goldValue, silverValue, totalCash, totalInvestments, totalReceivables,
+//     businessValue, deductedLiabilities, totalWealth, zakahAmount
+//     savedAt                          time of the calculation (ms since the epoch)
+//
+// Entries keep the prices, weights and rates behind each total, which is
+// what lets compare() split a change in wealth into its causes.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./json-storage.js'));
+    } else {
+        root.ZakahHistory = factory(root.JsonStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (JsonStorage) {
+    'use strict';
+
+    const STORAGE_KEY = 'zakah-history';
+    const VALUE_FIELDS = ['goldValue', 'silverValue', 'totalCash', 'totalInvestments', 'totalReceivables',
+        'businessValue', 'deductedLiabilities', 'totalWealth', 'zakahAmount'];
+
+    function summarize(result) {
+        // Compact history entry for an engine result. Entries are keyed by
+        // year, so a result without its calculation date cannot be kept.
+        if (!result.hijriDate) {
+            throw new RangeError('A Hijri date is needed to record a calculation');
+        }
+
+        const cash = {};
+        result.cash.forEach(item => {
+            if (item.hawl.isDue && item.amount) {
+                cash[item.currency] = (cash[item.currency] || 0) + item.amount;
+            }
+        });
+
+        const entry = {
+            hijriYear: parseInt(result.hijriDate, 10),
+            hijriDate: result.hijriDate,
+            country: result.country,
+            currency: result.currency,
+            goldPrice: result.goldPrice,
+            silverPrice: result.silverPrice,
+            totalGold24k: result.totalGold24k,
+            totalSilver: result.totalSilver,
+            cash: cash,
+            exchangeRates: result.exchangeRates,
+            rateSource: result.rateSource,
+            savedAt: Date.now()
+        };
+        VALUE_FIELDS.forEach(field => {
+            entry[field] = result[field];
+        });
+        return entry;
+    }
+
+    function compare(previous, current) {
+        // What changed between two years. The change in wealth is split into
+        // the effect of each driver; 'other' is whatever is left (investments,
+        // debts, business, hawl). Amounts in different zakah currencies
+        // cannot be split, so only the totals are compared then.
+        const comparison = {
+            previousYear: previous.hijriYear,
+            currentYear: current.hijriYear,
+            sameCurrency: previous.currency === current.currency,
+            goldPriceChange: current.goldPrice - previous.goldPrice,
+            goldPriceChangePercent: previous.goldPrice ? (current.goldPrice / previous.goldPrice - 1) * 100 : null,
+            goldGramsChange: current.totalGold24k - previous.totalGold24k,
+            wealthChange: null,
+            zakahChange: null,
+            effects: null,
+            currencies: []
+        };
+        if (!comparison.sameCurrency) return comparison;
+
+        comparison.wealthChange = current.totalWealth - previous.totalWealth;
+        comparison.zakahChange = current.zakahAmount - previous.zakahAmount;
+
+        // Old quantities at the price change, new quantities at the new price
+        const effects = {
+            goldPrice: previous.totalGold24k * (current.goldPrice - previous.goldPrice),
+            goldQuantity: (current.totalGold24k - previous.totalGold24k) * current.goldPrice,
+            silverPrice: previous.totalSilver * (current.silverPrice - previous.silverPrice),
+            silverQuantity: (current.totalSilver - previous.totalSilver) * current.silverPrice,
+            exchangeRates: 0,
+            cashAmounts: 0,
+            other: 0
+        };
+
+        // Cash the same way, with each currency's rate as its price
+        const codes = Object.keys(Object.assign({}, previous.cash, current.cash));
+        codes.forEach(code => {
+            const rateOf = entry => code === entry.currency ? 1 : (entry.exchangeRates || {})[code];
+            const previousAmount = previous.cash[code] || 0;
+            const currentAmount = current.cash[code] || 0;
+            // A currency held in one year only has no rate in the other
+            const previousRate = rateOf(previous) || rateOf(current) || 0;
+            const currentRate = rateOf(current) || previousRate;
+
+            const rateEffect = previousAmount * (currentRate - previousRate);
+            effects.exchangeRates += rateEffect;
+            effects.cashAmounts += (currentAmount - previousAmount) * currentRate;
+
+            if (code !== current.currency) {
+                comparison.currencies.push({
+                    currency: code,
+                    previousRate: previousRate,
+                    currentRate: currentRate,
+                    changePercent: previousRate ? (currentRate / previousRate - 1) * 100 : null,
+                    effect: rateEffect
+                });
+            }
+        });
+
+        const explained = Object.keys(effects).reduce((sum, key) => sum + effects[key], 0);
+        effects.other = comparison.wealthChange - explained;
+        comparison.effects = effects;
+        return comparison;
+    }
+
+    class ZakahHistory {
+        constructor(storage) {
+            this.store = new JsonStorage(storage, STORAGE_KEY, 'zakah history');
+            this.data = this.store.read({});
+        }
+
+        save() {
+            this.store.write(this.data);
+        }
+
+        record(profileId, result) {
+            // A later calculation in the same Hijri year replaces the earlier one
+            const entry = summarize(result);
+            const years = this.data[profileId] || (this.data[profileId] = {});
+            years[entry.hijriYear] = entry;
+            this.save();
+            return entry;
+        }
+
+        list(profileId) {
+            // Entries of a profile, newest year first
+            const years = this.data[profileId] || {};
+            return Object.keys(years)
+                .map(year => years[year])
+                .sort((a, b) => b.hijriYear - a.hijriYear);
+        }
+
+        get(profileId, hijriYear) {
+            return (this.data[profileId] || {})[hijriYear] || null;
+        }
+
+        getPrevious(profileId, hijriYear) {
+            // Latest entry before the given year (not necessarily the year before)
+            return this.list(profileId).find(entry => entry.hijriYear < hijriYear) || null;
+        }
+
+        removeYear(profileId, hijriYear) {
+            if (!this.data[profileId]) return;
+            delete this.data[profileId][hijriYear];
+            this.save();
+        }
+
+        removeProfile(profileId) {
+            delete this.data[profileId];
+            this.save();
+        }
+    }
+
+    ZakahHistory.summarize = summarize;
+    ZakahHistory.compare = compare;
+
+    return ZakahHistory;
+});